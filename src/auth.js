@@ -0,0 +1,165 @@
+// Bearer tokens for shared servers. Each token grants permissions on a set of
+// collections; only SHA-256 hashes of the tokens are stored.
+import { createHash, randomBytes } from 'crypto';
+import { ToolError } from './tool-errors.js';
+
+const TOKENS_TABLE = 'mcp_tokens';
+
+const PERMISSIONS = ['read', 'write', 'delete'];
+
+// Grants on this collection name apply to every collection
+const ALL_COLLECTIONS = '*';
+
+const TOKEN_PREFIX = 'spm_';
+
+function hashToken(token) {
+  return createHash('sha256').update(token, 'utf8').digest('hex');
+}
+
+function generateToken() {
+  return TOKEN_PREFIX + randomBytes(32).toString('base64url');
+}
+
+/**
+ * Parse a grant of the form "collection=read,write" ("*" for every collection).
+ * @returns {[string, string[]]} The collection and its permissions
+ */
+function parseGrant(grant) {
+  const match = /^([^=]+)=(.+)$/.exec(grant);
+  if (!match) {
+    throw new Error(`Invalid grant "${grant}". Expected collection=permission[,permission...], e.g. notes=read,write`);
+  }
+  const collection = match[1].trim();
+  const permissions = [...new Set(match[2].split(',').map(permission => permission.trim()))];
+  for (const permission of permissions) {
+    if (!PERMISSIONS.includes(permission)) {
+      throw new Error(`Invalid permission "${permission}" in grant "${grant}". Must be one of: ${PERMISSIONS.join(', ')}`);
+    }
+  }
+  return [collection, permissions];
+}
+
+// Merge parsed grants into { collection: [permissions] }
+function grantsFromList(grants) {
+  const merged = {};
+  for (const [collection, permissions] of grants) {
+    merged[collection] = [...new Set([...(merged[collection] ?? []), ...permissions])];
+  }
+  return merged;
+}
+
+function permissionsFor(access, collection) {
+  return [
+    ...(access.grants[collection] ?? []),
+    ...(access.grants[ALL_COLLECTIONS] ?? []),
+  ];
+}
+
+/**
+ * Whether an authenticated caller may use a collection. Without access (stdio, or
+ * HTTP without --auth) everything is allowed.
+ *
+ * @param {{name: string, grants: object}} [access]
+ * @param {string} collection
+ * @param {string} [permission] - Any permission at all when omitted
+ */
+function hasPermission(access, collection, permission) {
+  if (!access) {
+    return true;
+  }
+  const permissions = permissionsFor(access, collection);
+  return permission ? permissions.includes(permission) : permissions.length > 0;
+}
+
+function checkPermission(access, collection, permission) {
+  if (!hasPermission(access, collection, permission)) {
+    throw new ToolError('PERMISSION_DENIED', `Token "${access.name}" does not have ${permission} permission on collection "${collection}"`);
+  }
+}
+
+class TokenStore {
+  constructor(pool) {
+    this.pool = pool;
+    this.ready = null;
+  }
+
+  async ensureTable() {
+    if (!this.ready) {
+      this.ready = this.pool.query(`
+        CREATE TABLE IF NOT EXISTS ${TOKENS_TABLE} (
+          name TEXT PRIMARY KEY,
+          token_hash TEXT NOT NULL UNIQUE,
+          grants JSONB NOT NULL,
+          created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+          last_used_at TIMESTAMPTZ
+        );
+      `).catch(error => {
+        this.ready = null;
+        throw error;
+      });
+    }
+    await this.ready;
+  }
+
+  /**
+   * Create a token. The plaintext token is only ever returned here.
+   * @returns {Promise<{name: string, token: string, grants: object}>}
+   */
+  async create(name, grants) {
+    await this.ensureTable();
+    const token = generateToken();
+    try {
+      await this.pool.query(
+        `INSERT INTO ${TOKENS_TABLE} (name, token_hash, grants) VALUES ($1, $2, $3);`,
+        [name, hashToken(token), JSON.stringify(grants)]
+      );
+    } catch (error) {
+      if (error.code === '23505') {
+        throw new Error(`A token named "${name}" already exists; revoke it first`);
+      }
+      throw error;
+    }
+    return { name, token, grants };
+  }
+
+  async list() {
+    await this.ensureTable();
+    const result = await this.pool.query(
+      `SELECT name, grants, created_at, last_used_at FROM ${TOKENS_TABLE} ORDER BY name;`
+    );
+    return result.rows;
+  }
+
+  // Returns whether a token of that name existed
+  async revoke(name) {
+    await this.ensureTable();
+    const result = await this.pool.query(`DELETE FROM ${TOKENS_TABLE} WHERE name = $1;`, [name]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Look up a presented token.
+   * @returns {Promise<{name: string, grants: object}|null>} null for unknown or revoked tokens
+   */
+  async authenticate(token) {
+    await this.ensureTable();
+    const result = await this.pool.query(`
+      UPDATE ${TOKENS_TABLE} SET last_used_at = NOW()
+      WHERE token_hash = $1
+      RETURNING name, grants;
+    `, [hashToken(token)]);
+    return result.rows[0] ?? null;
+  }
+}
+
+export {
+  TOKENS_TABLE,
+  PERMISSIONS,
+  ALL_COLLECTIONS,
+  TokenStore,
+  hashToken,
+  parseGrant,
+  grantsFromList,
+  hasPermission,
+  checkPermission,
+};
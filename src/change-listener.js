@@ -0,0 +1,110 @@
+// Listens for memory changes announced by the collection triggers (see migrations.js),
+// whichever server instance made them.
+import pg from 'pg';
+import { CHANGES_CHANNEL } from './migrations.js';
+
+const RECONNECT_DELAY_MS = 5000;
+
+class ChangeListener {
+  /**
+   * @param {object} connectionConfig - pg.Client configuration
+   * @param {function} onChange - Called with { collection, id, operation } for every change
+   */
+  constructor(connectionConfig, onChange) {
+    this.connectionConfig = connectionConfig;
+    this.onChange = onChange;
+    this.client = null;
+    this.connecting = null;
+    this.reconnectTimer = null;
+    this.stopped = false;
+  }
+
+  // Connect and LISTEN, if not already listening
+  async start() {
+    this.stopped = false;
+    await this.listen();
+  }
+
+  async listen() {
+    if (this.client) {
+      return;
+    }
+    if (!this.connecting) {
+      this.connecting = this.connect().finally(() => {
+        this.connecting = null;
+      });
+    }
+    await this.connecting;
+  }
+
+  async connect() {
+    const client = new pg.Client(this.connectionConfig);
+    client.on('notification', (message) => {
+      try {
+        this.onChange(JSON.parse(message.payload));
+      } catch (error) {
+        console.error(`Ignoring malformed change notification: ${error.message}`);
+      }
+    });
+    client.on('error', (error) => {
+      console.error(`Change listener connection lost: ${error.message}`);
+      this.handleDisconnect(client);
+    });
+    client.on('end', () => this.handleDisconnect(client));
+
+    try {
+      await client.connect();
+      await client.query(`LISTEN ${CHANGES_CHANNEL};`);
+    } catch (error) {
+      client.end().catch(() => {});
+      throw error;
+    }
+    // Stopped while connecting: stop() has already ended whatever it found
+    if (this.stopped) {
+      await client.end();
+      return;
+    }
+    this.client = client;
+  }
+
+  // Changes made while disconnected are not replayed; listening resumes with later changes
+  handleDisconnect(client) {
+    if (this.client !== client) {
+      return;
+    }
+    this.client = null;
+    client.end().catch(() => {});
+    this.scheduleReconnect();
+  }
+
+  scheduleReconnect() {
+    if (this.stopped || this.reconnectTimer) {
+      return;
+    }
+    // Reconnects go through listen() rather than start(), so that a stop() made
+    // meanwhile stays in effect
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.listen().catch(error => {
+        console.error(`Change listener reconnect failed: ${error.message}`);
+        this.scheduleReconnect();
+      });
+    }, RECONNECT_DELAY_MS);
+    this.reconnectTimer.unref();
+  }
+
+  async stop() {
+    this.stopped = true;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    // A connection in progress ends itself once it sees stopped
+    await this.connecting?.catch(() => {});
+    const client = this.client;
+    this.client = null;
+    if (client) {
+      await client.end();
+    }
+  }
+}
+
+export { ChangeListener };
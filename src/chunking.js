@@ -0,0 +1,165 @@
+// Splits long documents into overlapping chunks for embedding.
+//
+// Token counts are estimated (about 4 characters per token for English text),
+// which keeps chunking independent of the embedding provider's tokenizer.
+import { invalidArgument } from './tool-errors.js';
+
+const DEFAULT_CHUNKING = {
+  max_tokens: 512,
+  overlap_tokens: 64,
+};
+
+const CHARS_PER_TOKEN = 4;
+
+function estimateTokens(text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+const HEADING_PATTERN = /^#{1,6}\s/;
+
+/**
+ * Split text into sections at markdown headings, and sections into paragraphs.
+ * Returns [[paragraph, ...], ...], where a section's first paragraph may be its heading.
+ */
+function splitSections(text) {
+  const sections = [];
+  let paragraphs = [];
+  let lines = [];
+
+  const endParagraph = () => {
+    const paragraph = lines.join('\n').trim();
+    if (paragraph) {
+      paragraphs.push(paragraph);
+    }
+    lines = [];
+  };
+  const endSection = () => {
+    endParagraph();
+    if (paragraphs.length > 0) {
+      sections.push(paragraphs);
+    }
+    paragraphs = [];
+  };
+
+  let inCodeFence = false;
+  for (const line of text.split(/\r?\n/)) {
+    if (line.trimStart().startsWith('```')) {
+      inCodeFence = !inCodeFence;
+    }
+    if (!inCodeFence && HEADING_PATTERN.test(line)) {
+      endSection();
+      lines.push(line);
+      endParagraph();
+    } else if (!inCodeFence && line.trim() === '') {
+      endParagraph();
+    } else {
+      lines.push(line);
+    }
+  }
+  endSection();
+
+  return sections;
+}
+
+// Break a paragraph that is too long on its own into sentences, then words
+function splitOversized(paragraph, maxChars) {
+  if (paragraph.length <= maxChars) {
+    return [paragraph];
+  }
+
+  const sentences = paragraph.match(/[^.!?]+(?:[.!?]+|$)\s*/g) || [paragraph];
+  const pieces = [];
+  let current = '';
+  for (const sentence of sentences) {
+    if (sentence.length > maxChars) {
+      if (current) {
+        pieces.push(current.trim());
+        current = '';
+      }
+      for (let start = 0; start < sentence.length; start += maxChars) {
+        pieces.push(sentence.slice(start, start + maxChars).trim());
+      }
+    } else if (current.length + sentence.length > maxChars) {
+      pieces.push(current.trim());
+      current = sentence;
+    } else {
+      current += sentence;
+    }
+  }
+  if (current.trim()) {
+    pieces.push(current.trim());
+  }
+  return pieces.filter(Boolean);
+}
+
+// The last ~overlapChars of a chunk, starting at a word boundary
+function overlapTail(chunk, overlapChars) {
+  if (overlapChars <= 0 || chunk.length <= overlapChars) {
+    return overlapChars <= 0 ? '' : chunk;
+  }
+  const tail = chunk.slice(chunk.length - overlapChars);
+  const boundary = tail.search(/\s/);
+  return boundary === -1 ? tail : tail.slice(boundary).trim();
+}
+
+/**
+ * Split text into chunks of at most max_tokens (estimated) tokens.
+ *
+ * Chunks never span a markdown heading, prefer to break between paragraphs,
+ * and, within a section, repeat the last overlap_tokens of the previous chunk.
+ *
+ * @param {string} text
+ * @param {{max_tokens: number, overlap_tokens: number}} options
+ * @returns {string[]}
+ */
+function chunkText(text, options = DEFAULT_CHUNKING) {
+  const maxChars = options.max_tokens * CHARS_PER_TOKEN;
+  const overlapChars = options.overlap_tokens * CHARS_PER_TOKEN;
+  const chunks = [];
+
+  for (const section of splitSections(text)) {
+    // Leave room for the overlap (and its separator) carried over from the previous chunk
+    const pieces = section.flatMap(paragraph => splitOversized(paragraph, maxChars - overlapChars - 2));
+    let current = '';
+
+    for (const piece of pieces) {
+      const candidate = current ? `${current}\n\n${piece}` : piece;
+      if (candidate.length <= maxChars) {
+        current = candidate;
+        continue;
+      }
+      chunks.push(current);
+      const overlap = overlapTail(current, overlapChars);
+      current = overlap ? `${overlap}\n\n${piece}` : piece;
+    }
+
+    if (current) {
+      chunks.push(current);
+    }
+  }
+
+  return chunks;
+}
+
+/**
+ * Validate chunking settings and fill in defaults.
+ * Accepts true (defaults), false/null (disabled), or a partial settings object.
+ * Returns null when chunking is disabled.
+ */
+function normalizeChunking(chunking) {
+  if (chunking === undefined || chunking === null || chunking === false) {
+    return null;
+  }
+  const settings = { ...DEFAULT_CHUNKING, ...(chunking === true ? {} : chunking) };
+
+  if (!Number.isInteger(settings.max_tokens) || settings.max_tokens < 16) {
+    throw invalidArgument(`Invalid chunking.max_tokens: ${settings.max_tokens}. Must be an integer >= 16`);
+  }
+  if (!Number.isInteger(settings.overlap_tokens) || settings.overlap_tokens < 0 || settings.overlap_tokens >= settings.max_tokens / 2) {
+    throw invalidArgument(`Invalid chunking.overlap_tokens: ${settings.overlap_tokens}. Must be a non-negative integer less than half of max_tokens`);
+  }
+
+  return { max_tokens: settings.max_tokens, overlap_tokens: settings.overlap_tokens };
+}
+
+export { chunkText, estimateTokens, normalizeChunking, DEFAULT_CHUNKING };
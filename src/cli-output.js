@@ -0,0 +1,134 @@
+// Human-readable output of the memory commands of the CLI (see index.js), which
+// print the result of the matching tool. --format json prints the result as is.
+
+// Characters of content shown per row of a table
+const PREVIEW_LENGTH = 60;
+
+function formatValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+// Text on one line, cut to maxLength characters
+function preview(text, maxLength = PREVIEW_LENGTH) {
+  const line = text.replace(/\s+/g, ' ').trim();
+  return line.length > maxLength ? `${line.slice(0, maxLength - 3)}...` : line;
+}
+
+/**
+ * Lay rows out in columns sized to their widest value.
+ * @param {object[]} rows
+ * @param {Array<{header: string, value: function(object): *}>} columns
+ * @returns {string}
+ */
+function formatTable(rows, columns) {
+  const cells = rows.map(row => columns.map(column => formatValue(column.value(row))));
+  const widths = columns.map((column, i) => Math.max(column.header.length, ...cells.map(row => row[i].length)));
+  const line = values => values.map((value, i) => value.padEnd(widths[i])).join('  ').trimEnd();
+  return [
+    line(columns.map(column => column.header)),
+    line(widths.map(width => '-'.repeat(width))),
+    ...cells.map(line),
+  ].join('\n');
+}
+
+// One "key: value" line per field, with the values aligned; empty fields are left out
+function formatFields(fields) {
+  const entries = Object.entries(fields).filter(([, value]) => value !== undefined && value !== null);
+  const width = Math.max(...entries.map(([key]) => key.length));
+  return entries.map(([key, value]) => `${`${key}:`.padEnd(width + 3)}${formatValue(value)}`).join('\n');
+}
+
+function formatPage(table, { count, next_cursor: nextCursor }) {
+  const lines = [count === 0 ? 'No memories found' : table];
+  if (nextCursor) {
+    lines.push('', `More results: --cursor ${nextCursor}`);
+  }
+  return lines.join('\n');
+}
+
+const formatters = {
+  store: result => formatFields({
+    id: result.id,
+    collection: result.collection,
+    action: result.action,
+    deduplicated: result.deduplicated,
+    chunks: result.chunk_count,
+    created_at: result.created_at,
+    expires_at: result.expires_at,
+    pinned: result.pinned,
+  }),
+
+  search: result => formatPage(formatTable(result.memories, [
+    { header: 'SIMILARITY', value: memory => memory.similarity.toFixed(3) },
+    { header: 'ID', value: memory => memory.id },
+    { header: 'CREATED', value: memory => memory.created_at },
+    { header: 'CONTENT', value: memory => preview(memory.content) },
+  ]), result),
+
+  list: result => formatPage(formatTable(result.memories, [
+    { header: 'ID', value: memory => memory.id },
+    { header: 'CREATED', value: memory => memory.created_at },
+    { header: 'CONTENT', value: memory => preview(memory.content) },
+  ]), result),
+
+  delete: result => `Deleted ${result.id} from ${result.collection}` +
+    (result.chunks_deleted ? `, with ${result.chunks_deleted} chunks` : ''),
+
+  collection_stats: result => {
+    const sections = [formatFields({
+      collection: result.collection,
+      documents: result.documents,
+      chunks: result.chunks,
+      total_rows: result.total_rows,
+      storage: result.storage?.total,
+      embedding_model: result.embedding_model,
+      embedding_dimensions: result.embedding_dimensions,
+      schema_version: result.schema_version,
+      settings: Object.keys(result.settings ?? {}).length > 0 ? result.settings : undefined,
+      created_at: result.created_at,
+      oldest_created_at: result.oldest_created_at,
+      newest_created_at: result.newest_created_at,
+    })];
+    if (result.indexes?.length > 0) {
+      sections.push(formatTable(result.indexes, [
+        { header: 'INDEX', value: index => index.name },
+        { header: 'TYPE', value: index => index.type },
+      ]));
+    }
+    if (result.metadata_keys?.length > 0) {
+      sections.push(formatTable(result.metadata_keys, [
+        { header: 'METADATA KEY', value: key => key.key },
+        { header: 'DOCUMENTS', value: key => key.count },
+      ]));
+    }
+    return sections.join('\n\n');
+  },
+};
+
+/**
+ * The human-readable form of a tool result.
+ * @param {string} operation - The operation field of the tool response
+ * @param {object} result
+ * @returns {string}
+ */
+function formatResult(operation, result) {
+  const formatter = formatters[operation];
+  return formatter ? formatter(result) : JSON.stringify(result, null, 2);
+}
+
+export {
+  PREVIEW_LENGTH,
+  preview,
+  formatTable,
+  formatFields,
+  formatResult,
+};
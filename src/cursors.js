@@ -0,0 +1,89 @@
+// Opaque pagination cursors. A cursor is base64url-encoded JSON recording the
+// collection and where the next page starts: the (created_at, id) of the last row
+// for list_memories, and the offset, arguments and query embedding for search_memory,
+// so the next page of a search does not embed the query again. Callers treat cursors
+// as opaque; everything decoded from one is validated like any other argument.
+import { invalidArgument } from './tool-errors.js';
+
+function invalidCursor(reason) {
+  return invalidArgument(`Invalid cursor: ${reason}`);
+}
+
+/**
+ * @param {'list'|'search'} kind - The tool the cursor continues
+ * @param {string} collection
+ * @param {object} state - JSON-serializable position of the next page
+ * @returns {string}
+ */
+function encodeCursor(kind, collection, state) {
+  return Buffer.from(JSON.stringify({ kind, collection, ...state }), 'utf8').toString('base64url');
+}
+
+/**
+ * Decode a cursor issued by encodeCursor for the same kind of page and collection.
+ * @returns {object} The state given to encodeCursor
+ */
+function decodeCursor(cursor, kind, collection) {
+  if (typeof cursor !== 'string' || cursor.length === 0) {
+    throw invalidCursor('must be a next_cursor returned by a previous call');
+  }
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw invalidCursor('must be a next_cursor returned by a previous call');
+  }
+  if (decoded === null || typeof decoded !== 'object' || decoded.kind !== kind) {
+    throw invalidCursor(`not a ${kind} cursor`);
+  }
+  if (decoded.collection !== collection) {
+    throw invalidCursor(`issued for collection "${decoded.collection}", not "${collection}"`);
+  }
+  const { kind: _kind, collection: _collection, ...state } = decoded;
+  return state;
+}
+
+// Embeddings travel as base64 float32, the precision pgvector stores them in
+function encodeEmbedding(embedding) {
+  return Buffer.from(Float32Array.from(embedding).buffer).toString('base64');
+}
+
+function decodeEmbedding(encoded, dimensions) {
+  if (typeof encoded !== 'string') {
+    throw invalidCursor('malformed query embedding');
+  }
+  const bytes = Buffer.from(encoded, 'base64');
+  if (bytes.length !== dimensions * Float32Array.BYTES_PER_ELEMENT) {
+    throw invalidCursor(`query embedding does not have ${dimensions} dimensions`);
+  }
+  const floats = new Float32Array(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length));
+  return Array.from(floats);
+}
+
+/**
+ * The arguments of the search a cursor continues. Arguments passed along with the
+ * cursor must be the ones it was issued for.
+ *
+ * @param {object} args - Tool arguments, with cursor
+ * @param {object} saved - Arguments recorded in the cursor
+ * @returns {object}
+ */
+function resumeArgs(args, saved) {
+  for (const [key, value] of Object.entries(args)) {
+    if (key === 'collection' || key === 'cursor') {
+      continue;
+    }
+    if (JSON.stringify(value) !== JSON.stringify(saved[key])) {
+      throw invalidCursor(`it continues a search with another ${key}; pass the cursor alone or with the same arguments`);
+    }
+  }
+  return { ...saved, collection: args.collection };
+}
+
+export {
+  encodeCursor,
+  decodeCursor,
+  encodeEmbedding,
+  decodeEmbedding,
+  resumeArgs,
+};
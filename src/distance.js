@@ -0,0 +1,87 @@
+// Distance metrics for semantic search. A collection's metric is chosen when it is
+// created and decides the pgvector operator its searches order by and the operator
+// class of its vector index; an index only serves queries using its own operator.
+//
+// Each metric maps distances to a similarity in [0, 1], higher meaning more similar,
+// so that scores compare across collections and search modes.
+import { invalidArgument } from './tool-errors.js';
+
+const DISTANCE_METRICS = {
+  // Cosine similarity; opposite directions score 0 rather than negative. pgvector's
+  // cosine distance to a zero vector is NaN, which scores 0 too.
+  cosine: {
+    operator: '<=>',
+    opclass: 'vector_cosine_ops',
+    toSimilarity: distance => Number.isNaN(distance) ? 0 : Math.min(1, Math.max(0, 1 - distance)),
+  },
+  // pgvector's <#> is the negated inner product; meant for normalized embeddings,
+  // for which it equals cosine similarity
+  inner_product: {
+    operator: '<#>',
+    opclass: 'vector_ip_ops',
+    toSimilarity: distance => Math.min(1, Math.max(0, -distance)),
+  },
+  l2: {
+    operator: '<->',
+    opclass: 'vector_l2_ops',
+    toSimilarity: distance => 1 / (1 + distance),
+  },
+};
+
+const DISTANCE_METRIC_NAMES = Object.keys(DISTANCE_METRICS);
+
+// Collections created before metrics were configurable use l2
+const LEGACY_DISTANCE_METRIC = 'l2';
+
+const DEFAULT_DISTANCE_METRIC = 'cosine';
+
+function validateDistanceMetric(metric) {
+  if (!DISTANCE_METRIC_NAMES.includes(metric)) {
+    throw invalidArgument(`Unknown distance metric: ${metric}. Expected one of: ${DISTANCE_METRIC_NAMES.join(', ')}`);
+  }
+  return metric;
+}
+
+function getDistanceMetric(settings) {
+  return settings.distance || LEGACY_DISTANCE_METRIC;
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    sum += a[i] * b[i];
+  }
+  return sum;
+}
+
+/**
+ * The distance between two vectors as pgvector's operator for the metric computes it.
+ * @returns {number}
+ */
+function vectorDistance(metric, a, b) {
+  switch (metric) {
+    case 'cosine': {
+      const norms = Math.sqrt(dot(a, a) * dot(b, b));
+      return norms > 0 ? 1 - dot(a, b) / norms : 1;
+    }
+    case 'inner_product':
+      return -dot(a, b);
+    default: {
+      let sum = 0;
+      for (let i = 0; i < a.length; i++) {
+        sum += (a[i] - b[i]) ** 2;
+      }
+      return Math.sqrt(sum);
+    }
+  }
+}
+
+export {
+  DISTANCE_METRICS,
+  DISTANCE_METRIC_NAMES,
+  DEFAULT_DISTANCE_METRIC,
+  LEGACY_DISTANCE_METRIC,
+  validateDistanceMetric,
+  getDistanceMetric,
+  vectorDistance,
+};
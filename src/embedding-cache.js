@@ -0,0 +1,128 @@
+// Persistent embedding cache shared by every server instance using the database.
+// Entries are keyed by (embedding_model, SHA-256 of the text), so identical texts
+// are only sent to the embedding provider once per model.
+
+const CACHE_TABLE = 'mcp_embedding_cache';
+const CACHE_STATS_TABLE = 'mcp_embedding_cache_stats';
+
+const DEFAULT_EMBEDDING_CACHE_OPTIONS = {
+  enabled: true,
+  maxEntries: 100000,
+  maxAgeDays: 30,
+};
+
+// Size and age limits are enforced after this many new entries per instance
+const PRUNE_INTERVAL = 100;
+
+class EmbeddingCache {
+  constructor(pool, options = {}) {
+    this.pool = pool;
+    this.options = { ...DEFAULT_EMBEDDING_CACHE_OPTIONS, ...options };
+    this.ready = null;
+    this.insertsSincePrune = 0;
+  }
+
+  get enabled() {
+    return this.options.enabled;
+  }
+
+  async ensureTables() {
+    if (!this.ready) {
+      this.ready = (async () => {
+        await this.pool.query(`
+          CREATE TABLE IF NOT EXISTS ${CACHE_TABLE} (
+            embedding_model TEXT NOT NULL,
+            text_hash TEXT NOT NULL,
+            embedding REAL[] NOT NULL,
+            created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            last_used_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            hit_count BIGINT NOT NULL DEFAULT 0,
+            PRIMARY KEY (embedding_model, text_hash)
+          );
+        `);
+        await this.pool.query(`
+          CREATE TABLE IF NOT EXISTS ${CACHE_STATS_TABLE} (
+            embedding_model TEXT PRIMARY KEY,
+            hits BIGINT NOT NULL DEFAULT 0,
+            misses BIGINT NOT NULL DEFAULT 0
+          );
+        `);
+      })().catch(error => {
+        this.ready = null;
+        throw error;
+      });
+    }
+    await this.ready;
+  }
+
+  /**
+   * Look up cached embeddings.
+   * @returns {Promise<Map<string, number[]>>} text hash -> embedding, for hits only
+   */
+  async lookup(model, hashes) {
+    await this.ensureTables();
+    const result = await this.pool.query(`
+      UPDATE ${CACHE_TABLE}
+      SET last_used_at = NOW(), hit_count = hit_count + 1
+      WHERE embedding_model = $1
+        AND text_hash = ANY($2)
+        AND ($3::int <= 0 OR created_at > NOW() - make_interval(days => $3::int))
+      RETURNING text_hash, embedding;
+    `, [model, hashes, this.options.maxAgeDays]);
+    return new Map(result.rows.map(row => [row.text_hash, row.embedding]));
+  }
+
+  async store(model, entries) {
+    if (entries.length === 0) {
+      return;
+    }
+    await this.ensureTables();
+    await this.pool.query(`
+      INSERT INTO ${CACHE_TABLE} (embedding_model, text_hash, embedding)
+      SELECT $1, entry->>'hash', ARRAY(SELECT jsonb_array_elements_text(entry->'embedding'))::real[]
+      FROM jsonb_array_elements($2::jsonb) AS entry
+      ON CONFLICT (embedding_model, text_hash)
+      DO UPDATE SET embedding = EXCLUDED.embedding, created_at = NOW(), last_used_at = NOW();
+    `, [model, JSON.stringify(entries)]);
+
+    this.insertsSincePrune += entries.length;
+    if (this.insertsSincePrune >= PRUNE_INTERVAL) {
+      this.insertsSincePrune = 0;
+      await this.prune();
+    }
+  }
+
+  async recordStats(model, hits, misses) {
+    if (hits === 0 && misses === 0) {
+      return;
+    }
+    await this.ensureTables();
+    await this.pool.query(`
+      INSERT INTO ${CACHE_STATS_TABLE} (embedding_model, hits, misses) VALUES ($1, $2, $3)
+      ON CONFLICT (embedding_model)
+      DO UPDATE SET hits = ${CACHE_STATS_TABLE}.hits + EXCLUDED.hits, misses = ${CACHE_STATS_TABLE}.misses + EXCLUDED.misses;
+    `, [model, hits, misses]);
+  }
+
+  // Drop entries past the age limit, then the least recently used entries past the size limit
+  async prune() {
+    await this.ensureTables();
+    if (this.options.maxAgeDays > 0) {
+      await this.pool.query(`
+        DELETE FROM ${CACHE_TABLE} WHERE created_at < NOW() - make_interval(days => $1::int);
+      `, [this.options.maxAgeDays]);
+    }
+    if (this.options.maxEntries > 0) {
+      await this.pool.query(`
+        DELETE FROM ${CACHE_TABLE}
+        WHERE (embedding_model, text_hash) IN (
+          SELECT embedding_model, text_hash FROM ${CACHE_TABLE}
+          ORDER BY last_used_at DESC
+          OFFSET $1
+        );
+      `, [this.options.maxEntries]);
+    }
+  }
+}
+
+export { EmbeddingCache, DEFAULT_EMBEDDING_CACHE_OPTIONS };
@@ -0,0 +1,157 @@
+// Embedding providers. Each provider exposes:
+//   model        - model name reported in responses
+//   cacheKey     - identifies the vector space in the embedding cache
+//   maxBatchSize - most texts passed to one embed() call
+//   getDimensions() - vector dimension (throws if it cannot be determined)
+//   embed(texts) - Promise of one vector per text; rejects if any text fails
+import { createHash } from 'crypto';
+import { embedText, EMBEDDING_DIMENSIONS } from 'polytokenizer';
+
+const HASH_EMBEDDING_MODEL = 'local/hash';
+const DEFAULT_HASH_DIMENSIONS = 256;
+
+// Hosted models through polytokenizer; texts are embedded with concurrent requests
+class PolytokenizerProvider {
+  constructor(model) {
+    this.model = model;
+    this.cacheKey = model;
+    this.maxBatchSize = 16;
+  }
+
+  getDimensions() {
+    const dimensions = EMBEDDING_DIMENSIONS[this.model];
+    if (!dimensions) {
+      const availableModels = Object.keys(EMBEDDING_DIMENSIONS);
+      throw new Error(`Model '${this.model}' not found in EMBEDDING_DIMENSIONS. Available models: ${availableModels.join(', ')}, or use ${HASH_EMBEDDING_MODEL} or --embedding-endpoint`);
+    }
+    return dimensions;
+  }
+
+  async embedOne(text) {
+    try {
+      const result = await embedText(this.model, text);
+      return result.vector;
+    } catch (error) {
+      if (error.message.includes('API key not found')) {
+        throw new Error(`API key not configured for embedding model ${this.model}. Please set the appropriate environment variable (e.g., GEMINI_API_KEY for Google models, OPENAI_API_KEY for OpenAI models). Original error: ${error.message}`);
+      }
+      throw new Error(`Failed to generate embedding with ${this.model}: ${error.message}`);
+    }
+  }
+
+  async embed(texts) {
+    return Promise.all(texts.map(text => this.embedOne(text)));
+  }
+}
+
+// Any server implementing the OpenAI /embeddings API: Ollama, llama.cpp, vLLM, LocalAI, ...
+class OpenAICompatibleProvider {
+  constructor(model, endpoint, dimensions, apiKey) {
+    if (!Number.isInteger(dimensions) || dimensions <= 0) {
+      throw new Error('--embedding-dimensions is required with --embedding-endpoint and must be a positive integer');
+    }
+    this.model = model;
+    this.endpoint = endpoint.replace(/\/+$/, '');
+    this.dimensions = dimensions;
+    this.apiKey = apiKey;
+    this.cacheKey = `${model}:${dimensions}`;
+    this.maxBatchSize = 64;
+  }
+
+  getDimensions() {
+    return this.dimensions;
+  }
+
+  async embed(texts) {
+    let response;
+    try {
+      response = await fetch(`${this.endpoint}/embeddings`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` }),
+        },
+        body: JSON.stringify({ model: this.model, input: texts }),
+      });
+    } catch (error) {
+      throw new Error(`Failed to reach embedding endpoint ${this.endpoint}: ${error.message}`);
+    }
+
+    if (!response.ok) {
+      const body = await response.text().catch(() => '');
+      throw new Error(`Embedding endpoint ${this.endpoint} returned ${response.status}: ${body.slice(0, 500)}`);
+    }
+
+    const { data } = await response.json();
+    if (!Array.isArray(data) || data.length !== texts.length) {
+      throw new Error(`Embedding endpoint ${this.endpoint} returned ${Array.isArray(data) ? data.length : 'no'} embeddings for ${texts.length} inputs`);
+    }
+
+    // Responses carry an index; do not rely on their order
+    const vectors = new Array(texts.length);
+    data.forEach((item, i) => {
+      vectors[item.index ?? i] = item.embedding;
+    });
+    for (const vector of vectors) {
+      if (!Array.isArray(vector) || vector.length !== this.dimensions) {
+        throw new Error(`Embedding endpoint ${this.endpoint} returned a vector of dimension ${vector ? vector.length : 0}, expected ${this.dimensions} (check --embedding-dimensions)`);
+      }
+    }
+    return vectors;
+  }
+}
+
+// Deterministic feature hashing of words; needs no network or API key.
+// Texts sharing words get similar vectors, which is enough for tests and demos.
+class HashEmbeddingProvider {
+  constructor(dimensions = DEFAULT_HASH_DIMENSIONS) {
+    if (!Number.isInteger(dimensions) || dimensions <= 0) {
+      throw new Error(`Invalid --embedding-dimensions for ${HASH_EMBEDDING_MODEL}: ${dimensions}`);
+    }
+    this.model = HASH_EMBEDDING_MODEL;
+    this.dimensions = dimensions;
+    this.cacheKey = `${HASH_EMBEDDING_MODEL}:${dimensions}`;
+    this.maxBatchSize = 1000;
+  }
+
+  getDimensions() {
+    return this.dimensions;
+  }
+
+  embedOne(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const words = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    for (const word of words) {
+      const digest = createHash('sha256').update(word).digest();
+      const index = digest.readUInt32BE(0) % this.dimensions;
+      vector[index] += (digest[4] & 1) ? 1 : -1;
+    }
+    const norm = Math.sqrt(vector.reduce((sum, x) => sum + x * x, 0));
+    return norm > 0 ? vector.map(x => x / norm) : vector;
+  }
+
+  async embed(texts) {
+    return texts.map(text => this.embedOne(text));
+  }
+}
+
+/**
+ * Choose the provider for the configured model.
+ *
+ * @param {string} model - Embedding model name
+ * @param {object} [options]
+ * @param {string} [options.endpoint] - Base URL of an OpenAI-compatible API (e.g. http://localhost:11434/v1)
+ * @param {number} [options.dimensions] - Vector dimension; required with endpoint, optional for local/hash
+ * @param {string} [options.apiKey] - Bearer token for the endpoint
+ */
+function createEmbeddingProvider(model, options = {}) {
+  if (options.endpoint) {
+    return new OpenAICompatibleProvider(model, options.endpoint, options.dimensions, options.apiKey);
+  }
+  if (model === HASH_EMBEDDING_MODEL) {
+    return new HashEmbeddingProvider(options.dimensions ?? DEFAULT_HASH_DIMENSIONS);
+  }
+  return new PolytokenizerProvider(model);
+}
+
+export { createEmbeddingProvider, HASH_EMBEDDING_MODEL };
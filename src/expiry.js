@@ -0,0 +1,104 @@
+// Memory expiration. A memory expires at expires_at unless it is pinned; expired
+// rows are hidden from reads at once and deleted later by pruneExpired. Chunks
+// carry the expiry of their parent document.
+import { invalidArgument } from './tool-errors.js';
+
+// SQL condition matching rows that have not expired
+const LIVE_CONDITION = '(expires_at IS NULL OR expires_at > NOW())';
+
+const DEFAULT_PRUNE_BATCH_SIZE = 1000;
+
+function validateTtl(ttl, name) {
+  if (!Number.isInteger(ttl) || ttl <= 0) {
+    throw invalidArgument(`Invalid ${name}: ${ttl}. Must be a positive integer number of seconds`);
+  }
+}
+
+/**
+ * Validate a collection's default TTL in seconds; null or 0 removes it.
+ * @returns {number|null}
+ */
+function normalizeDefaultTtl(ttl) {
+  if (ttl === null || ttl === 0) {
+    return null;
+  }
+  validateTtl(ttl, 'default_ttl');
+  return ttl;
+}
+
+// The expiry of a memory stored without an explicit one
+function defaultExpiry(settings) {
+  return {
+    expires_at: settings.default_ttl ? new Date(Date.now() + settings.default_ttl * 1000) : null,
+    pinned: false,
+  };
+}
+
+/**
+ * The expiry requested by tool arguments: ttl (seconds from now), expires_at
+ * (ISO 8601 timestamp), or pinned. Unpinning restarts the collection's default TTL.
+ *
+ * @param {object} args - Arguments with optional ttl, expires_at and pinned
+ * @param {object} settings - Collection settings, for default_ttl
+ * @returns {{expires_at: Date|null, pinned: boolean}|null} null when no expiry was requested
+ */
+function parseExpiry(args, settings) {
+  const { ttl, expires_at: expiresAt, pinned } = args;
+  if (ttl === undefined && expiresAt === undefined && pinned === undefined) {
+    return null;
+  }
+  if (pinned !== undefined && typeof pinned !== 'boolean') {
+    throw invalidArgument('pinned must be a boolean');
+  }
+  if (ttl !== undefined && expiresAt !== undefined) {
+    throw invalidArgument('Specify either ttl or expires_at, not both');
+  }
+  if (pinned === true && (ttl !== undefined || expiresAt !== undefined)) {
+    throw invalidArgument('A pinned memory never expires; pinned cannot be combined with ttl or expires_at');
+  }
+
+  if (ttl !== undefined) {
+    validateTtl(ttl, 'ttl');
+    return { expires_at: new Date(Date.now() + ttl * 1000), pinned: false };
+  }
+  if (expiresAt !== undefined) {
+    const date = new Date(expiresAt);
+    if (typeof expiresAt !== 'string' || Number.isNaN(date.getTime())) {
+      throw invalidArgument(`Invalid expires_at: ${expiresAt}. Expected an ISO 8601 timestamp`);
+    }
+    if (date <= new Date()) {
+      throw invalidArgument(`expires_at must be in the future: ${expiresAt}`);
+    }
+    return { expires_at: date, pinned: false };
+  }
+  return pinned ? { expires_at: null, pinned: true } : defaultExpiry(settings);
+}
+
+/**
+ * Delete expired documents and their chunks, in batches.
+ *
+ * @param {pg.Pool} pool
+ * @param {string} table - Validated collection name
+ * @param {number} [batchSize]
+ * @returns {Promise<number>} Rows deleted, chunks included
+ */
+async function pruneExpired(pool, table, batchSize = DEFAULT_PRUNE_BATCH_SIZE) {
+  let deleted = 0;
+  for (;;) {
+    const result = await pool.query(`
+      WITH expired AS (
+        SELECT id FROM ${table}
+        WHERE parent_id IS NULL AND expires_at <= NOW()
+        LIMIT $1
+      )
+      DELETE FROM ${table}
+      WHERE id IN (SELECT id FROM expired) OR parent_id IN (SELECT id FROM expired);
+    `, [batchSize]);
+    deleted += result.rowCount;
+    if (result.rowCount === 0) {
+      return deleted;
+    }
+  }
+}
+
+export { LIVE_CONDITION, DEFAULT_PRUNE_BATCH_SIZE, normalizeDefaultTtl, defaultExpiry, parseExpiry, pruneExpired };
@@ -0,0 +1,57 @@
+// Full-text search settings and query parsing. Each collection's content_fts column
+// is generated with one PostgreSQL text search configuration (its language), and
+// queries must be parsed with the same one for their lexemes to match.
+import { invalidArgument } from './tool-errors.js';
+
+const DEFAULT_TEXT_SEARCH_LANGUAGE = 'english';
+
+// Languages end up in generated column definitions, so they are kept to a safe alphabet;
+// whether the configuration exists is left to PostgreSQL
+function validateTextSearchLanguage(language) {
+  if (typeof language !== 'string' || !/^[a-z_][a-z0-9_]{0,62}$/.test(language)) {
+    throw invalidArgument(
+      `Invalid text search language: ${language}. Expected the name of a PostgreSQL text search configuration, ` +
+      'e.g. english, german, french or simple'
+    );
+  }
+  return language;
+}
+
+// The language of a collection; collections from before languages were configurable use english
+function getTextSearchLanguage(settings) {
+  return settings.language || DEFAULT_TEXT_SEARCH_LANGUAGE;
+}
+
+// The generated column holding a collection's search vector
+function contentFtsColumn(language) {
+  return `content_fts tsvector GENERATED ALWAYS AS (to_tsvector('${validateTextSearchLanguage(language)}', content)) STORED`;
+}
+
+/**
+ * SQL for the tsquery of a user query, parsed by websearch_to_tsquery: words are
+ * ANDed, "quoted phrases" must appear in order, OR separates alternatives and
+ * -word excludes. With prefix, every term also matches words it begins (e.g.
+ * "deplo" matches "deployment").
+ *
+ * @param {string} queryParam - Placeholder of the query text, e.g. '$1'
+ * @param {string} languageParam - Placeholder of the language
+ * @param {boolean} [prefix]
+ * @returns {string}
+ */
+function tsQueryExpression(queryParam, languageParam, prefix = false) {
+  const parsed = `websearch_to_tsquery(${languageParam}::regconfig, ${queryParam})`;
+  if (!prefix) {
+    return parsed;
+  }
+  // Lexemes are already normalized, so marking each quoted lexeme with :* and casting
+  // back keeps the parsed structure
+  return `regexp_replace(${parsed}::text, '(''(?:[^'']|'''')*'')', '\\1:*', 'g')::tsquery`;
+}
+
+export {
+  DEFAULT_TEXT_SEARCH_LANGUAGE,
+  validateTextSearchLanguage,
+  getTextSearchLanguage,
+  contentFtsColumn,
+  tsQueryExpression,
+};
@@ -0,0 +1,213 @@
+// Serves MCP over the Streamable HTTP transport. Every session gets an MCP server
+// of its own, while the database pool and settings stay shared.
+import http from 'http';
+import { randomUUID } from 'crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+
+const MCP_PATH = '/mcp';
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function sendJsonRpcError(res, status, code, message) {
+  if (res.headersSent) {
+    res.end();
+    return;
+  }
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ jsonrpc: '2.0', error: { code, message }, id: null }));
+}
+
+async function readJsonBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw new HttpError(413, `Request body exceeds ${MAX_BODY_BYTES} bytes`);
+    }
+    chunks.push(chunk);
+  }
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+  } catch (error) {
+    throw new HttpError(400, `Parse error: ${error.message}`);
+  }
+}
+
+class McpHttpServer {
+  /**
+   * @param {object} handlers
+   * @param {function} handlers.createMcpServer - Returns a new, unconnected MCP server for a session
+   * @param {function} [handlers.onSessionClosed] - Called with the MCP server of a session that ended
+   * @param {function} [handlers.authenticate] - Resolves a bearer token to the caller's access, or null.
+   *   When set, every request needs a valid token, and tool handlers find the access in extra.authInfo
+   */
+  constructor({ createMcpServer, onSessionClosed = async () => {}, authenticate }) {
+    this.createMcpServer = createMcpServer;
+    this.onSessionClosed = onSessionClosed;
+    this.authenticate = authenticate;
+    // Session ID -> { transport, server, clientId }
+    this.sessions = new Map();
+    // Settle when the response to a POST, and so to the messages it carried, has been sent
+    this.pendingResponses = new Set();
+    this.closing = false;
+    this.closed = null;
+    this.httpServer = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch(error => {
+        console.error(`HTTP request failed: ${error.message}`);
+        sendJsonRpcError(res, 500, -32603, 'Internal server error');
+      });
+    });
+  }
+
+  listen(port, host) {
+    return new Promise((resolve, reject) => {
+      this.httpServer.once('error', reject);
+      this.httpServer.listen(port, host, () => {
+        this.httpServer.off('error', reject);
+        resolve(this.httpServer.address());
+      });
+    });
+  }
+
+  async handleRequest(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname !== MCP_PATH) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' }).end('Not found');
+      return;
+    }
+    if (this.closing) {
+      res.setHeader('Connection', 'close');
+      sendJsonRpcError(res, 503, -32000, 'Server is shutting down');
+      return;
+    }
+
+    if (this.authenticate) {
+      req.auth = await this.authorize(req, res);
+      if (!req.auth) {
+        return;
+      }
+    }
+
+    const sessionId = req.headers['mcp-session-id'];
+    if (req.method !== 'POST') {
+      const session = this.getSession(req, res, sessionId);
+      if (session) {
+        await session.transport.handleRequest(req, res);
+      }
+      return;
+    }
+
+    const finished = new Promise(resolve => res.once('close', resolve));
+    this.pendingResponses.add(finished);
+    finished.then(() => this.pendingResponses.delete(finished));
+
+    let body;
+    try {
+      body = await readJsonBody(req);
+    } catch (error) {
+      if (!(error instanceof HttpError)) {
+        throw error;
+      }
+      sendJsonRpcError(res, error.status, error.status === 400 ? -32700 : -32600, error.message);
+      return;
+    }
+
+    if (sessionId) {
+      const session = this.getSession(req, res, sessionId);
+      if (session) {
+        await session.transport.handleRequest(req, res, body);
+      }
+      return;
+    }
+
+    if (!isInitializeRequest(body)) {
+      sendJsonRpcError(res, 400, -32000, 'Missing Mcp-Session-Id header; only an initialize request may start a session');
+      return;
+    }
+    await this.startSession(req, res, body);
+  }
+
+  // The AuthInfo for the request's bearer token, or null once a 401 has been sent
+  async authorize(req, res) {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization ?? '');
+    const access = match && await this.authenticate(match[1]);
+    if (!access) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      sendJsonRpcError(res, 401, -32001, match ? 'Invalid or revoked token' : 'Missing bearer token');
+      return null;
+    }
+    return { token: match[1], clientId: access.name, scopes: [], extra: { access } };
+  }
+
+  // Sessions can only be used with the token that started them
+  getSession(req, res, sessionId) {
+    if (!sessionId) {
+      sendJsonRpcError(res, 400, -32000, 'Missing Mcp-Session-Id header');
+      return null;
+    }
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      sendJsonRpcError(res, 404, -32001, 'Session not found');
+      return null;
+    }
+    if (session.clientId !== req.auth?.clientId) {
+      sendJsonRpcError(res, 403, -32000, 'Session belongs to another token');
+      return null;
+    }
+    return session;
+  }
+
+  async startSession(req, res, body) {
+    const server = this.createMcpServer();
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: (sessionId) => {
+        this.sessions.set(sessionId, { transport, server, clientId: req.auth?.clientId });
+      },
+    });
+    // Called when the client deletes the session, or when the server closes it
+    transport.onclose = () => {
+      if (transport.sessionId) {
+        this.sessions.delete(transport.sessionId);
+      }
+      this.onSessionClosed(server).catch(error => {
+        console.error(`Failed to clean up session ${transport.sessionId}: ${error.message}`);
+      });
+    };
+    await server.connect(transport);
+    await transport.handleRequest(req, res, body);
+  }
+
+  // Stop accepting connections and sessions; requests already being handled continue
+  stopAccepting() {
+    this.closing = true;
+    this.closed = new Promise(resolve => this.httpServer.close(resolve));
+    this.httpServer.closeIdleConnections();
+  }
+
+  // Settles once the responses to the POST requests received so far have been sent
+  async responsesSent() {
+    await Promise.allSettled([...this.pendingResponses]);
+  }
+
+  // End every session and drop the connections that are left
+  async close() {
+    if (!this.closing) {
+      this.stopAccepting();
+    }
+    const sessions = [...this.sessions.values()];
+    await Promise.allSettled(sessions.map(({ server }) => server.close()));
+    this.httpServer.closeAllConnections();
+    await this.closed;
+  }
+}
+
+export { McpHttpServer, MCP_PATH };
@@ -1,10 +1,18 @@
 #!/usr/bin/env node
 
+import { createReadStream, createWriteStream } from 'fs';
+import { once } from 'events';
+import { createInterface } from 'readline';
 import yargs from 'yargs';
 import { hideBin } from 'yargs/helpers';
-import { PostgresMCPServer } from './mcp-server.js';
+import { PostgresMCPServer, DEFAULT_HYBRID_OPTIONS } from './mcp-server.js';
+import { DEFAULT_EMBEDDING_CACHE_OPTIONS } from './embedding-cache.js';
+import { DEFAULT_PRUNE_BATCH_SIZE } from './expiry.js';
+import { DEFAULT_TEXT_SEARCH_LANGUAGE } from './fulltext.js';
+import { DISTANCE_METRIC_NAMES, DEFAULT_DISTANCE_METRIC } from './distance.js';
+import { formatResult } from './cli-output.js';
 
-const argv = yargs(hideBin(process.argv))
+yargs(hideBin(process.argv))
   .option('host', {
     type: 'string',
     default: 'localhost',
@@ -32,30 +40,690 @@ const argv = yargs(hideBin(process.argv))
   .option('embedding-model', {
     type: 'string',
     default: 'google/text-embedding-004',
-    description: 'Default embedding model (e.g., openai/text-embedding-3-small, vertex/text-embedding-005, google/text-embedding-004)'
+    description: 'Default embedding model (e.g., openai/text-embedding-3-small, vertex/text-embedding-005, google/text-embedding-004, or local/hash for offline use)'
   })
+  .option('embedding-endpoint', {
+    type: 'string',
+    description: 'Base URL of an OpenAI-compatible embeddings API (e.g., http://localhost:11434/v1 for Ollama); --embedding-model is sent as the model name. API key from EMBEDDING_API_KEY'
+  })
+  .option('embedding-dimensions', {
+    type: 'number',
+    description: 'Embedding vector dimension (required with --embedding-endpoint; defaults to 256 for local/hash)'
+  })
+  .option('hybrid-fusion', {
+    type: 'string',
+    choices: ['rrf', 'weighted'],
+    default: DEFAULT_HYBRID_OPTIONS.fusion,
+    description: 'Default fusion method for hybrid search: reciprocal rank fusion (rrf) or weighted score blending (weighted)'
+  })
+  .option('hybrid-semantic-weight', {
+    type: 'number',
+    default: DEFAULT_HYBRID_OPTIONS.semanticWeight,
+    description: 'Default weight of the semantic ranking in hybrid search'
+  })
+  .option('hybrid-fulltext-weight', {
+    type: 'number',
+    default: DEFAULT_HYBRID_OPTIONS.fulltextWeight,
+    description: 'Default weight of the fulltext ranking in hybrid search'
+  })
+  .option('hybrid-rrf-k', {
+    type: 'number',
+    default: DEFAULT_HYBRID_OPTIONS.rrfK,
+    description: 'Rank offset k used by reciprocal rank fusion'
+  })
+  .option('embedding-cache', {
+    type: 'boolean',
+    default: DEFAULT_EMBEDDING_CACHE_OPTIONS.enabled,
+    description: 'Cache embeddings in PostgreSQL, keyed by model and text hash (disable with --no-embedding-cache)'
+  })
+  .option('embedding-cache-max-entries', {
+    type: 'number',
+    default: DEFAULT_EMBEDDING_CACHE_OPTIONS.maxEntries,
+    description: 'Maximum number of cached embeddings; least recently used entries are pruned first (0 for no limit)'
+  })
+  .option('embedding-cache-max-age-days', {
+    type: 'number',
+    default: DEFAULT_EMBEDDING_CACHE_OPTIONS.maxAgeDays,
+    description: 'Cached embeddings older than this are ignored and pruned (0 for no limit)'
+  })
+  .option('create-collections', {
+    type: 'boolean',
+    default: true,
+    description: 'Let search_memory create unknown collections; with --no-create-collections, search_memory and forget_memory fail on unknown collections (stores still create them)'
+  })
+  .option('text-search-language', {
+    type: 'string',
+    default: DEFAULT_TEXT_SEARCH_LANGUAGE,
+    description: 'PostgreSQL text search configuration for collections this server creates (e.g. german, french, simple); configure_collection can choose another per collection'
+  })
+  .option('distance-metric', {
+    type: 'string',
+    choices: DISTANCE_METRIC_NAMES,
+    default: DEFAULT_DISTANCE_METRIC,
+    description: 'Distance metric of semantic search for collections this server creates; configure_collection can choose another per collection'
+  })
+  .option('isolation', {
+    type: 'string',
+    choices: ['none', 'schema', 'rls'],
+    default: 'none',
+    description: 'Tenant isolation: a PostgreSQL schema per tenant (schema), or shared tables guarded by row-level security (rls)'
+  })
+  .option('tenant', {
+    type: 'string',
+    description: 'Tenant this server acts for, with --isolation schema or rls'
+  })
+  .command(
+    '$0',
+    'Run the MCP server over stdio, or over Streamable HTTP with --transport http',
+    (command) => command
+      .option('transport', {
+        type: 'string',
+        choices: ['stdio', 'http'],
+        default: 'stdio',
+        description: 'Serve MCP over stdio, or over Streamable HTTP at http://<http-host>:<http-port>/mcp'
+      })
+      .option('http-host', {
+        type: 'string',
+        default: '127.0.0.1',
+        description: 'Interface the HTTP transport listens on (0.0.0.0 for all)'
+      })
+      .option('http-port', {
+        type: 'number',
+        default: 3000,
+        description: 'Port the HTTP transport listens on'
+      })
+      .option('auth', {
+        type: 'boolean',
+        default: false,
+        description: 'Require a bearer token created with the token command on every HTTP request, and limit each client to the collections its token grants'
+      })
+      .option('prune-interval', {
+        type: 'number',
+        default: 3600,
+        description: 'Seconds between background deletions of expired memories (0 to leave them to the prune command)'
+      })
+      .option('shutdown-timeout', {
+        type: 'number',
+        default: 30,
+        description: 'Seconds to wait for tool calls in progress on SIGTERM or SIGINT before exiting'
+      }),
+    runServer
+  )
+  .command(
+    'reembed',
+    'Migrate a collection to --embedding-model in resumable batches; the old embeddings serve searches until the cutover',
+    (command) => command
+      .option('batch-size', {
+        type: 'number',
+        default: 100,
+        description: 'Rows embedded per batch'
+      })
+      .option('abort', {
+        type: 'boolean',
+        default: false,
+        description: 'Cancel an unfinished migration and keep the current model'
+      })
+      .demandOption('collection', 'Specify the collection to migrate with --collection'),
+    reembed
+  )
+  .command(
+    'migrate',
+    'Report and apply pending schema upgrades to every collection in the database',
+    (command) => command
+      .option('dry-run', {
+        type: 'boolean',
+        default: false,
+        description: 'Only report the schema version and pending upgrades of each collection'
+      }),
+    migrate
+  )
+  .command(
+    'prune',
+    'Delete expired memories from every collection; expired memories are already hidden from searches',
+    (command) => command
+      .option('batch-size', {
+        type: 'number',
+        default: DEFAULT_PRUNE_BATCH_SIZE,
+        description: 'Documents deleted per statement'
+      }),
+    prune
+  )
+  .command(
+    'export',
+    'Write --collection as JSONL: a header line with its model and settings, then one line per memory and chunk',
+    (command) => command
+      .option('output', {
+        type: 'string',
+        description: 'File to write (default: stdout)'
+      })
+      .option('embeddings', {
+        type: 'boolean',
+        default: false,
+        description: 'Include embeddings, so an import with the same embedding model does not embed again'
+      })
+      .demandOption('collection', 'Specify the collection to export with --collection'),
+    exportCollection
+  )
+  .command(
+    'import',
+    'Load a JSONL export into --collection, creating it with the exported settings; rows are embedded again unless the export has embeddings of --embedding-model. Rows already present are skipped, so an interrupted import resumes when run again',
+    (command) => command
+      .option('input', {
+        type: 'string',
+        description: 'File to read (default: stdin)'
+      })
+      .option('batch-size', {
+        type: 'number',
+        default: 100,
+        description: 'Rows embedded and inserted per batch'
+      })
+      .demandOption('collection', 'Specify the collection to import into with --collection'),
+    importCollection
+  )
+  .command(
+    'reindex',
+    'Rebuild the indexes of --collection, or of every collection, and refresh planner statistics; run after bulk loads. Writes to a collection wait while it is reindexed',
+    () => {},
+    reindex
+  )
+  .command(
+    'store [content]',
+    'Store a memory in --collection, as store_memory does; reads the content from stdin when it is not given',
+    (command) => memoryCommand(command)
+      .positional('content', {
+        type: 'string',
+        description: 'Text to store'
+      })
+      .option('metadata', {
+        type: 'string',
+        coerce: jsonObjectOption('metadata'),
+        description: 'Metadata as a JSON object, e.g. \'{"project": "alpha"}\''
+      })
+      .option('key', {
+        type: 'string',
+        description: 'Caller-supplied key; storing again with the same key updates the memory'
+      })
+      .option('ttl', {
+        type: 'number',
+        description: 'Seconds until the memory expires'
+      })
+      .option('expires-at', {
+        type: 'string',
+        description: 'When the memory expires (ISO 8601), instead of --ttl'
+      })
+      .option('pinned', {
+        type: 'boolean',
+        description: 'The memory never expires, whatever the collection\'s default_ttl'
+      }),
+    storeMemory
+  )
+  .command(
+    'search [query]',
+    'Search --collection, as search_memory does',
+    (command) => memoryCommand(command)
+      .positional('query', {
+        type: 'string',
+        description: 'Search query text (optional with --cursor)'
+      })
+      .option('mode', {
+        type: 'string',
+        choices: ['semantic', 'fulltext', 'hybrid'],
+        description: 'Search mode (default: semantic)'
+      })
+      .option('limit', {
+        type: 'number',
+        description: 'Maximum number of results (default: 10)'
+      })
+      .option('results', {
+        type: 'string',
+        choices: ['chunks', 'documents'],
+        description: 'Return the best-matching chunks of chunked documents, or their parent documents'
+      })
+      .option('filter', {
+        type: 'string',
+        coerce: jsonObjectOption('filter'),
+        description: 'Metadata filter as a JSON object, e.g. \'{"priority": {"$gte": 2}}\''
+      })
+      .option('min-similarity', {
+        type: 'number',
+        description: 'Leave out results scoring below this (0 to 1)'
+      })
+      .option('created-after', {
+        type: 'string',
+        description: 'Only memories created at or after this time (ISO 8601)'
+      })
+      .option('created-before', {
+        type: 'string',
+        description: 'Only memories created before this time (ISO 8601)'
+      })
+      .option('cursor', {
+        type: 'string',
+        description: 'Cursor printed by a previous search, to get its next page'
+      })
+      .check(argv => {
+        if (argv.query === undefined && argv.cursor === undefined) {
+          throw new Error('Specify a query, or --cursor to continue a search');
+        }
+        return true;
+      }),
+    searchMemory
+  )
+  .command(
+    'list',
+    'List the memories of --collection, newest first, as list_memories does',
+    (command) => memoryCommand(command)
+      .option('order', {
+        type: 'string',
+        choices: ['newest', 'oldest'],
+        description: 'Order of the memories (default: newest)'
+      })
+      .option('limit', {
+        type: 'number',
+        description: 'Maximum number of memories (default: 20)'
+      })
+      .option('filter', {
+        type: 'string',
+        coerce: jsonObjectOption('filter'),
+        description: 'Metadata filter as a JSON object'
+      })
+      .option('created-after', {
+        type: 'string',
+        description: 'Only memories created at or after this time (ISO 8601)'
+      })
+      .option('created-before', {
+        type: 'string',
+        description: 'Only memories created before this time (ISO 8601)'
+      })
+      .option('cursor', {
+        type: 'string',
+        description: 'Cursor printed by a previous list, to get its next page'
+      }),
+    listMemories
+  )
+  .command(
+    'forget <id>',
+    'Delete a memory, and its chunks, from --collection, as forget_memory does',
+    (command) => memoryCommand(command)
+      .positional('id', {
+        type: 'string',
+        description: 'ID of the memory (mem_... or key:<key>)'
+      }),
+    forgetMemory
+  )
+  .command(
+    'stats',
+    'Describe --collection, as collection_stats does',
+    (command) => memoryCommand(command)
+      .option('metadata-keys-limit', {
+        type: 'number',
+        description: 'Maximum number of metadata keys to report (default: 20)'
+      }),
+    collectionStats
+  )
+  .command(
+    'token',
+    'Manage bearer tokens for the HTTP transport (see --auth)',
+    (command) => command
+      .command(
+        'create',
+        'Create a token and print it; only a hash is stored, so it cannot be shown again',
+        (create) => create
+          .option('name', {
+            type: 'string',
+            demandOption: true,
+            description: 'Unique name of the token, e.g. the client it is for'
+          })
+          .option('grant', {
+            type: 'array',
+            string: true,
+            demandOption: true,
+            description: 'Permissions on a collection as collection=read,write,delete; repeatable, * for every collection'
+          }),
+        createToken
+      )
+      .command('list', 'List tokens and their grants', () => {}, listTokens)
+      .command(
+        'revoke',
+        'Revoke a token; requests using it are refused from then on',
+        (revoke) => revoke.option('name', {
+          type: 'string',
+          demandOption: true,
+          description: 'Name of the token to revoke'
+        }),
+        revokeToken
+      )
+      .demandCommand(1, 'Specify a token command: create, list or revoke')
+  )
   .help()
-  .argv;
+  .parse();
+
+function createServer(argv) {
+  return new PostgresMCPServer(
+    argv.host,
+    argv.port,
+    argv.database,
+    argv.user,
+    process.env.PGPASSWORD || 'postgres',
+    argv.collection,
+    argv['embedding-model'],
+    {
+      createCollections: argv['create-collections'],
+      textSearchLanguage: argv['text-search-language'],
+      distanceMetric: argv['distance-metric'],
+      pruneInterval: argv['prune-interval'],
+      isolation: argv.isolation,
+      tenant: argv.tenant,
+      hybrid: {
+        fusion: argv['hybrid-fusion'],
+        semanticWeight: argv['hybrid-semantic-weight'],
+        fulltextWeight: argv['hybrid-fulltext-weight'],
+        rrfK: argv['hybrid-rrf-k'],
+      },
+      embeddingProvider: {
+        endpoint: argv['embedding-endpoint'],
+        dimensions: argv['embedding-dimensions'],
+        apiKey: process.env.EMBEDDING_API_KEY,
+      },
+      embeddingCache: {
+        enabled: argv['embedding-cache'],
+        maxEntries: argv['embedding-cache-max-entries'],
+        maxAgeDays: argv['embedding-cache-max-age-days'],
+      },
+    }
+  );
+}
 
-async function main() {
+async function runServer(argv) {
+  let server;
   try {
-    const server = new PostgresMCPServer(
-      argv.host,
-      argv.port,
-      argv.database,
-      argv.user,
-      process.env.PGPASSWORD || 'postgres',
-      argv.collection,
-      argv['embedding-model']
-    );
-    await server.run();
+    server = createServer(argv);
+    if (argv.transport === 'http') {
+      await server.runHttp({ host: argv['http-host'], port: argv['http-port'], auth: argv.auth });
+    } else {
+      await server.run();
+    }
   } catch (error) {
     console.error('Failed to start MCP server:', error);
     process.exit(1);
   }
+
+  let stopping = false;
+  const stop = async (signal) => {
+    if (stopping) {
+      return;
+    }
+    stopping = true;
+    console.error(`Received ${signal}, shutting down`);
+    try {
+      await server.shutdown({ timeoutMs: argv['shutdown-timeout'] * 1000 });
+      process.exit(0);
+    } catch (error) {
+      console.error(`Shutdown failed: ${error.message}`);
+      process.exit(1);
+    }
+  };
+  process.on('SIGTERM', () => stop('SIGTERM'));
+  process.on('SIGINT', () => stop('SIGINT'));
+}
+
+async function reembed(argv) {
+  const server = createServer(argv);
+  try {
+    const result = argv.abort
+      ? await server.abortReembed(argv.collection)
+      : await server.reembedCollection(argv.collection, {
+        batchSize: argv['batch-size'],
+        onProgress: ({ embedded, failed }) => console.error(`Embedded ${embedded} rows (${failed} failed)`),
+      });
+    console.log(JSON.stringify(result, null, 2));
+    if (result.status === 'incomplete') {
+      console.error('Some rows could not be embedded; run the command again to retry them');
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error(`reembed failed: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await server.close();
+  }
+}
+
+async function migrate(argv) {
+  const server = createServer(argv);
+  try {
+    const results = argv['dry-run'] ? await server.migrationStatus() : await server.migrateCollections();
+    console.log(JSON.stringify(results, null, 2));
+    if (results.some(result => result.error)) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error(`migrate failed: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await server.close();
+  }
+}
+
+async function prune(argv) {
+  const server = createServer(argv);
+  try {
+    const results = await server.pruneCollections({ batchSize: argv['batch-size'] });
+    console.log(JSON.stringify(results, null, 2));
+    if (results.some(result => result.error)) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error(`prune failed: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await server.close();
+  }
+}
+
+// Resolves at once unless the stream's buffer is full, then once it drains
+function writeLine(stream, line) {
+  return stream.write(`${line}\n`) ? undefined : once(stream, 'drain');
+}
+
+async function* readRecords(input) {
+  let number = 0;
+  for await (const line of createInterface({ input, crlfDelay: Infinity })) {
+    number++;
+    if (line.trim() === '') {
+      continue;
+    }
+    try {
+      yield JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Line ${number}: ${error.message}`);
+    }
+  }
+}
+
+async function exportCollection(argv) {
+  const server = createServer(argv);
+  const output = argv.output ? createWriteStream(argv.output) : process.stdout;
+  try {
+    const result = await server.exportCollection(argv.collection, {
+      embeddings: argv.embeddings,
+      write: record => writeLine(output, JSON.stringify(record)),
+    });
+    console.error(`Exported ${result.exported} rows from ${result.collection}`);
+  } catch (error) {
+    console.error(`export failed: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    if (argv.output) {
+      output.end();
+      await once(output, 'close');
+    }
+    await server.close();
+  }
+}
+
+async function importCollection(argv) {
+  const server = createServer(argv);
+  try {
+    const input = argv.input ? createReadStream(argv.input) : process.stdin;
+    const result = await server.importCollection(argv.collection, readRecords(input), {
+      batchSize: argv['batch-size'],
+      onProgress: ({ imported, skipped, failed }) => console.error(`Imported ${imported} rows (${skipped} already present, ${failed} failed)`),
+    });
+    console.log(JSON.stringify(result, null, 2));
+    if (result.status === 'incomplete') {
+      console.error('Some rows could not be embedded; run the command again to retry them');
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error(`import failed: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await server.close();
+  }
+}
+
+async function reindex(argv) {
+  const server = createServer(argv);
+  try {
+    const results = await server.reindexCollections({ collection: argv.collection });
+    console.log(JSON.stringify(results, null, 2));
+    if (results.some(result => result.error)) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error(`reindex failed: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await server.close();
+  }
+}
+
+// Options shared by the commands that call a tool
+function memoryCommand(command) {
+  return command
+    .option('format', {
+      type: 'string',
+      choices: ['table', 'json'],
+      default: 'table',
+      description: 'Print a human-readable summary, or the tool result as JSON'
+    })
+    .demandOption('collection', 'Specify the collection with --collection');
+}
+
+// Parse an option given as a JSON object, such as --metadata or --filter
+function jsonObjectOption(name) {
+  return (value) => {
+    let parsed;
+    try {
+      parsed = JSON.parse(value);
+    } catch (error) {
+      throw new Error(`--${name} must be a JSON object: ${error.message}`);
+    }
+    if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new Error(`--${name} must be a JSON object`);
+    }
+    return parsed;
+  };
+}
+
+// Call a tool as an MCP client would, leaving out options that were not given,
+// and print its result
+async function runTool(argv, name, args) {
+  const server = createServer(argv);
+  try {
+    const toolArgs = Object.fromEntries(Object.entries(args).filter(([, value]) => value !== undefined));
+    const response = (await server.callTool(name, toolArgs)).structuredContent;
+    if (!response.success) {
+      console.error(`${argv._[0]} failed (${response.code}): ${response.error}`);
+      process.exitCode = 1;
+      return;
+    }
+    console.log(argv.format === 'json' ? JSON.stringify(response.result, null, 2) : formatResult(response.operation, response.result));
+  } catch (error) {
+    console.error(`${argv._[0]} failed: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await server.close();
+  }
+}
+
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+async function storeMemory(argv) {
+  await runTool(argv, 'store_memory', {
+    content: argv.content ?? await readStdin(),
+    metadata: argv.metadata,
+    key: argv.key,
+    ttl: argv.ttl,
+    expires_at: argv['expires-at'],
+    pinned: argv.pinned,
+  });
+}
+
+async function searchMemory(argv) {
+  await runTool(argv, 'search_memory', {
+    query: argv.query,
+    mode: argv.mode,
+    limit: argv.limit,
+    results: argv.results,
+    filter: argv.filter,
+    min_similarity: argv['min-similarity'],
+    created_after: argv['created-after'],
+    created_before: argv['created-before'],
+    cursor: argv.cursor,
+  });
+}
+
+async function listMemories(argv) {
+  await runTool(argv, 'list_memories', {
+    order: argv.order,
+    limit: argv.limit,
+    filter: argv.filter,
+    created_after: argv['created-after'],
+    created_before: argv['created-before'],
+    cursor: argv.cursor,
+  });
+}
+
+async function forgetMemory(argv) {
+  await runTool(argv, 'forget_memory', { id: argv.id });
+}
+
+async function collectionStats(argv) {
+  await runTool(argv, 'collection_stats', { metadata_keys_limit: argv['metadata-keys-limit'] });
+}
+
+// Run a token command and print its result as JSON
+async function withTokens(argv, action) {
+  const server = createServer(argv);
+  try {
+    console.log(JSON.stringify(await action(server), null, 2));
+  } catch (error) {
+    console.error(`token ${argv._[1]} failed: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await server.close();
+  }
+}
+
+async function createToken(argv) {
+  await withTokens(argv, async (server) => {
+    const result = await server.createToken(argv.name, argv.grant);
+    console.error('Store this token now; it cannot be shown again');
+    return result;
+  });
 }
 
-main().catch(error => {
-  console.error('Unhandled error:', error);
-  process.exit(1);
-});
+async function listTokens(argv) {
+  await withTokens(argv, server => server.listTokens());
+}
+
+async function revokeToken(argv) {
+  await withTokens(argv, server => server.revokeToken(argv.name));
+}
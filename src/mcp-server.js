@@ -1,24 +1,395 @@
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
-import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import {
+  CallToolRequestSchema,
+  ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  McpError,
+  ErrorCode,
+} from '@modelcontextprotocol/sdk/types.js';
+import { createHash } from 'crypto';
 import pg from 'pg';
-import { embedText, EMBEDDING_DIMENSIONS } from 'polytokenizer';
+import { compileMetadataFilter } from './metadata-filter.js';
+import { DEFAULT_TEXT_SEARCH_LANGUAGE, validateTextSearchLanguage, getTextSearchLanguage, tsQueryExpression } from './fulltext.js';
+import { DISTANCE_METRICS, DISTANCE_METRIC_NAMES, DEFAULT_DISTANCE_METRIC, validateDistanceMetric, getDistanceMetric } from './distance.js';
+import {
+  VECTOR_INDEX_TYPES, normalizeVectorIndex, getVectorIndex, sameVectorIndex, getRecallSetting, candidateRecallSetting,
+} from './vector-index.js';
+import { encodeCursor, decodeCursor, encodeEmbedding, decodeEmbedding, resumeArgs } from './cursors.js';
+import { DEFAULT_SNIPPETS, normalizeSnippets, headlineOptions, splitPassages, closestPassages, truncateContent } from './snippets.js';
+import { compileTimeRange, getRecencyOptions, applyRecencyDecay, DEFAULT_RECENCY_WEIGHT } from './recency.js';
+import { chunkText, estimateTokens, normalizeChunking, DEFAULT_CHUNKING } from './chunking.js';
+import { EmbeddingCache, DEFAULT_EMBEDDING_CACHE_OPTIONS } from './embedding-cache.js';
+import { createEmbeddingProvider } from './embedding-providers.js';
+import { ChangeListener } from './change-listener.js';
+import { McpHttpServer, MCP_PATH } from './http-server.js';
+import { Tenancy } from './tenancy.js';
+import { LIVE_CONDITION, normalizeDefaultTtl, defaultExpiry, parseExpiry, pruneExpired } from './expiry.js';
+import { ToolError, invalidArgument, errorCode } from './tool-errors.js';
+import { OUTPUT_SCHEMAS, toolResult, toolError } from './tool-output.js';
+import { TokenStore, TOKENS_TABLE, ALL_COLLECTIONS, parseGrant, grantsFromList, hasPermission, checkPermission } from './auth.js';
+import {
+  REGISTRY_TABLE, ensureRegistry, tableExists, migrateCollection, rebuildContentFts, rebuildEmbeddingIndex, createEmbeddingIndex,
+  listCollectionTables, getMigrationStatus,
+} from './migrations.js';
 
 const DEFAULT_EMBEDDING_MODEL = 'google/text-embedding-004';
 
+const DEFAULT_HYBRID_OPTIONS = {
+  fusion: 'rrf',
+  semanticWeight: 0.5,
+  fulltextWeight: 0.5,
+  rrfK: 60,
+};
+
+// Rows per multi-row INSERT. Each row binds 12 parameters, so a statement binds at
+// most 1200, well under PostgreSQL's limit of 65535 (5461 rows).
+const INSERT_BATCH_SIZE = 100;
+
+const MAX_STORE_BATCH_ITEMS = 1000;
+
+// What a store without a key does when the collection already holds identical content
+const DEDUP_POLICIES = ['always_insert', 'skip', 'update_metadata'];
+
+// Caller-supplied keys are stored as IDs of the form key:<key>
+const KEY_ID_PREFIX = 'key:';
+const KEY_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.:\/-]{0,199}$/;
+// Chunks of a document are stored as <document id>_chunk<n>
+const GENERATED_ID_PATTERN = /^mem_\d+_[a-z0-9]+(_chunk\d+)?$/;
+
+// ts_rank normalization 32 maps ranks to rank / (rank + 1), in [0, 1)
+const TS_RANK_NORMALIZATION = 32;
+
+// Each side of a hybrid search fetches this many times the requested limit,
+// so that documents ranked highly by only one mode still make it into the fusion.
+const HYBRID_CANDIDATE_MULTIPLIER = 3;
+
+// When collapsing chunks to documents, fetch this many times the requested limit
+// so that several chunks of the same document do not crowd out other documents.
+const CHUNK_COLLAPSE_MULTIPLIER = 4;
+
+// With a recency decay, fetch this many times the requested limit so that recent
+// memories ranked just below the limit by similarity alone can move up.
+const RECENCY_CANDIDATE_MULTIPLIER = 3;
+
+// Deepest result a search can be paged to; each page ranks every result before it again
+const MAX_SEARCH_DEPTH = 1000;
+
+// Version of the records written by exportCollection
+const EXPORT_FORMAT_VERSION = 1;
+
+// Page size of list_memories
+const DEFAULT_LIST_LIMIT = 20;
+const MAX_LIST_LIMIT = 100;
+
+// Most memories listed by resources/list and by reading a collection resource
+const RESOURCE_LIST_LIMIT = 100;
+
+function generateMemoryId() {
+  return `mem_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+function keyToMemoryId(key) {
+  if (typeof key !== 'string' || !KEY_PATTERN.test(key)) {
+    throw invalidArgument(`Invalid key: ${JSON.stringify(key)}. Keys are 1-200 characters: letters, digits, and _ . : / - (not starting with punctuation)`);
+  }
+  if (/_chunk\d+$/.test(key)) {
+    throw invalidArgument(`Invalid key: "${key}". Keys ending in _chunk<n> are reserved for chunk IDs`);
+  }
+  return `${KEY_ID_PREFIX}${key}`;
+}
+
+function validateMemoryId(id) {
+  const isKeyId = typeof id === 'string' && id.startsWith(KEY_ID_PREFIX) && KEY_PATTERN.test(id.slice(KEY_ID_PREFIX.length));
+  if (!id || !(GENERATED_ID_PATTERN.test(id) || isKeyId)) {
+    throw invalidArgument(`Invalid memory ID format. Expected format: mem_timestamp_randomstring or key:<key>, got: ${id}`);
+  }
+}
+
+function validateCollectionName(tableName) {
+  if (!tableName) {
+    throw invalidArgument('Collection name is required either as argument or default');
+  }
+
+  // Validate table name to prevent SQL injection
+  if (!/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(tableName)) {
+    throw invalidArgument('Invalid collection name. Must start with letter/underscore and contain only alphanumeric characters and underscores');
+  }
+  if (tableName === REGISTRY_TABLE || tableName === TOKENS_TABLE) {
+    throw invalidArgument(`Collection name "${tableName}" is reserved`);
+  }
+}
+
+// Memories are exposed as resources memory://<collection>/<id>, and collections as memory://<collection>
+function memoryUri(collection, id) {
+  return `memory://${collection}/${encodeURIComponent(id)}`;
+}
+
+function collectionUri(collection) {
+  return `memory://${collection}`;
+}
+
+function parseMemoryUri(uri) {
+  const match = /^memory:\/\/([^/]+)(?:\/(.+))?$/.exec(uri);
+  if (!match) {
+    throw invalidArgument(`Invalid resource URI: ${uri}. Expected memory://<collection> or memory://<collection>/<id>`);
+  }
+  validateCollectionName(match[1]);
+  return { collection: match[1], id: match[2] === undefined ? undefined : decodeURIComponent(match[2]) };
+}
+
+// Clients may or may not URI-encode IDs; subscriptions are matched on the encoded form
+function canonicalMemoryUri(uri) {
+  const { collection, id } = parseMemoryUri(uri);
+  return id === undefined ? collectionUri(collection) : memoryUri(collection, id);
+}
+
+// Token grants of an HTTP caller, as set by McpHttpServer when --auth is on
+function getAccess(extra) {
+  return extra?.authInfo?.extra?.access;
+}
+
+function preview(content, length = 200) {
+  return content.length > length ? `${content.slice(0, length)}…` : content;
+}
+
+function contentHash(content) {
+  return createHash('sha256').update(content, 'utf8').digest('hex');
+}
+
+function parseMetadata(metadataJson) {
+  try {
+    return typeof metadataJson === 'string'
+      ? JSON.parse(metadataJson)
+      : (metadataJson || {});
+  } catch (e) {
+    return {};
+  }
+}
+
+function toMemory(row, similarity) {
+  return {
+    id: row.id,
+    content: row.content,
+    similarity,
+    metadata: parseMetadata(row.metadata_json),
+    created_at: row.created_at,
+    ...(row.expires_at && { expires_at: row.expires_at }),
+    ...(row.parent_id && { parent_id: row.parent_id, chunk_index: row.chunk_index }),
+  };
+}
+
+/**
+ * Build the rows that store one document. Content longer than the chunk size
+ * becomes a parent row without an embedding, plus one embedded row per chunk.
+ * Rows to embed carry the text in `embedText`.
+ */
+function buildDocumentRows(id, content, metadata, chunking) {
+  const chunks = chunking && estimateTokens(content) > chunking.max_tokens
+    ? chunkText(content, chunking)
+    : [];
+
+  if (chunks.length <= 1) {
+    return [{ id, content, metadata, embedText: content }];
+  }
+
+  return [
+    { id, content, metadata, chunk_count: chunks.length },
+    ...chunks.map((chunk, index) => ({
+      id: `${id}_chunk${index}`,
+      content: chunk,
+      metadata,
+      parent_id: id,
+      chunk_index: index,
+      embedText: chunk,
+    })),
+  ];
+}
+
+// A timestamp column as ISO 8601 text in UTC, to the microsecond; Date would round it to milliseconds
+function isoTimestampSql(column) {
+  return `to_char(${column} AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.US"Z"')`;
+}
+
+// Check a memory record of an export and turn it into a row for insertRows;
+// number is its position in the export, for error messages
+function importRecord(record, number) {
+  if (record === null || typeof record !== 'object' || record.type !== 'memory') {
+    throw new Error(`Record ${number}: expected a memory record`);
+  }
+  if (typeof record.id !== 'string' || record.id.length === 0) {
+    throw new Error(`Record ${number}: id must be a non-empty string`);
+  }
+  // IDs the tools would refuse could be imported but never updated or forgotten
+  const parentId = record.parent_id ?? null;
+  try {
+    validateMemoryId(record.id);
+    if (parentId !== null) {
+      validateMemoryId(parentId);
+    }
+  } catch (error) {
+    throw new Error(`Record ${number}: ${error.message}`);
+  }
+  if (parentId !== null) {
+    const chunkPrefix = `${parentId}_chunk`;
+    if (!record.id.startsWith(chunkPrefix) || !/^\d+$/.test(record.id.slice(chunkPrefix.length))) {
+      throw new Error(`Record ${number}: the id of a chunk must be <parent_id>_chunk<n>, got: ${record.id}`);
+    }
+  }
+  if (typeof record.content !== 'string') {
+    throw new Error(`Record ${number}: content must be a string`);
+  }
+  if (record.metadata !== undefined && record.metadata !== null
+    && (typeof record.metadata !== 'object' || Array.isArray(record.metadata))) {
+    throw new Error(`Record ${number}: metadata must be an object`);
+  }
+  for (const field of ['created_at', 'updated_at', 'expires_at']) {
+    if (record[field] !== undefined && record[field] !== null && Number.isNaN(Date.parse(record[field]))) {
+      throw new Error(`Record ${number}: ${field} must be an ISO 8601 timestamp`);
+    }
+  }
+  return {
+    id: record.id,
+    content: record.content,
+    metadata: record.metadata ?? {},
+    parent_id: record.parent_id,
+    chunk_index: record.chunk_index,
+    chunk_count: record.chunk_count,
+    expires_at: record.expires_at,
+    pinned: record.pinned === true,
+    created_at: record.created_at,
+    updated_at: record.updated_at,
+    embedding: Array.isArray(record.embedding) ? record.embedding : undefined,
+  };
+}
+
+// Validate the collection settings given in args; settings not given are left out
+function normalizeCollectionSettings(args) {
+  const settings = {};
+  if (args.chunking !== undefined) {
+    settings.chunking = normalizeChunking(args.chunking);
+  }
+  if (args.dedup !== undefined) {
+    if (!DEDUP_POLICIES.includes(args.dedup)) {
+      throw invalidArgument(`Unknown dedup policy: ${args.dedup}. Expected one of: ${DEDUP_POLICIES.join(', ')}`);
+    }
+    settings.dedup = args.dedup;
+  }
+  if (args.default_ttl !== undefined) {
+    settings.default_ttl = normalizeDefaultTtl(args.default_ttl);
+  }
+  if (args.language !== undefined) {
+    settings.language = validateTextSearchLanguage(args.language);
+  }
+  if (args.distance !== undefined) {
+    settings.distance = validateDistanceMetric(args.distance);
+  }
+  if (args.index !== undefined) {
+    settings.index = normalizeVectorIndex(args.index);
+  }
+  return settings;
+}
+
+/**
+ * Merge semantic and fulltext result lists into a single ranking.
+ *
+ * 'rrf' uses reciprocal rank fusion: sum(weight / (rrfK + rank)).
+ * 'weighted' blends the semantic similarity with the fulltext rank normalized
+ * against the best fulltext hit, so both scores fall in [0, 1].
+ *
+ * Either score is divided by its maximum (a memory ranked first by both modes, or
+ * scoring 1 in both), so fused scores fall in [0, 1] like those of other modes.
+ */
+function fuseResults(semanticMemories, fulltextMemories, options) {
+  const { fusion, semanticWeight, fulltextWeight, rrfK } = options;
+  const byId = new Map();
+
+  const collect = (memories, key) => {
+    memories.forEach((memory, index) => {
+      if (!byId.has(memory.id)) {
+        byId.set(memory.id, {
+          memory,
+          ranks: { semantic: null, fulltext: null },
+          scores: { semantic: null, fulltext: null },
+        });
+      }
+      const entry = byId.get(memory.id);
+      entry.ranks[key] = index + 1;
+      entry.scores[key] = memory.similarity;
+    });
+  };
+  collect(semanticMemories, 'semantic');
+  collect(fulltextMemories, 'fulltext');
+
+  const maxFulltextScore = Math.max(0, ...fulltextMemories.map(m => m.similarity));
+  const maxScore = fusion === 'rrf'
+    ? semanticWeight / (rrfK + 1) + fulltextWeight / (rrfK + 1)
+    : semanticWeight + fulltextWeight;
+
+  const fused = [];
+  for (const entry of byId.values()) {
+    let score = 0;
+    if (fusion === 'rrf') {
+      if (entry.ranks.semantic !== null) {
+        score += semanticWeight / (rrfK + entry.ranks.semantic);
+      }
+      if (entry.ranks.fulltext !== null) {
+        score += fulltextWeight / (rrfK + entry.ranks.fulltext);
+      }
+    } else {
+      const semanticScore = entry.scores.semantic ?? 0;
+      const fulltextScore = maxFulltextScore > 0 ? (entry.scores.fulltext ?? 0) / maxFulltextScore : 0;
+      score = semanticWeight * semanticScore + fulltextWeight * fulltextScore;
+    }
+    score = maxScore > 0 ? score / maxScore : 0;
+    fused.push({
+      ...entry.memory,
+      similarity: score,
+      fused_score: score,
+      ranks: entry.ranks,
+      scores: entry.scores,
+    });
+  }
+
+  return fused.sort((a, b) => b.fused_score - a.fused_score);
+}
+
 class PostgresMCPServer {
-  constructor(host, port, database, user, password, fixedCollection, embeddingModel) {
+  constructor(host, port, database, user, password, fixedCollection, embeddingModel, options = {}) {
     this.host = host;
     this.port = port;
     this.database = database;
     this.fixedCollection = fixedCollection;
     this.embeddingModel = embeddingModel || DEFAULT_EMBEDDING_MODEL;
+    this.embeddingProvider = createEmbeddingProvider(this.embeddingModel, options.embeddingProvider);
+    this.hybridOptions = { ...DEFAULT_HYBRID_OPTIONS, ...options.hybrid };
+    // When false, search_memory fails on unknown collections instead of creating them
+    this.createCollections = options.createCollections ?? true;
+    // Text search language of the collections this instance creates
+    this.textSearchLanguage = validateTextSearchLanguage(options.textSearchLanguage ?? DEFAULT_TEXT_SEARCH_LANGUAGE);
+    // Distance metric of the collections this instance creates
+    this.distanceMetric = validateDistanceMetric(options.distanceMetric ?? DEFAULT_DISTANCE_METRIC);
+    // Seconds between background deletions of expired memories; 0 leaves them to the prune command
+    this.pruneInterval = options.pruneInterval ?? 0;
+    this.pruneTimer = null;
+    this.pruning = null;
+    // Collections brought to the current schema version by this instance
+    this.migratedTables = new Set();
+    this.registryReady = null;
+    // Database-enforced tenant isolation, when enabled (see tenancy.js)
+    this.tenancy = options.isolation && options.isolation !== 'none'
+      ? new Tenancy(options.isolation, options.tenant)
+      : null;
 
     if (!host || !port || !database) {
       throw new Error('PostgreSQL host, port, and database are required');
     }
 
-    this.pool = new pg.Pool({
+    const pool = new pg.Pool({
       host,
       port,
       database,
@@ -28,8 +399,34 @@ class PostgresMCPServer {
       idleTimeoutMillis: 30000,
       connectionTimeoutMillis: 2000,
     });
+    // Collections and the registry are reached through the tenant's scope; the embedding
+    // cache (whose entries are keyed by tenant) and tokens are shared by every tenant
+    this.sharedPool = pool;
+    this.pool = this.tenancy ? this.tenancy.wrapPool(pool) : pool;
+
+    this.embeddingCache = new EmbeddingCache(this.sharedPool, options.embeddingCache);
+    this.tokens = new TokenStore(this.sharedPool);
+
+    // Canonical resource URI -> (MCP server -> URI as subscribed by its client); changes arrive
+    // through Postgres NOTIFY
+    this.subscriptions = new Map();
+    this.changeListener = new ChangeListener(
+      { host, port, database, user, password },
+      change => this.handleMemoryChange(change)
+    );
 
-    this.server = new Server(
+    // Tool calls in progress, so that shutdown can wait for them
+    this.inFlight = new Set();
+    this.shuttingDown = false;
+    this.httpServer = null;
+
+    // The stdio server; with the HTTP transport, each session gets a server of its own
+    this.server = this.createMcpServer();
+  }
+
+  // An MCP server whose handlers use this instance's pool and settings
+  createMcpServer() {
+    const server = new Server(
       {
         name: 'postgres-mcp-server',
         version: '1.0.0',
@@ -37,17 +434,55 @@ class PostgresMCPServer {
       {
         capabilities: {
           tools: {},
+          resources: { subscribe: true },
         },
       }
     );
 
-    this.setupHandlers();
+    this.setupHandlers(server);
+    return server;
   }
 
-  setupHandlers() {
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => {
+  setupHandlers(server) {
+    server.setRequestHandler(ListToolsRequestSchema, async () => {
       const hasFixedCollection = !!this.fixedCollection;
 
+      const keyProperty = {
+        type: 'string',
+        description: 'Optional caller-supplied key. Storing again with the same key updates the memory (ID key:<key>) instead of creating a duplicate, so retries are safe.'
+      };
+
+      const expiryProperties = {
+        ttl: {
+          type: 'integer',
+          minimum: 1,
+          description: 'Seconds until the memory expires; expired memories disappear from searches. Defaults to the collection\'s default_ttl, if any'
+        },
+        expires_at: {
+          type: 'string',
+          format: 'date-time',
+          description: 'When the memory expires (ISO 8601), instead of ttl'
+        },
+        pinned: {
+          type: 'boolean',
+          description: 'true: the memory never expires, whatever the collection\'s default_ttl'
+        },
+      };
+
+      const chunkingProperty = {
+        description: 'Split long content into overlapping chunks that are embedded and searched separately. true uses the collection settings (or defaults), false disables chunking, or pass { max_tokens, overlap_tokens }. Defaults to the collection settings.',
+        oneOf: [
+          { type: 'boolean' },
+          {
+            type: 'object',
+            properties: {
+              max_tokens: { type: 'integer', default: DEFAULT_CHUNKING.max_tokens, description: 'Maximum (estimated) tokens per chunk' },
+              overlap_tokens: { type: 'integer', default: DEFAULT_CHUNKING.overlap_tokens, description: 'Tokens repeated from the end of the previous chunk' }
+            }
+          }
+        ]
+      };
+
       return {
         tools: [
           {
@@ -65,6 +500,9 @@ class PostgresMCPServer {
                   description: 'Additional metadata to store with the memory',
                   additionalProperties: true
                 },
+                key: keyProperty,
+                chunking: chunkingProperty,
+                ...expiryProperties,
                 ...(hasFixedCollection ? {} : {
                   collection: {
                     type: 'string',
@@ -73,7 +511,47 @@ class PostgresMCPServer {
                 }),
               },
               required: ['content']
-            }
+            },
+            outputSchema: OUTPUT_SCHEMAS.store_memory
+          },
+          {
+            name: 'store_memories',
+            description: `Store many memories/documents in one call (up to ${MAX_STORE_BATCH_ITEMS}). Embeddings are generated in batches and rows are inserted in a single transaction; success or failure is reported per item. The collection will be created if it does not exist.`,
+            inputSchema: {
+              type: 'object',
+              properties: {
+                items: {
+                  type: 'array',
+                  description: 'Memories to store',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      content: {
+                        type: 'string',
+                        description: 'The text content to store'
+                      },
+                      metadata: {
+                        type: 'object',
+                        description: 'Additional metadata to store with the memory',
+                        additionalProperties: true
+                      },
+                      key: keyProperty,
+                      ...expiryProperties
+                    },
+                    required: ['content']
+                  }
+                },
+                chunking: chunkingProperty,
+                ...(hasFixedCollection ? {} : {
+                  collection: {
+                    type: 'string',
+                    description: 'Collection name'
+                  }
+                }),
+              },
+              required: ['items']
+            },
+            outputSchema: OUTPUT_SCHEMAS.store_memories
           },
           {
             name: 'search_memory',
@@ -83,19 +561,108 @@ class PostgresMCPServer {
               properties: {
                 query: {
                   type: 'string',
-                  description: 'Search query text'
+                  description: 'Search query text. In fulltext and hybrid modes, "quoted phrases" must match in order, OR separates alternatives and -word excludes a word'
                 },
                 mode: {
                   type: 'string',
-                  enum: ['semantic', 'fulltext'],
+                  enum: ['semantic', 'fulltext', 'hybrid'],
                   default: 'semantic',
-                  description: 'Search mode: semantic (embedding-based) or fulltext'
+                  description: 'Search mode: semantic (embedding-based), fulltext, or hybrid (both, fused into one ranking)'
                 },
                 limit: {
                   type: 'number',
                   default: 10,
                   description: 'Maximum number of results to return'
                 },
+                results: {
+                  type: 'string',
+                  enum: ['chunks', 'documents'],
+                  default: 'chunks',
+                  description: 'For chunked documents: return the best-matching chunks, or collapse them to their parent documents'
+                },
+                filter: {
+                  type: 'object',
+                  description: 'Restrict results by metadata. Plain values match exactly; nested keys use dots ("a.b"). Operators: $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin, $contains, $exists, and $and/$or/$not for combining filters. Example: { "project": "alpha", "priority": { "$gte": 2 }, "tags": { "$contains": "bug" } }',
+                  additionalProperties: true
+                },
+                min_similarity: {
+                  type: 'number',
+                  minimum: 0,
+                  maximum: 1,
+                  description: 'Drop results whose similarity, a score from 0 to 1 in every mode, is below this'
+                },
+                ef_search: {
+                  type: 'integer',
+                  minimum: 1,
+                  maximum: 1000,
+                  description: 'Candidates an HNSW index returns for this search (default 40); raise it when filtered searches return fewer results than limit, at some speed cost'
+                },
+                probes: {
+                  type: 'integer',
+                  minimum: 1,
+                  description: 'IVFFlat lists scanned for this search (default 1); raise it for better recall, at some speed cost'
+                },
+                snippets: {
+                  oneOf: [
+                    { type: 'boolean' },
+                    {
+                      type: 'object',
+                      properties: {
+                        max_fragments: { type: 'integer', minimum: 1, maximum: 10, default: DEFAULT_SNIPPETS.max_fragments },
+                        max_words: { type: 'integer', minimum: 5, maximum: 200, default: DEFAULT_SNIPPETS.max_words },
+                      },
+                      additionalProperties: false
+                    }
+                  ],
+                  description: 'Add a snippet to each result showing why it matched: for fulltext matches, fragments with the query terms highlighted in **bold**; for semantic matches, the passages closest to the query. true for defaults, or { max_fragments, max_words }'
+                },
+                max_content_chars: {
+                  type: 'integer',
+                  minimum: 0,
+                  description: 'Return at most this many characters of each result\'s content (truncated results have content_truncated and content_length); 0 to return snippets only'
+                },
+                prefix: {
+                  type: 'boolean',
+                  default: false,
+                  description: 'Fulltext and hybrid modes: also match words that begin with each query term (e.g. "deplo" matches "deployment")'
+                },
+                created_after: {
+                  type: 'string',
+                  description: 'Only return memories created after this ISO 8601 timestamp'
+                },
+                created_before: {
+                  type: 'string',
+                  description: 'Only return memories created before this ISO 8601 timestamp'
+                },
+                recency_half_life: {
+                  type: 'number',
+                  description: 'Favor recent memories: scores decay exponentially with age, halving every this many seconds (e.g. 604800 for a week). Results then show raw_similarity and recency_decay next to the adjusted similarity'
+                },
+                recency_weight: {
+                  type: 'number',
+                  default: DEFAULT_RECENCY_WEIGHT,
+                  description: 'With recency_half_life: share of the score subject to the decay, from 0 (none) to 1 (all)'
+                },
+                fusion: {
+                  type: 'string',
+                  enum: ['rrf', 'weighted'],
+                  default: this.hybridOptions.fusion,
+                  description: 'Hybrid mode only: reciprocal rank fusion (rrf) or weighted score blending (weighted)'
+                },
+                semantic_weight: {
+                  type: 'number',
+                  default: this.hybridOptions.semanticWeight,
+                  description: 'Hybrid mode only: weight of the semantic ranking'
+                },
+                fulltext_weight: {
+                  type: 'number',
+                  default: this.hybridOptions.fulltextWeight,
+                  description: 'Hybrid mode only: weight of the fulltext ranking'
+                },
+                cursor: {
+                  type: 'string',
+                  description: 'The next_cursor of a previous search, to get its next page; pass it with the same arguments. The query is not embedded again'
+                },
                 ...(hasFixedCollection ? {} : {
                   collection: {
                     type: 'string',
@@ -104,7 +671,109 @@ class PostgresMCPServer {
                 }),
               },
               required: ['query']
-            }
+            },
+            outputSchema: OUTPUT_SCHEMAS.search_memory
+          },
+          {
+            name: 'list_memories',
+            description: 'Browse the memories/documents of a collection by creation time, without a query, a page at a time',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                order: {
+                  type: 'string',
+                  enum: ['newest', 'oldest'],
+                  default: 'newest',
+                  description: 'List the newest or the oldest memories first'
+                },
+                limit: {
+                  type: 'integer',
+                  minimum: 1,
+                  maximum: MAX_LIST_LIMIT,
+                  default: DEFAULT_LIST_LIMIT,
+                  description: 'Maximum number of memories per page'
+                },
+                filter: {
+                  type: 'object',
+                  description: 'Restrict memories by metadata, with the operators of search_memory. Example: { "project": "alpha" }',
+                  additionalProperties: true
+                },
+                created_after: {
+                  type: 'string',
+                  description: 'Only list memories created after this ISO 8601 timestamp'
+                },
+                created_before: {
+                  type: 'string',
+                  description: 'Only list memories created before this ISO 8601 timestamp'
+                },
+                max_content_chars: {
+                  type: 'integer',
+                  minimum: 0,
+                  description: 'Cap the content of each memory at this many characters; truncated memories have content_truncated and content_length'
+                },
+                cursor: {
+                  type: 'string',
+                  description: 'The next_cursor of the previous page; pass it with the same order and filters'
+                },
+                ...(hasFixedCollection ? {} : {
+                  collection: {
+                    type: 'string',
+                    description: 'Collection name'
+                  }
+                }),
+              },
+              ...(hasFixedCollection ? {} : { required: ['collection'] })
+            },
+            outputSchema: OUTPUT_SCHEMAS.list_memories
+          },
+          {
+            name: 'update_memory',
+            description: 'Update the content, metadata and/or expiry of an existing memory/document, keeping its ID and creation time. The embedding is regenerated only when the content changes.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                id: {
+                  type: 'string',
+                  description: 'ID of the memory to update (mem_... or key:<key>)'
+                },
+                content: {
+                  type: 'string',
+                  description: 'New text content (omit to keep the current content)'
+                },
+                metadata: {
+                  type: 'object',
+                  description: 'New metadata (omit to keep the current metadata)',
+                  additionalProperties: true
+                },
+                metadata_mode: {
+                  type: 'string',
+                  enum: ['merge', 'replace'],
+                  default: 'merge',
+                  description: 'merge: shallow-merge the given keys into the existing metadata; replace: overwrite the metadata entirely'
+                },
+                chunking: chunkingProperty,
+                ttl: {
+                  ...expiryProperties.ttl,
+                  description: 'Extend (or shorten) the memory\'s life to this many seconds from now'
+                },
+                expires_at: {
+                  ...expiryProperties.expires_at,
+                  description: 'New expiry time (ISO 8601), instead of ttl'
+                },
+                pinned: {
+                  type: 'boolean',
+                  description: 'true: never expire; false: unpin, expiring after the collection\'s default_ttl from now (if any)'
+                },
+                ...(hasFixedCollection ? {} : {
+                  collection: {
+                    type: 'string',
+                    description: 'Collection name'
+                  }
+                }),
+              },
+              required: ['id']
+            },
+            outputSchema: OUTPUT_SCHEMAS.update_memory
           },
           {
             name: 'forget_memory',
@@ -114,7 +783,7 @@ class PostgresMCPServer {
               properties: {
                 id: {
                   type: 'string',
-                  description: 'Auto-generated ID of the memory to delete'
+                  description: 'ID of the memory to delete (mem_... or key:<key>)'
                 },
                 ...(hasFixedCollection ? {} : {
                   collection: {
@@ -124,390 +793,2353 @@ class PostgresMCPServer {
                 }),
               },
               required: ['id']
-            }
+            },
+            outputSchema: OUTPUT_SCHEMAS.forget_memory
+          },
+          {
+            name: 'configure_collection',
+            description: 'Create a collection if it does not exist and update its settings. Settings apply to later calls; omitted settings are left unchanged.',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                chunking: {
+                  ...chunkingProperty,
+                  description: 'Default chunking for documents stored in this collection: false to disable, true for defaults, or { max_tokens, overlap_tokens }'
+                },
+                dedup: {
+                  type: 'string',
+                  enum: DEDUP_POLICIES,
+                  description: 'What storing content identical to an existing memory does (stores with a key always upsert instead): always_insert stores a duplicate, skip returns the existing memory, update_metadata replaces the existing memory\'s metadata'
+                },
+                default_ttl: {
+                  type: ['integer', 'null'],
+                  minimum: 0,
+                  description: 'Seconds after which memories stored without ttl, expires_at or pinned expire; 0 or null for no default'
+                },
+                distance: {
+                  type: 'string',
+                  enum: DISTANCE_METRIC_NAMES,
+                  description: 'Distance metric of semantic search: cosine, inner_product (for normalized embeddings) or l2. Best chosen when the collection is created; changing it rebuilds the vector index'
+                },
+                language: {
+                  type: 'string',
+                  description: 'Text search language used to index and query content in fulltext and hybrid search: a PostgreSQL text search configuration such as english, german, french, spanish or simple (no stemming). Best chosen when the collection is created; changing it rebuilds the full-text index'
+                },
+                index: {
+                  oneOf: [
+                    { type: 'string', enum: VECTOR_INDEX_TYPES },
+                    {
+                      type: 'object',
+                      properties: {
+                        type: { type: 'string', enum: VECTOR_INDEX_TYPES },
+                        m: { type: 'integer', minimum: 2, maximum: 100, description: 'HNSW: connections per node (default 16)' },
+                        ef_construction: { type: 'integer', minimum: 4, maximum: 1000, description: 'HNSW: candidate list size while building, at least twice m (default 64)' },
+                        lists: { type: 'integer', minimum: 1, maximum: 32768, description: 'IVFFlat: number of clusters (default 100; about rows / 1000 up to a million rows)' },
+                      },
+                      required: ['type'],
+                    },
+                  ],
+                  description: 'Vector index of semantic search: hnsw (the default), ivfflat, or none for small collections, which are searched exactly by a sequential scan. Changing it rebuilds the vector index; IVFFlat indexes should be rebuilt with the reindex command after bulk loads'
+                },
+                ...(hasFixedCollection ? {} : {
+                  collection: {
+                    type: 'string',
+                    description: 'Collection name'
+                  }
+                }),
+              }
+            },
+            outputSchema: OUTPUT_SCHEMAS.configure_collection
+          },
+          {
+            name: 'list_collections',
+            description: 'List the memory collections in the database, with their embedding model and approximate size',
+            inputSchema: {
+              type: 'object',
+              properties: {}
+            },
+            outputSchema: OUTPUT_SCHEMAS.list_collections
+          },
+          {
+            name: 'collection_stats',
+            description: 'Describe a collection: row counts, storage size, embedding model and dimension, indexes, oldest and newest created_at, and the most common metadata keys',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                metadata_keys_limit: {
+                  type: 'number',
+                  description: 'Maximum number of metadata keys to report, most common first (default: 20)',
+                  default: 20
+                },
+                ...(hasFixedCollection ? {} : {
+                  collection: {
+                    type: 'string',
+                    description: 'Collection name'
+                  }
+                }),
+              },
+              ...(hasFixedCollection ? {} : { required: ['collection'] })
+            },
+            outputSchema: OUTPUT_SCHEMAS.collection_stats
           }
         ]
       };
     });
 
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
       const { name, arguments: args } = request.params;
-
-      switch (name) {
-        case 'store_memory':
-          return await this.storeMemory(args);
-        case 'search_memory':
-          return await this.searchMemory(args);
-        case 'forget_memory':
-          return await this.forgetMemory(args);
-        default:
-          throw new Error(`Unknown tool: ${name}`);
+      // Not a tool failure: the request is refused before any tool runs
+      if (this.shuttingDown) {
+        throw new McpError(ErrorCode.InvalidRequest, 'Server is shutting down');
       }
+      return this.track(this.callTool(name, args, getAccess(extra)));
     });
-  }
-
-  getCollectionName(args) {
-    return args.collection || this.fixedCollection;
-  }
-
-  async ensureTable(tableName) {
-    if (!tableName) {
-      throw new Error('Collection name is required either as argument or default');
-    }
-
-    // Validate table name to prevent SQL injection
-    if (!/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(tableName)) {
-      throw new Error('Invalid collection name. Must start with letter/underscore and contain only alphanumeric characters and underscores');
-    }
-
-    const expectedDim = EMBEDDING_DIMENSIONS[this.embeddingModel];
 
-    if (!expectedDim) {
-      const availableModels = Object.keys(EMBEDDING_DIMENSIONS);
-      throw new Error(`Model '${this.embeddingModel}' not found in EMBEDDING_DIMENSIONS. Available models: ${availableModels.join(', ')}`);
-    }
+    server.setRequestHandler(ListResourcesRequestSchema, async (request, extra) => {
+      return { resources: await this.listResources(getAccess(extra)) };
+    });
+
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+      return {
+        resourceTemplates: [
+          {
+            uriTemplate: 'memory://{collection}',
+            name: 'collection',
+            description: `The ${RESOURCE_LIST_LIMIT} most recent memories in a collection, with their URIs`,
+            mimeType: 'application/json'
+          },
+          {
+            uriTemplate: 'memory://{collection}/{id}',
+            name: 'memory',
+            description: 'The content of a single memory (IDs are URI-encoded)',
+            mimeType: 'text/plain'
+          }
+        ]
+      };
+    });
+
+    server.setRequestHandler(ReadResourceRequestSchema, async (request, extra) => {
+      return this.readResource(request.params.uri, getAccess(extra));
+    });
+
+    server.setRequestHandler(SubscribeRequestSchema, async (request, extra) => {
+      await this.subscribe(request.params.uri, server, getAccess(extra));
+      return {};
+    });
+
+    server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+      await this.unsubscribe(request.params.uri, server);
+      return {};
+    });
+  }
+
+  /**
+   * @param {string} name - Tool name
+   * @param {object} args - Tool arguments
+   * @param {object} [access] - The caller's token grants; unrestricted when omitted
+   */
+  async callTool(name, args, access) {
+    switch (name) {
+      case 'store_memory':
+        return await this.storeMemory(args, access);
+      case 'store_memories':
+        return await this.storeMemories(args, access);
+      case 'search_memory':
+        return await this.searchMemory(args, access);
+      case 'list_memories':
+        return await this.listMemories(args, access);
+      case 'update_memory':
+        return await this.updateMemory(args, access);
+      case 'forget_memory':
+        return await this.forgetMemory(args, access);
+      case 'configure_collection':
+        return await this.configureCollection(args, access);
+      case 'list_collections':
+        return await this.listCollections(access);
+      case 'collection_stats':
+        return await this.collectionStats(args, access);
+      default:
+        return toolError(name, invalidArgument(`Unknown tool: ${name}`));
+    }
+  }
+
+  // Keep track of a tool call until it settles
+  async track(promise) {
+    this.inFlight.add(promise);
+    try {
+      return await promise;
+    } finally {
+      this.inFlight.delete(promise);
+    }
+  }
+
+  // The collection a tool call uses, once the caller is known to have the permission it needs
+  getCollectionName(args, access, permission) {
+    const tableName = args.collection || this.fixedCollection;
+    if (tableName) {
+      checkPermission(access, tableName, permission);
+    }
+    return tableName;
+  }
+
+  async collectionExists(client, tableName) {
+    return tableExists(client, tableName);
+  }
+
+  async ensureRegistry() {
+    if (!this.registryReady) {
+      this.registryReady = (async () => {
+        await this.tenancy?.prepare(this.sharedPool);
+        await ensureRegistry(this.pool);
+      })().catch(error => {
+        this.registryReady = null;
+        throw error;
+      });
+    }
+    await this.registryReady;
+  }
+
+  async getCollectionSettings(queryable, tableName) {
+    const result = await queryable.query(`SELECT settings FROM ${REGISTRY_TABLE} WHERE name = $1;`, [tableName]);
+    return result.rows.length > 0 ? result.rows[0].settings : {};
+  }
+
+  resolveChunking(chunkingArg, settings) {
+    if (chunkingArg === true) {
+      return normalizeChunking(settings.chunking || true);
+    }
+    return normalizeChunking(chunkingArg !== undefined ? chunkingArg : settings.chunking);
+  }
+
+  /**
+   * Bring a collection to the current schema, creating it if needed.
+   * With create: false, unknown collections are an error.
+   * With checkModel: false, collections embedded with another model are accepted
+   * (for operations that do not touch embeddings).
+   */
+  async ensureTable(tableName, {
+    create = true, checkModel = true, language = this.textSearchLanguage, distance = this.distanceMetric, index,
+  } = {}) {
+    validateCollectionName(tableName);
+
+    const expectedDim = create || checkModel ? this.embeddingProvider.getDimensions() : undefined;
+
+    await this.ensureRegistry();
 
     const client = await this.pool.connect();
     try {
-      // Check if table exists
-      const checkTableQuery = `
-        SELECT EXISTS (
-          SELECT FROM information_schema.tables
-          WHERE table_name = $1
-        );
-      `;
-      const tableExists = await client.query(checkTableQuery, [tableName]);
-
-      if (!tableExists.rows[0].exists) {
-        // Create table with pgvector and full-text search support
-        const createTableQuery = `
-          CREATE TABLE ${tableName} (
-            id TEXT PRIMARY KEY,
-            content TEXT NOT NULL,
-            embedding vector(${expectedDim}),
-            content_fts tsvector GENERATED ALWAYS AS (to_tsvector('english', content)) STORED,
-            metadata_json JSONB,
-            created_at TIMESTAMPTZ DEFAULT NOW()
-          );
-        `;
-        await client.query(createTableQuery);
+      // Tables can be dropped behind our back, so existence is checked every time
+      if (!this.migratedTables.has(tableName) || !await this.collectionExists(client, tableName)) {
+        await migrateCollection(this.pool, tableName, create ? { embeddingModel: this.embeddingModel, dimensions: expectedDim, language, distance, index } : undefined);
+        await this.tenancy?.secureTable(this.sharedPool, tableName);
+        this.migratedTables.add(tableName);
+      }
+      if (checkModel) {
+        await this.checkEmbeddingModel(client, tableName);
+      }
+    } finally {
+      client.release();
+    }
+  }
+
+  async getEmbeddingColumnDimensions(client, tableName, column = 'embedding') {
+    // pgvector stores the dimension of vector(n) as the column's type modifier
+    const result = await client.query(`
+      SELECT atttypmod FROM pg_attribute
+      WHERE attrelid = $1::regclass AND attname = $2 AND NOT attisdropped;
+    `, [tableName, column]);
+    return result.rows.length > 0 ? result.rows[0].atttypmod : null;
+  }
+
+  // Refuse to mix vectors from different embedding models in one collection
+  async checkEmbeddingModel(client, tableName) {
+    const expectedDim = this.embeddingProvider.getDimensions();
+    const result = await client.query(`
+      SELECT embedding_model, embedding_dimensions FROM ${REGISTRY_TABLE} WHERE name = $1;
+    `, [tableName]);
+    const { embedding_model: model } = result.rows[0] || {};
+    let dimensions = result.rows[0]?.embedding_dimensions;
+
+    if (!model) {
+      // Collections from before models were recorded: the column dimension is all there is
+      // to go on, so a server with a matching dimension adopts the collection
+      dimensions = await this.getEmbeddingColumnDimensions(client, tableName);
+      if (dimensions === expectedDim) {
+        await client.query(`
+          UPDATE ${REGISTRY_TABLE} SET embedding_model = $2, embedding_dimensions = $3
+          WHERE name = $1 AND embedding_model IS NULL;
+        `, [tableName, this.embeddingModel, expectedDim]);
+        return;
+      }
+    }
+
+    if (model !== this.embeddingModel || dimensions !== expectedDim) {
+      throw new ToolError('EMBEDDING_MODEL_MISMATCH',
+        `Collection "${tableName}" was embedded with ${model ? `'${model}'` : 'an unrecorded model'} (${dimensions} dimensions), ` +
+        `but this server uses '${this.embeddingModel}' (${expectedDim} dimensions). ` +
+        `Restart with the collection's model, or migrate the collection with: ` +
+        `simple-postgres-mcp reembed --collection ${tableName} --embedding-model ${this.embeddingModel}`
+      );
+    }
+  }
+
+  /**
+   * Send texts to the embedding provider in batches of its maximum size.
+   * When a batch fails, its texts are retried one at a time so that one bad
+   * text does not fail the others. Returns a Map of text -> { embedding } | { error }.
+   */
+  async embedWithProvider(texts) {
+    const provider = this.embeddingProvider;
+    const results = new Map();
+    for (let start = 0; start < texts.length; start += provider.maxBatchSize) {
+      const batch = texts.slice(start, start + provider.maxBatchSize);
+      try {
+        const vectors = await provider.embed(batch);
+        batch.forEach((text, i) => results.set(text, { embedding: vectors[i] }));
+      } catch (error) {
+        if (batch.length === 1) {
+          results.set(batch[0], { error: error.message });
+          continue;
+        }
+        const settled = await Promise.allSettled(batch.map(text => provider.embed([text])));
+        settled.forEach((outcome, i) => {
+          results.set(batch[i], outcome.status === 'fulfilled'
+            ? { embedding: outcome.value[0] }
+            : { error: outcome.reason.message });
+        });
+      }
+    }
+    return results;
+  }
+
+  async generateEmbedding(text, usage) {
+    const [result] = await this.generateEmbeddings([text], usage);
+    if (result.error) {
+      throw new ToolError('EMBEDDING_FAILED', result.error);
+    }
+    return result.embedding;
+  }
+
+  /**
+   * Embed many texts, consulting the embedding cache first and sending the
+   * misses to the embedding provider in batches.
+   * Failures are reported per text rather than thrown, as { error }.
+   * Cache hits and misses are added to `usage` ({ hits, misses }) when given.
+   */
+  async generateEmbeddings(texts, usage) {
+    const hashes = texts.map(text => contentHash(text));
+    const embeddings = new Map();
+    const cache = this.embeddingCache;
+    // Each tenant has cache entries of its own: a hit on another tenant's entry would
+    // tell the caller that the other tenant embedded the same text
+    const cacheKey = this.tenancy
+      ? `${this.embeddingProvider.cacheKey}@${this.tenancy.tenant}`
+      : this.embeddingProvider.cacheKey;
+
+    if (cache.enabled) {
+      try {
+        for (const [hash, embedding] of await cache.lookup(cacheKey, [...new Set(hashes)])) {
+          embeddings.set(hash, { embedding, cached: true });
+        }
+      } catch (error) {
+        // The cache is an optimization; embedding still works without it
+        console.error(`Embedding cache lookup failed: ${error.message}`);
+      }
+    }
+
+    // Identical texts are only embedded once
+    const misses = [...new Set(hashes.filter(hash => !embeddings.has(hash)))];
+    const textByHash = new Map(hashes.map((hash, i) => [hash, texts[i]]));
+    if (misses.length > 0) {
+      const fresh = await this.embedWithProvider(misses.map(hash => textByHash.get(hash)));
+      for (const hash of misses) {
+        embeddings.set(hash, { ...fresh.get(textByHash.get(hash)), cached: false });
+      }
+    }
+
+    const hits = hashes.filter(hash => embeddings.get(hash).cached).length;
+    if (usage) {
+      usage.hits += hits;
+      usage.misses += hashes.length - hits;
+    }
+
+    if (cache.enabled) {
+      const fresh = misses
+        .filter(hash => embeddings.get(hash).embedding)
+        .map(hash => ({ hash, embedding: embeddings.get(hash).embedding }));
+      try {
+        await cache.store(cacheKey, fresh);
+        await cache.recordStats(cacheKey, hits, hashes.length - hits);
+      } catch (error) {
+        console.error(`Embedding cache update failed: ${error.message}`);
+      }
+    }
+
+    return hashes.map(hash => {
+      const { embedding, error } = embeddings.get(hash);
+      return error ? { error } : { embedding };
+    });
+  }
+
+  // Embed the rows of a single document, failing on the first error
+  async embedRows(rows, usage) {
+    const toEmbed = rows.filter(row => row.embedText !== undefined);
+    const embeddings = await this.generateEmbeddings(toEmbed.map(row => row.embedText), usage);
+    toEmbed.forEach((row, i) => {
+      if (embeddings[i].error) {
+        throw new ToolError('EMBEDDING_FAILED', embeddings[i].error);
+      }
+      row.embedding = embeddings[i].embedding;
+    });
+  }
+
+  // Multi-row INSERTs of up to INSERT_BATCH_SIZE rows (a document may have more
+  // chunks than that); returns a map of id -> created_at. Rows are created now
+  // unless they carry created_at.
+  async insertRows(client, tableName, rows) {
+    const createdAt = new Map();
+    for (let start = 0; start < rows.length; start += INSERT_BATCH_SIZE) {
+      for (const [id, created] of await this.insertRowBatch(client, tableName, rows.slice(start, start + INSERT_BATCH_SIZE))) {
+        createdAt.set(id, created);
+      }
+    }
+    return createdAt;
+  }
+
+  async insertRowBatch(client, tableName, rows) {
+    const params = [];
+    const values = rows.map(row => {
+      params.push(
+        row.id,
+        row.content,
+        row.embedding ? JSON.stringify(row.embedding) : null,
+        JSON.stringify(row.metadata),
+        row.parent_id ?? null,
+        row.chunk_index ?? null,
+        row.chunk_count ?? null,
+        contentHash(row.content),
+        row.expires_at ?? null,
+        row.pinned ?? false,
+        row.created_at ?? null,
+        row.updated_at ?? null
+      );
+      const n = params.length;
+      const placeholders = Array.from({ length: 10 }, (_, i) => `$${n - 11 + i}`);
+      return `(${placeholders.join(', ')}, COALESCE($${n - 1}::timestamptz, NOW()), $${n})`;
+    });
+    const result = await client.query(`
+      INSERT INTO ${tableName} (id, content, embedding, metadata_json, parent_id, chunk_index, chunk_count, content_hash, expires_at, pinned, created_at, updated_at)
+      VALUES ${values.join(', ')}
+      RETURNING id, created_at;
+    `, params);
+    return new Map(result.rows.map(row => [row.id, row.created_at]));
+  }
+
+  // Inserts groups of rows (one group per document) inside the caller's transaction.
+  // A statement that fails is retried group by group so that only the offending
+  // documents are reported as failed. Returns a map of key -> { created_at } or { error }.
+  async insertDocumentGroups(client, tableName, groups) {
+    const outcomes = new Map();
+
+    const insertGroups = async (batch) => {
+      const createdAt = await this.insertRows(client, tableName, batch.flatMap(group => group.rows));
+      for (const group of batch) {
+        outcomes.set(group.key, { created_at: createdAt.get(group.key) });
+      }
+    };
+
+    let start = 0;
+    while (start < groups.length) {
+      // Fill each statement with up to INSERT_BATCH_SIZE rows, but always whole groups
+      let end = start;
+      let rowCount = 0;
+      while (end < groups.length && (end === start || rowCount + groups[end].rows.length <= INSERT_BATCH_SIZE)) {
+        rowCount += groups[end].rows.length;
+        end++;
+      }
+      const batch = groups.slice(start, end);
+      start = end;
+
+      await client.query('SAVEPOINT store_batch');
+      try {
+        await insertGroups(batch);
+        await client.query('RELEASE SAVEPOINT store_batch');
+      } catch (batchError) {
+        await client.query('ROLLBACK TO SAVEPOINT store_batch');
+        for (const group of batch) {
+          try {
+            await insertGroups([group]);
+            await client.query('RELEASE SAVEPOINT store_batch');
+            await client.query('SAVEPOINT store_batch');
+          } catch (groupError) {
+            await client.query('ROLLBACK TO SAVEPOINT store_batch');
+            outcomes.set(group.key, { error: groupError });
+          }
+        }
+        await client.query('RELEASE SAVEPOINT store_batch');
+      }
+    }
+
+    return outcomes;
+  }
+
+  getDedupPolicy(settings) {
+    return settings.dedup || 'always_insert';
+  }
+
+  // Serializes writers of the same key or content in a collection until the transaction ends
+  async lockDocument(client, tableName, lockKey) {
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1));', [`${tableName}:${lockKey}`]);
+  }
+
+  /**
+   * Write new content, metadata and/or expiry to an existing document, inside the caller's transaction.
+   * rows are the embedded document rows for the new content, or null to keep the content.
+   * Returns the updated row, or undefined if the document does not exist.
+   */
+  async writeDocumentUpdate(client, tableName, id, { content, rows, metadata, metadataMode, expiry }) {
+    const params = [id];
+    const assignments = ['updated_at = NOW()'];
+    if (rows) {
+      params.push(content, rows[0].embedding ? JSON.stringify(rows[0].embedding) : null, rows[0].chunk_count ?? null, contentHash(content));
+      assignments.push(
+        `content = $${params.length - 3}`,
+        `embedding = $${params.length - 2}`,
+        `chunk_count = $${params.length - 1}`,
+        `content_hash = $${params.length}`
+      );
+    }
+    if (metadata !== undefined) {
+      params.push(JSON.stringify(metadata || {}));
+      assignments.push(metadataMode === 'merge'
+        ? `metadata_json = COALESCE(metadata_json, '{}'::jsonb) || $${params.length}::jsonb`
+        : `metadata_json = $${params.length}::jsonb`);
+    }
+    if (expiry) {
+      params.push(expiry.expires_at, expiry.pinned);
+      assignments.push(`expires_at = $${params.length - 1}`, `pinned = $${params.length}`);
+    }
+
+    const updateQuery = `
+      UPDATE ${tableName}
+      SET ${assignments.join(', ')}
+      WHERE id = $1
+      RETURNING content, metadata_json, created_at, updated_at, expires_at, pinned;
+    `;
+    const row = (await client.query(updateQuery, params)).rows[0];
+    if (!row) {
+      return undefined;
+    }
+
+    // Chunks share their parent's metadata, expiry and timestamps so that filters apply to them
+    const updatedMetadata = parseMetadata(row.metadata_json);
+    if (rows) {
+      await client.query(`DELETE FROM ${tableName} WHERE parent_id = $1;`, [id]);
+      const chunkRows = rows.slice(1);
+      if (chunkRows.length > 0) {
+        await this.insertRows(client, tableName, chunkRows.map(chunk => ({
+          ...chunk,
+          metadata: updatedMetadata,
+          expires_at: row.expires_at,
+          pinned: row.pinned,
+          created_at: row.created_at,
+          updated_at: row.updated_at,
+        })));
+      }
+    } else if (metadata !== undefined || expiry) {
+      await client.query(`
+        UPDATE ${tableName} SET metadata_json = $2::jsonb, expires_at = $3, pinned = $4, updated_at = NOW()
+        WHERE parent_id = $1;
+      `, [id, JSON.stringify(updatedMetadata), row.expires_at, row.pinned]);
+    }
+
+    return row;
+  }
+
+  async storeMemories(args, access) {
+    try {
+      const tableName = this.getCollectionName(args, access, 'write');
+      const items = args.items;
+
+      if (!Array.isArray(items) || items.length === 0) {
+        throw invalidArgument('items must be a non-empty array of { content, metadata } objects');
+      }
+      if (items.length > MAX_STORE_BATCH_ITEMS) {
+        throw invalidArgument(`Too many items: ${items.length}. At most ${MAX_STORE_BATCH_ITEMS} items can be stored per call`);
+      }
+
+      await this.ensureTable(tableName);
+      const settings = await this.getCollectionSettings(this.pool, tableName);
+      const chunking = this.resolveChunking(args.chunking, settings);
+      const dedupPolicy = this.getDedupPolicy(settings);
+
+      // One plan per item: what to do with it, and how it went (error holds the Error)
+      const plans = items.map((item, index) => {
+        const plan = { index, error: null, action: 'inserted', rows: null };
+        if (!item || typeof item.content !== 'string' || item.content.length === 0) {
+          plan.error = invalidArgument('content must be a non-empty string');
+        } else if (item.metadata !== undefined && (item.metadata === null || typeof item.metadata !== 'object' || Array.isArray(item.metadata))) {
+          plan.error = invalidArgument('metadata must be an object');
+        } else {
+          try {
+            plan.id = item.key !== undefined ? keyToMemoryId(item.key) : generateMemoryId();
+            plan.keyed = item.key !== undefined;
+            plan.content = item.content;
+            plan.metadata = item.metadata || {};
+            plan.hash = contentHash(item.content);
+            plan.expiry = parseExpiry(item, settings);
+          } catch (error) {
+            plan.error = error;
+          }
+        }
+        return plan;
+      });
+      const valid = () => plans.filter(plan => !plan.error);
+
+      // Keyed items upsert; unkeyed items follow the collection's dedup policy, within the batch too
+      const keyedIds = valid().filter(plan => plan.keyed).map(plan => plan.id);
+      const existingById = new Map();
+      if (keyedIds.length > 0) {
+        const result = await this.pool.query(`
+          SELECT id, content, created_at, NOT ${LIVE_CONDITION} AS expired FROM ${tableName} WHERE id = ANY($1);
+        `, [keyedIds]);
+        result.rows.forEach(row => existingById.set(row.id, row));
+      }
+      const existingByHash = new Map();
+      if (dedupPolicy !== 'always_insert') {
+        const hashes = valid().filter(plan => !plan.keyed).map(plan => plan.hash);
+        const result = await this.pool.query(`
+          SELECT DISTINCT ON (content_hash) id, content_hash, created_at FROM ${tableName}
+          WHERE parent_id IS NULL AND content_hash = ANY($1) AND ${LIVE_CONDITION}
+          ORDER BY content_hash, created_at;
+        `, [hashes]);
+        result.rows.forEach(row => existingByHash.set(row.content_hash, row));
+      }
+
+      const seenIds = new Set();
+      for (const plan of valid()) {
+        if (plan.keyed) {
+          if (seenIds.has(plan.id)) {
+            plan.error = invalidArgument(`Duplicate key in batch: ${items[plan.index].key}`);
+            continue;
+          }
+          seenIds.add(plan.id);
+          const existing = existingById.get(plan.id);
+          if (existing) {
+            plan.action = 'updated';
+            plan.contentChanged = existing.content !== plan.content;
+            plan.created_at = existing.created_at;
+            if (existing.expired && !plan.expiry) {
+              plan.expiry = defaultExpiry(settings);
+            }
+          }
+        } else if (dedupPolicy !== 'always_insert') {
+          const existing = existingByHash.get(plan.hash);
+          if (existing) {
+            plan.action = dedupPolicy === 'skip' ? 'skipped' : 'metadata_updated';
+            plan.id = existing.id;
+            if (plan.action === 'skipped') {
+              plan.expiry = null;
+            }
+            plan.created_at = existing.created_at;
+          } else {
+            // Later copies of this content in the batch are duplicates of this item
+            existingByHash.set(plan.hash, { id: plan.id, created_at: null });
+          }
+        }
+      }
+
+      const needsEmbedding = valid().filter(plan => plan.action === 'inserted' || (plan.action === 'updated' && plan.contentChanged));
+      for (const plan of needsEmbedding) {
+        plan.rows = buildDocumentRows(plan.id, plan.content, plan.metadata, chunking);
+      }
+      const toEmbed = needsEmbedding.flatMap(plan =>
+        plan.rows.filter(row => row.embedText !== undefined).map(row => ({ plan, row })));
+      const embeddingUsage = { hits: 0, misses: 0 };
+      const embeddings = await this.generateEmbeddings(toEmbed.map(({ row }) => row.embedText), embeddingUsage);
+      toEmbed.forEach(({ plan, row }, i) => {
+        if (embeddings[i].error) {
+          plan.error = plan.error || new ToolError('EMBEDDING_FAILED', embeddings[i].error);
+        } else {
+          row.embedding = embeddings[i].embedding;
+        }
+      });
+
+      const inserts = valid().filter(plan => plan.action === 'inserted');
+      for (const plan of inserts) {
+        plan.expiry = plan.expiry ?? defaultExpiry(settings);
+        plan.rows.forEach(row => Object.assign(row, plan.expiry));
+      }
+      const updates = valid().filter(plan => plan.action === 'updated' || plan.action === 'metadata_updated');
+
+      if (inserts.length > 0 || updates.length > 0) {
+        const client = await this.pool.connect();
+        try {
+          await client.query('BEGIN');
+          try {
+            const outcomes = await this.insertDocumentGroups(client, tableName, inserts.map(plan => ({ key: plan.id, rows: plan.rows })));
+            for (const plan of inserts) {
+              const outcome = outcomes.get(plan.id);
+              if (outcome && !outcome.error) {
+                plan.created_at = outcome.created_at;
+              } else {
+                plan.error = outcome ? outcome.error : new Error('Row was not inserted');
+              }
+            }
+
+            // Updates run after the inserts, so duplicates within the batch find their first copy
+            for (const plan of updates) {
+              await client.query('SAVEPOINT store_update');
+              try {
+                const row = await this.writeDocumentUpdate(client, tableName, plan.id, {
+                  content: plan.content,
+                  rows: plan.action === 'updated' && plan.contentChanged ? plan.rows : null,
+                  metadata: plan.metadata,
+                  metadataMode: 'replace',
+                  expiry: plan.expiry ?? undefined,
+                });
+                if (!row) {
+                  throw new ToolError('MEMORY_NOT_FOUND', `Memory with ID "${plan.id}" not found in collection "${tableName}"`);
+                }
+                plan.created_at = row.created_at;
+                plan.expiry = { expires_at: row.expires_at, pinned: row.pinned };
+                await client.query('RELEASE SAVEPOINT store_update');
+              } catch (error) {
+                await client.query('ROLLBACK TO SAVEPOINT store_update');
+                await client.query('RELEASE SAVEPOINT store_update');
+                plan.error = error;
+              }
+            }
+            await client.query('COMMIT');
+          } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+          }
+        } finally {
+          client.release();
+        }
+      }
+
+      const results = plans.map(plan => plan.error
+        ? { index: plan.index, success: false, error: plan.error.message, code: errorCode(plan.error) }
+        : {
+          index: plan.index,
+          success: true,
+          id: plan.id,
+          action: plan.action,
+          ...(plan.created_at && { created_at: plan.created_at }),
+          ...(plan.expiry?.expires_at && { expires_at: plan.expiry.expires_at }),
+          ...(plan.expiry?.pinned && { pinned: true }),
+          ...(plan.rows && plan.rows.length > 1 && { chunk_count: plan.rows.length - 1 }),
+        });
+      const stored = results.filter(r => r.success).length;
+
+      return toolResult('store_batch', {
+        collection: tableName,
+        embedding_model: this.embeddingModel,
+        embedding_cache: embeddingUsage,
+        total: items.length,
+        stored,
+        failed: items.length - stored,
+        items: results
+      });
+    } catch (error) {
+      return toolError('store_batch', error);
+    }
+  }
+
+  async storeMemory(args, access) {
+    try {
+      const tableName = this.getCollectionName(args, access, 'write');
+      if (typeof args.content !== 'string' || args.content.length === 0) {
+        throw invalidArgument('content must be a non-empty string');
+      }
+      await this.ensureTable(tableName);
+
+      const settings = await this.getCollectionSettings(this.pool, tableName);
+      const chunking = this.resolveChunking(args.chunking, settings);
+      const dedupPolicy = this.getDedupPolicy(settings);
+      const keyed = args.key !== undefined;
+      const id = keyed ? keyToMemoryId(args.key) : generateMemoryId();
+      const metadata = args.metadata || {};
+      const hash = contentHash(args.content);
+      // Without an explicit expiry, new memories get the collection's default and existing ones keep theirs
+      const expiry = parseExpiry(args, settings);
+
+      let rows = null;
+      const embeddingUsage = { hits: 0, misses: 0 };
+      const prepareRows = async () => {
+        rows = buildDocumentRows(id, args.content, metadata, chunking);
+        await this.embedRows(rows, embeddingUsage);
+      };
+
+      // Without a key or a dedup policy every store inserts, so embed before taking a connection
+      const checkExisting = keyed || dedupPolicy !== 'always_insert';
+      if (!checkExisting) {
+        await prepareRows();
+      }
+
+      const client = await this.pool.connect();
+      try {
+        let action = 'inserted';
+        let resultId = id;
+        let row;
+        await client.query('BEGIN');
+        try {
+          let existing;
+          if (checkExisting) {
+            await this.lockDocument(client, tableName, keyed ? id : hash);
+            // Expired duplicates no longer count; an expired keyed memory is replaced like a new one
+            const existingQuery = keyed
+              ? `SELECT id, content, metadata_json, created_at, expires_at, pinned, NOT ${LIVE_CONDITION} AS expired
+                 FROM ${tableName} WHERE id = $1;`
+              : `SELECT id, content, metadata_json, created_at, expires_at, pinned FROM ${tableName}
+                 WHERE content_hash = $1 AND parent_id IS NULL AND ${LIVE_CONDITION} ORDER BY created_at LIMIT 1;`;
+            existing = (await client.query(existingQuery, [keyed ? id : hash])).rows[0];
+          }
+
+          if (!existing) {
+            if (!rows) {
+              await prepareRows();
+            }
+            const insertExpiry = expiry ?? defaultExpiry(settings);
+            rows.forEach(documentRow => Object.assign(documentRow, insertExpiry));
+            const createdAt = (await this.insertRows(client, tableName, rows)).get(id);
+            row = { metadata_json: metadata, created_at: createdAt, ...insertExpiry };
+          } else if (keyed) {
+            action = 'updated';
+            if (existing.content !== args.content) {
+              await prepareRows();
+            }
+            row = await this.writeDocumentUpdate(client, tableName, id, {
+              content: args.content,
+              rows,
+              metadata,
+              metadataMode: 'replace',
+              expiry: expiry ?? (existing.expired ? defaultExpiry(settings) : undefined),
+            });
+          } else if (dedupPolicy === 'skip') {
+            action = 'skipped';
+            resultId = existing.id;
+            row = existing;
+          } else {
+            action = 'metadata_updated';
+            resultId = existing.id;
+            row = await this.writeDocumentUpdate(client, tableName, existing.id, { metadata, metadataMode: 'replace', expiry });
+          }
+          await client.query('COMMIT');
+        } catch (error) {
+          await client.query('ROLLBACK');
+          throw error;
+        }
+
+        const chunkRows = rows ? rows.slice(1) : [];
+
+        return toolResult('store', {
+          id: resultId,
+          collection: tableName,
+          action,
+          ...(resultId !== id && { deduplicated: true }),
+          content_length: args.content.length,
+          ...(rows && { embedding_dimensions: rows.find(r => r.embedding).embedding.length }),
+          embedding_model: this.embeddingModel,
+          ...(rows && { embedding_cache: embeddingUsage }),
+          ...(chunkRows.length > 0 && {
+            chunk_count: chunkRows.length,
+            chunk_ids: chunkRows.map(chunk => chunk.id),
+          }),
+          metadata: parseMetadata(row.metadata_json),
+          created_at: row.created_at,
+          ...(row.updated_at && { updated_at: row.updated_at }),
+          ...(row.expires_at && { expires_at: row.expires_at }),
+          ...(row.pinned && { pinned: true })
+        });
+      } finally {
+        client.release();
+      }
+    } catch (error) {
+      return toolError('store', error);
+    }
+  }
+
+  // Conditions for the metadata filter and created_at range of a search
+  compileSearchFilters(filters, params) {
+    const conditions = compileTimeRange(filters, params);
+    const filterCondition = compileMetadataFilter(filters.metadata, params);
+    if (filterCondition) {
+      conditions.push(filterCondition);
+    }
+    return conditions;
+  }
+
+  // Run searches in a transaction with SET LOCAL of the recall setting, if any; the
+  // value is a validated integer, as SET takes no bind parameters. set_config(..., true)
+  // is SET LOCAL for settings only raised to a minimum
+  async withRecallSetting(client, recall, search) {
+    if (!recall) {
+      return search();
+    }
+    await client.query('BEGIN');
+    try {
+      if (recall.minimum) {
+        await client.query(
+          'SELECT set_config($1, GREATEST(current_setting($1, true)::int, $2)::text, true);',
+          [recall.parameter, recall.value]
+        );
+      } else {
+        await client.query(`SET LOCAL ${recall.parameter} = ${recall.value};`);
+      }
+      const result = await search();
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    }
+  }
+
+  // embedQuery returns the query embedding, which is only generated once the filters have been checked;
+  // metric is the collection's distance metric
+  async searchSemantic(client, tableName, embedQuery, limit, filters, metric) {
+    const { operator, toSimilarity } = DISTANCE_METRICS[metric];
+    const params = [null];
+    // Parents of chunked documents have no embedding of their own; their chunks are searched instead
+    const conditions = ['chunk_count IS NULL', LIVE_CONDITION, ...this.compileSearchFilters(filters, params)];
+    params.push(limit);
+    params[0] = JSON.stringify(await embedQuery());
+
+    const searchQuery = `
+      SELECT id, content, metadata_json, created_at, expires_at, parent_id, chunk_index, embedding ${operator} $1 AS distance
+      FROM ${tableName}
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY embedding ${operator} $1
+      LIMIT $${params.length};
+    `;
+
+    const result = await client.query(searchQuery, params);
+
+    return result.rows.map(row => toMemory(row, toSimilarity(row.distance)));
+  }
+
+  // User queries are parsed by websearch_to_tsquery (see fulltext.js), so punctuation never
+  // makes them invalid; textSearch is { language, prefix }
+  async searchFulltext(client, tableName, query, limit, filters, textSearch) {
+    const params = [query, textSearch.language];
+    const conditions = [
+      'content_fts @@ search.query', 'chunk_count IS NULL', LIVE_CONDITION,
+      ...this.compileSearchFilters(filters, params),
+    ];
+    params.push(limit);
+
+    const searchQuery = `
+      SELECT id, content, metadata_json, created_at, expires_at, parent_id, chunk_index,
+             ts_rank(content_fts, search.query, ${TS_RANK_NORMALIZATION}) AS rank
+      FROM ${tableName}, (SELECT ${tsQueryExpression('$1', '$2', textSearch.prefix)} AS query) AS search
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY rank DESC
+      LIMIT $${params.length};
+    `;
+
+    const result = await client.query(searchQuery, params);
+
+    return result.rows.map(row => toMemory(row, row.rank));
+  }
+
+  // Replace chunk hits by their parent documents, keeping each document's best
+  // score (memories must already be sorted best first).
+  async collapseToDocuments(client, tableName, memories, limit) {
+    const documents = new Map();
+    for (const memory of memories) {
+      const documentId = memory.parent_id || memory.id;
+      if (!documents.has(documentId)) {
+        documents.set(documentId, { best: memory, matchedChunks: [] });
+      }
+      if (memory.parent_id) {
+        documents.get(documentId).matchedChunks.push({
+          id: memory.id,
+          chunk_index: memory.chunk_index,
+          similarity: memory.similarity,
+        });
+      }
+    }
+
+    const top = [...documents.entries()].slice(0, limit);
+    const parentIds = top.filter(([, document]) => document.best.parent_id).map(([documentId]) => documentId);
+    const parents = new Map();
+    if (parentIds.length > 0) {
+      const result = await client.query(`
+        SELECT id, content, metadata_json, created_at, expires_at FROM ${tableName} WHERE id = ANY($1);
+      `, [parentIds]);
+      for (const row of result.rows) {
+        parents.set(row.id, row);
+      }
+    }
+
+    const collapsed = [];
+    for (const [documentId, { best, matchedChunks }] of top) {
+      if (!best.parent_id) {
+        collapsed.push(best);
+        continue;
+      }
+      const parent = parents.get(documentId);
+      if (!parent) {
+        continue;
+      }
+      const { parent_id, chunk_index, ...scores } = best;
+      collapsed.push({
+        ...scores,
+        id: parent.id,
+        content: parent.content,
+        metadata: parseMetadata(parent.metadata_json),
+        created_at: parent.created_at,
+        ...(parent.expires_at && { expires_at: parent.expires_at }),
+        matched_chunks: matchedChunks,
+      });
+    }
+    return collapsed;
+  }
+
+  /**
+   * Give each search result a snippet: fulltext matches get ts_headline fragments with
+   * the query terms highlighted, and semantic matches their passages closest to the query.
+   */
+  async addSnippets(client, memories, { mode, query, textSearch, metric, snippets, embedQuery, embeddingUsage }) {
+    // In hybrid mode, memories found by fulltext search have terms to highlight
+    const isFulltextMatch = memory => mode === 'fulltext' || (mode === 'hybrid' && memory.ranks.fulltext !== null);
+    const snippetById = new Map();
+
+    const headlined = memories.filter(isFulltextMatch);
+    if (headlined.length > 0) {
+      const result = await client.query(`
+        SELECT ts_headline($2::regconfig, doc.content, search.query, $4) AS snippet
+        FROM unnest($3::text[]) WITH ORDINALITY AS doc(content, position),
+             (SELECT ${tsQueryExpression('$1', '$2', textSearch.prefix)} AS query) AS search
+        ORDER BY doc.position;
+      `, [query, textSearch.language, headlined.map(memory => memory.content), headlineOptions(snippets)]);
+      headlined.forEach((memory, i) => snippetById.set(memory.id, result.rows[i].snippet));
+    }
+
+    const passagesById = new Map(memories
+      .filter(memory => !isFulltextMatch(memory))
+      .map(memory => [memory.id, splitPassages(memory.content, snippets.max_words)]));
+    // Passages only need ranking when there are more of them than fragments to show
+    const toEmbed = [...passagesById.values()].filter(passages => passages.length > snippets.max_fragments).flat();
+    const embeddings = toEmbed.length > 0 ? await this.generateEmbeddings(toEmbed, embeddingUsage) : [];
+    const queryEmbedding = toEmbed.length > 0 ? await embedQuery() : null;
+    let next = 0;
+    for (const [id, passages] of passagesById) {
+      if (passages.length <= snippets.max_fragments) {
+        snippetById.set(id, closestPassages(passages, passages.map(() => null), null, snippets, metric));
+        continue;
+      }
+      const passageEmbeddings = embeddings.slice(next, next + passages.length).map(result => result.embedding ?? null);
+      next += passages.length;
+      snippetById.set(id, closestPassages(passages, passageEmbeddings, queryEmbedding, snippets, metric));
+    }
+
+    return memories.map(memory => ({ ...memory, snippet: snippetById.get(memory.id) }));
+  }
+
+  getHybridOptions(args) {
+    const options = {
+      ...this.hybridOptions,
+      ...(args.fusion !== undefined && { fusion: args.fusion }),
+      ...(args.semantic_weight !== undefined && { semanticWeight: args.semantic_weight }),
+      ...(args.fulltext_weight !== undefined && { fulltextWeight: args.fulltext_weight }),
+    };
+
+    if (!['rrf', 'weighted'].includes(options.fusion)) {
+      throw invalidArgument(`Unknown fusion method: ${options.fusion}. Expected 'rrf' or 'weighted'`);
+    }
+    for (const [name, weight] of [['semantic_weight', options.semanticWeight], ['fulltext_weight', options.fulltextWeight]]) {
+      if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+        throw invalidArgument(`Invalid ${name}: ${weight}. Must be a non-negative number`);
+      }
+    }
+
+    return options;
+  }
+
+  async searchMemory(args, access) {
+    try {
+      const tableName = this.getCollectionName(args, access, 'read');
+      await this.ensureTable(tableName, { create: this.createCollections });
+
+      // A cursor continues an earlier search from its offset, with its arguments and query embedding
+      let offset = 0;
+      let cursorEmbedding;
+      if (args.cursor !== undefined) {
+        const cursor = decodeCursor(args.cursor, 'search', tableName);
+        args = resumeArgs(args, cursor.args);
+        offset = cursor.offset;
+        if (!Number.isInteger(offset) || offset < 0 || offset >= MAX_SEARCH_DEPTH) {
+          throw invalidArgument('Invalid cursor: bad offset');
+        }
+        if (cursor.embedding !== undefined) {
+          if (cursor.embedding_model !== this.embeddingModel) {
+            throw invalidArgument(`Invalid cursor: issued for embedding model ${cursor.embedding_model}; run the search again`);
+          }
+          cursorEmbedding = decodeEmbedding(cursor.embedding, this.embeddingProvider.getDimensions());
+        }
+      }
+      const searchArgs = Object.fromEntries(Object.entries(args).filter(([key]) => key !== 'collection' && key !== 'cursor'));
+
+      const mode = args.mode || 'semantic';
+      const limit = args.limit || 10;
+      const results = args.results || 'chunks';
+      let memories;
+      let fusion;
+
+      if (typeof args.query !== 'string') {
+        throw invalidArgument('query must be a string');
+      }
+      if (!['chunks', 'documents'].includes(results)) {
+        throw invalidArgument(`Unknown results option: ${results}. Expected 'chunks' or 'documents'`);
+      }
+      const collapse = results === 'documents';
+      const recency = getRecencyOptions(args);
+      if (args.prefix !== undefined && typeof args.prefix !== 'boolean') {
+        throw invalidArgument('prefix must be a boolean');
+      }
+      const snippets = normalizeSnippets(args.snippets);
+      const maxContentChars = args.max_content_chars;
+      if (maxContentChars !== undefined && (!Number.isInteger(maxContentChars) || maxContentChars < 0)) {
+        throw invalidArgument(`Invalid max_content_chars: ${maxContentChars}. Must be a non-negative integer`);
+      }
+      const minSimilarity = args.min_similarity;
+      if (minSimilarity !== undefined && (typeof minSimilarity !== 'number' || !(minSimilarity >= 0 && minSimilarity <= 1))) {
+        throw invalidArgument(`Invalid min_similarity: ${minSimilarity}. Must be a number between 0 and 1`);
+      }
+      const filters = { metadata: args.filter, created_after: args.created_after, created_before: args.created_before };
+      const embeddingUsage = { hits: 0, misses: 0 };
+      let queryEmbedding = cursorEmbedding && Promise.resolve(cursorEmbedding);
+      const embedQuery = () => (queryEmbedding ??= this.generateEmbedding(args.query, embeddingUsage));
+      // Results are ranked down to the end of the page, and the page cut from them
+      const depth = offset + limit;
+      let fetchLimit = collapse ? depth * CHUNK_COLLAPSE_MULTIPLIER : depth;
+      if (recency) {
+        fetchLimit *= RECENCY_CANDIDATE_MULTIPLIER;
+      }
+
+      const client = await this.pool.connect();
+      try {
+        const settings = await this.getCollectionSettings(client, tableName);
+        const metric = getDistanceMetric(settings);
+        const textSearch = mode === 'semantic' ? null : {
+          language: getTextSearchLanguage(settings),
+          prefix: args.prefix ?? false,
+        };
+        // The recall setting lasts for the transaction the searches run in
+        const index = getVectorIndex(settings);
+        const recall = mode === 'fulltext' ? null : getRecallSetting(args, index);
+        const candidates = mode === 'hybrid' ? fetchLimit * HYBRID_CANDIDATE_MULTIPLIER : fetchLimit;
+        await this.withRecallSetting(client, recall ?? (mode === 'fulltext' ? null : candidateRecallSetting(index, candidates)), async () => {
+          if (mode === 'semantic') {
+            // Semantic search using pgvector
+            memories = await this.searchSemantic(client, tableName, embedQuery, fetchLimit, filters, metric);
+          } else if (mode === 'fulltext') {
+            // Full-text search using PostgreSQL tsvector
+            memories = await this.searchFulltext(client, tableName, args.query, fetchLimit, filters, textSearch);
+          } else if (mode === 'hybrid') {
+            const hybridOptions = this.getHybridOptions(args);
+            const candidateLimit = fetchLimit * HYBRID_CANDIDATE_MULTIPLIER;
+
+            const semanticMemories = await this.searchSemantic(client, tableName, embedQuery, candidateLimit, filters, metric);
+            const fulltextMemories = await this.searchFulltext(client, tableName, args.query, candidateLimit, filters, textSearch);
+
+            memories = fuseResults(semanticMemories, fulltextMemories, hybridOptions);
+            fusion = {
+              method: hybridOptions.fusion,
+              semantic_weight: hybridOptions.semanticWeight,
+              fulltext_weight: hybridOptions.fulltextWeight,
+              ...(hybridOptions.fusion === 'rrf' && { rrf_k: hybridOptions.rrfK }),
+            };
+          } else {
+            throw invalidArgument(`Unknown search mode: ${mode}`);
+          }
+        });
+
+        // Weak matches are dropped on relevance alone, before any recency decay
+        if (minSimilarity !== undefined) {
+          memories = memories.filter(memory => memory.similarity >= minSimilarity);
+        }
+        if (recency) {
+          memories = applyRecencyDecay(memories, recency);
+        }
+        memories = collapse
+          ? await this.collapseToDocuments(client, tableName, memories, depth)
+          : memories.slice(0, depth);
+        memories = memories.slice(offset);
+        // A full page may be followed by more results
+        let nextCursor = null;
+        if (memories.length === limit && depth < MAX_SEARCH_DEPTH) {
+          nextCursor = encodeCursor('search', tableName, {
+            offset: depth,
+            args: searchArgs,
+            ...(queryEmbedding && {
+              embedding: encodeEmbedding(await queryEmbedding),
+              embedding_model: this.embeddingModel,
+            }),
+          });
+        }
+        if (snippets) {
+          memories = await this.addSnippets(client, memories, { mode, query: args.query, textSearch, metric, snippets, embedQuery, embeddingUsage });
+        }
+        if (maxContentChars !== undefined) {
+          memories = memories.map(memory => truncateContent(memory, maxContentChars));
+        }
+
+        return toolResult('search', {
+          query: args.query,
+          mode: mode,
+          results,
+          ...(mode !== 'fulltext' && { distance: metric }),
+          ...(recall && { [recall.name]: recall.value }),
+          ...(textSearch && { language: textSearch.language }),
+          ...(fusion && { fusion }),
+          ...(recency && { recency: { half_life: recency.halfLife, weight: recency.weight } }),
+          ...(mode !== 'fulltext' && { embedding_cache: embeddingUsage }),
+          ...(offset > 0 && { offset }),
+          count: memories.length,
+          memories: memories,
+          next_cursor: nextCursor
+        });
+      } finally {
+        client.release();
+      }
+    } catch (error) {
+      return toolError('search', error);
+    }
+  }
+
+  // Documents, not their chunks, by creation time, a page at a time. Pages are keyed on
+  // (created_at, id), so memories stored while paging do not shift the pages after them
+  async listMemories(args, access) {
+    try {
+      const tableName = this.getCollectionName(args, access, 'read');
+      // Listing reads no embeddings, so any model will do
+      await this.ensureTable(tableName, { create: false, checkModel: false });
+
+      const order = args.order ?? 'newest';
+      if (!['newest', 'oldest'].includes(order)) {
+        throw invalidArgument(`Unknown order: ${order}. Expected 'newest' or 'oldest'`);
+      }
+      const limit = args.limit ?? DEFAULT_LIST_LIMIT;
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIST_LIMIT) {
+        throw invalidArgument(`Invalid limit: ${limit}. Must be an integer from 1 to ${MAX_LIST_LIMIT}`);
+      }
+      const maxContentChars = args.max_content_chars;
+      if (maxContentChars !== undefined && (!Number.isInteger(maxContentChars) || maxContentChars < 0)) {
+        throw invalidArgument(`Invalid max_content_chars: ${maxContentChars}. Must be a non-negative integer`);
+      }
+
+      const params = [];
+      const filters = { metadata: args.filter, created_after: args.created_after, created_before: args.created_before };
+      const conditions = ['parent_id IS NULL', LIVE_CONDITION, ...this.compileSearchFilters(filters, params)];
+      const direction = order === 'newest' ? 'DESC' : 'ASC';
+      if (args.cursor !== undefined) {
+        const cursor = decodeCursor(args.cursor, 'list', tableName);
+        if (cursor.order !== order) {
+          throw invalidArgument(`Invalid cursor: issued for order ${cursor.order}, not ${order}`);
+        }
+        if (typeof cursor.created_at !== 'string' || Number.isNaN(Date.parse(cursor.created_at)) || typeof cursor.id !== 'string') {
+          throw invalidArgument('Invalid cursor: bad position');
+        }
+        params.push(cursor.created_at, cursor.id);
+        conditions.push(`(created_at, id) ${order === 'newest' ? '<' : '>'} ($${params.length - 1}::timestamptz, $${params.length})`);
+      }
+      // One row more than the page tells whether another page follows
+      params.push(limit + 1);
+
+      // The cursor keeps created_at to the microsecond
+      const result = await this.pool.query(`
+        SELECT id, content, metadata_json, created_at, updated_at, expires_at, pinned, chunk_count,
+               ${isoTimestampSql('created_at')} AS position
+        FROM ${tableName}
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY created_at ${direction}, id ${direction}
+        LIMIT $${params.length};
+      `, params);
+
+      const rows = result.rows.slice(0, limit);
+      const last = rows[rows.length - 1];
+      const nextCursor = result.rows.length > limit
+        ? encodeCursor('list', tableName, { order, created_at: last.position, id: last.id })
+        : null;
+      const memories = rows.map(row => truncateContent({
+        id: row.id,
+        content: row.content,
+        metadata: parseMetadata(row.metadata_json),
+        created_at: row.created_at,
+        ...(row.updated_at && { updated_at: row.updated_at }),
+        ...(row.expires_at && { expires_at: row.expires_at }),
+        ...(row.pinned && { pinned: true }),
+        ...(row.chunk_count && { chunk_count: row.chunk_count }),
+      }, maxContentChars));
+
+      return toolResult('list', {
+        collection: tableName,
+        order,
+        count: memories.length,
+        memories,
+        next_cursor: nextCursor
+      });
+    } catch (error) {
+      return toolError('list', error);
+    }
+  }
+
+  async updateMemory(args, access) {
+    try {
+      const tableName = this.getCollectionName(args, access, 'write');
+      validateCollectionName(tableName);
+      validateMemoryId(args.id);
+
+      const metadataMode = args.metadata_mode || 'merge';
+      if (!['merge', 'replace'].includes(metadataMode)) {
+        throw invalidArgument(`Unknown metadata_mode: ${metadataMode}. Expected 'merge' or 'replace'`);
+      }
+      const expiryRequested = args.ttl !== undefined || args.expires_at !== undefined || args.pinned !== undefined;
+      if (args.content === undefined && args.metadata === undefined && !expiryRequested) {
+        throw invalidArgument('Nothing to update: provide content, metadata, or an expiry (ttl, expires_at or pinned)');
+      }
+      if (args.content !== undefined && (typeof args.content !== 'string' || args.content.length === 0)) {
+        throw invalidArgument('content must be a non-empty string');
+      }
+
+      if (!await this.collectionExists(this.pool, tableName)) {
+        throw new ToolError('COLLECTION_NOT_FOUND', `Collection "${tableName}" does not exist`);
+      }
+      await this.ensureTable(tableName);
+
+      const findDocument = async (queryable, lockClause = '') => {
+        const existing = (await queryable.query(`SELECT content, parent_id FROM ${tableName} WHERE id = $1${lockClause};`, [args.id])).rows[0];
+        if (!existing) {
+          throw new ToolError('MEMORY_NOT_FOUND', `Memory with ID "${args.id}" not found in collection "${tableName}"`);
+        }
+        if (existing.parent_id) {
+          throw invalidArgument(`Memory "${args.id}" is a chunk of "${existing.parent_id}"; update the parent document instead`);
+        }
+        return existing;
+      };
+
+      // New content is embedded before taking a connection; the document is read again
+      // under lock before writing, in case it changed meanwhile
+      const current = await findDocument(this.pool);
+      const settings = await this.getCollectionSettings(this.pool, tableName);
+      const expiry = parseExpiry(args, settings);
+      let rows = null;
+      const embeddingUsage = { hits: 0, misses: 0 };
+      const prepareRows = async () => {
+        const chunking = this.resolveChunking(args.chunking, settings);
+        rows = buildDocumentRows(args.id, args.content, {}, chunking);
+        await this.embedRows(rows, embeddingUsage);
+      };
+      if (args.content !== undefined && args.content !== current.content) {
+        await prepareRows();
+      }
+
+      const client = await this.pool.connect();
+      try {
+        let row;
+        let contentChanged;
+        await client.query('BEGIN');
+        try {
+          // Concurrent updates and keyed stores of the document wait for this one
+          await this.lockDocument(client, tableName, args.id);
+          const locked = await findDocument(client, ' FOR UPDATE');
+          contentChanged = args.content !== undefined && args.content !== locked.content;
+          if (!contentChanged) {
+            rows = null;
+          } else if (!rows) {
+            await prepareRows();
+          }
+          row = await this.writeDocumentUpdate(client, tableName, args.id, {
+            content: args.content,
+            rows,
+            metadata: args.metadata,
+            metadataMode,
+            expiry,
+          });
+          if (!row) {
+            throw new ToolError('MEMORY_NOT_FOUND', `Memory with ID "${args.id}" not found in collection "${tableName}"`);
+          }
+          await client.query('COMMIT');
+        } catch (error) {
+          await client.query('ROLLBACK');
+          throw error;
+        }
+        const chunkRows = rows ? rows.slice(1) : [];
+
+        const embeddingDimensions = rows ? rows.find(r => r.embedding).embedding.length : null;
+
+        return toolResult('update', {
+          id: args.id,
+          collection: tableName,
+          content_length: row.content.length,
+          content_changed: contentChanged,
+          ...(contentChanged && {
+            embedding_dimensions: embeddingDimensions,
+            embedding_model: this.embeddingModel,
+            embedding_cache: embeddingUsage,
+          }),
+          ...(chunkRows.length > 0 && {
+            chunk_count: chunkRows.length,
+            chunk_ids: chunkRows.map(chunk => chunk.id),
+          }),
+          metadata: parseMetadata(row.metadata_json),
+          ...(args.metadata !== undefined && { metadata_mode: metadataMode }),
+          created_at: row.created_at,
+          updated_at: row.updated_at,
+          ...(row.expires_at && { expires_at: row.expires_at }),
+          ...(row.pinned && { pinned: true })
+        });
+      } finally {
+        client.release();
+      }
+    } catch (error) {
+      return toolError('update', error);
+    }
+  }
+
+  async forgetMemory(args, access) {
+    try {
+      const tableName = this.getCollectionName(args, access, 'delete');
+
+      // First validate the collection name and ID format
+      validateCollectionName(tableName);
+      validateMemoryId(args.id);
+
+      const client = await this.pool.connect();
+      try {
+        // Check if table exists
+        if (!await this.collectionExists(client, tableName)) {
+          throw new ToolError('COLLECTION_NOT_FOUND', `Collection "${tableName}" does not exist`);
+        }
+
+        // Deleting reads no embeddings, so any model will do
+        await this.ensureTable(tableName, { create: false, checkModel: false });
 
-        // Create GIN index for full-text search
-        const createFtsIndexQuery = `
-          CREATE INDEX ${tableName}_content_fts_idx ON ${tableName} USING GIN(content_fts);
+        // Check if the memory exists before attempting deletion
+        const checkMemoryQuery = `
+          SELECT id, parent_id FROM ${tableName} WHERE id = $1;
         `;
-        await client.query(createFtsIndexQuery);
+        const memoryExists = await client.query(checkMemoryQuery, [args.id]);
+
+        if (memoryExists.rows.length === 0) {
+          throw new ToolError('MEMORY_NOT_FOUND', `Memory with ID "${args.id}" not found in collection "${tableName}"`);
+        }
+        if (memoryExists.rows[0].parent_id) {
+          throw invalidArgument(`Memory "${args.id}" is a chunk of "${memoryExists.rows[0].parent_id}"; forget the parent document instead`);
+        }
 
-        // Create HNSW index for vector similarity search
-        const createVectorIndexQuery = `
-          CREATE INDEX ${tableName}_embedding_idx ON ${tableName} USING hnsw (embedding vector_l2_ops);
+        // Delete the memory, along with its chunks if it is a chunked document
+        const deleteQuery = `
+          DELETE FROM ${tableName} WHERE id = $1 OR parent_id = $1;
         `;
-        await client.query(createVectorIndexQuery);
+        const deleted = await client.query(deleteQuery, [args.id]);
+
+        return toolResult('delete', {
+          id: args.id,
+          collection: tableName,
+          ...(deleted.rowCount > 1 && { chunks_deleted: deleted.rowCount - 1 })
+        });
+      } finally {
+        client.release();
       }
-    } finally {
-      client.release();
+    } catch (error) {
+      return toolError('delete', error);
     }
   }
 
-  async generateEmbedding(text) {
+  async configureCollection(args, access) {
     try {
-      const result = await embedText(this.embeddingModel, text);
-      return result.vector;
-    } catch (error) {
-      if (error.message.includes('API key not found')) {
-        throw new Error(`API key not configured for embedding model ${this.embeddingModel}. Please set the appropriate environment variable (e.g., GEMINI_API_KEY for Google models, OPENAI_API_KEY for OpenAI models). Original error: ${error.message}`);
+      const tableName = this.getCollectionName(args, access, 'write');
+      const updates = normalizeCollectionSettings(args);
+
+      // A new collection is created with the requested language, metric and index; an existing one is rebuilt
+      await this.ensureTable(tableName, { language: updates.language, distance: updates.distance, index: updates.index });
+      const current = await this.getCollectionSettings(this.pool, tableName);
+      if (updates.language && updates.language !== getTextSearchLanguage(current)) {
+        await rebuildContentFts(this.pool, tableName, updates.language);
       }
-      throw new Error(`Failed to generate embedding with ${this.embeddingModel}: ${error.message}`);
+      const distance = updates.distance ?? getDistanceMetric(current);
+      const index = updates.index ?? getVectorIndex(current);
+      if (distance !== getDistanceMetric(current) || !sameVectorIndex(index, getVectorIndex(current))) {
+        await rebuildEmbeddingIndex(this.pool, tableName, distance, index);
+      }
+
+      const result = await this.pool.query(`
+        INSERT INTO ${REGISTRY_TABLE} (name, settings) VALUES ($1, $2::jsonb)
+        ON CONFLICT (name) DO UPDATE SET settings = ${REGISTRY_TABLE}.settings || EXCLUDED.settings
+        RETURNING settings;
+      `, [tableName, JSON.stringify(updates)]);
+
+      return toolResult('configure', {
+        collection: tableName,
+        settings: result.rows[0].settings
+      });
+    } catch (error) {
+      return toolError('configure', error);
     }
   }
 
-  async storeMemory(args) {
+  async listCollections(access) {
     try {
-      const tableName = this.getCollectionName(args);
-      await this.ensureTable(tableName);
+      await this.ensureRegistry();
+      const names = (await listCollectionTables(this.pool)).filter(name => hasPermission(access, name, 'read'));
+      const result = await this.pool.query(`
+        SELECT n.name, r.embedding_model, r.embedding_dimensions, r.schema_version, r.created_at,
+               GREATEST(c.reltuples, 0)::bigint AS approximate_rows,
+               has_table_privilege(n.name, 'SELECT') AS readable
+        FROM unnest($1::text[]) AS n(name)
+        LEFT JOIN ${REGISTRY_TABLE} r ON r.name = n.name
+        LEFT JOIN pg_class c ON c.oid = to_regclass(n.name)
+        ORDER BY n.name;
+      `, [names]);
+
+      const collections = result.rows.map(row => ({
+        name: row.name,
+        embedding_model: row.embedding_model ?? null,
+        embedding_dimensions: row.embedding_dimensions ?? null,
+        schema_version: row.schema_version ?? null,
+        created_at: row.created_at ?? null,
+        approximate_rows: Number(row.approximate_rows ?? 0),
+      }));
+      // The planner's estimate counts every tenant's rows of a shared table, so under
+      // row-level security the tables this role can read are counted through the policies
+      if (this.tenancy?.isolation === 'rls') {
+        for (const [i, row] of result.rows.entries()) {
+          if (row.readable) {
+            const count = await this.pool.query(`SELECT COUNT(*)::bigint AS rows FROM ${row.name};`);
+            collections[i].approximate_rows = Number(count.rows[0].rows);
+          }
+        }
+      }
+
+      return toolResult('list_collections', {
+        count: collections.length,
+        collections
+      });
+    } catch (error) {
+      return toolError('list_collections', error);
+    }
+  }
 
-      const embedding = await this.generateEmbedding(args.content);
-      const generatedId = `mem_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  async collectionStats(args, access) {
+    try {
+      const tableName = this.getCollectionName(args, access, 'read');
+      const keysLimit = args.metadata_keys_limit ?? 20;
+      if (!Number.isInteger(keysLimit) || keysLimit < 0) {
+        throw invalidArgument(`Invalid metadata_keys_limit: ${keysLimit}. Must be a non-negative integer`);
+      }
 
-      const insertQuery = `
-        INSERT INTO ${tableName} (id, content, embedding, metadata_json)
-        VALUES ($1, $2, $3, $4)
-        RETURNING created_at;
-      `;
+      // Stats never create a collection, and describe it whichever model it was embedded with
+      await this.ensureTable(tableName, { create: false, checkModel: false });
 
       const client = await this.pool.connect();
       try {
-        const result = await client.query(insertQuery, [
-          generatedId,
-          args.content,
-          JSON.stringify(embedding),
-          JSON.stringify(args.metadata || {})
-        ]);
+        const counts = await client.query(`
+          SELECT
+            COUNT(*) FILTER (WHERE parent_id IS NULL)::int AS documents,
+            COUNT(*) FILTER (WHERE parent_id IS NOT NULL)::int AS chunks,
+            COUNT(*)::int AS total_rows,
+            MIN(created_at) FILTER (WHERE parent_id IS NULL) AS oldest_created_at,
+            MAX(created_at) FILTER (WHERE parent_id IS NULL) AS newest_created_at,
+            COUNT(*) FILTER (WHERE parent_id IS NULL AND expires_at > NOW())::int AS expiring,
+            COUNT(*) FILTER (WHERE parent_id IS NULL AND expires_at <= NOW())::int AS expired,
+            COUNT(*) FILTER (WHERE parent_id IS NULL AND pinned)::int AS pinned,
+            MIN(expires_at) FILTER (WHERE parent_id IS NULL AND expires_at > NOW()) AS next_expires_at
+          FROM ${tableName};
+        `);
 
-        const createdAt = result.rows[0].created_at;
-
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify({
-                success: true,
-                operation: 'store',
-                result: {
-                  id: generatedId,
-                  collection: tableName,
-                  content_length: args.content.length,
-                  embedding_dimensions: embedding.length,
-                  embedding_model: this.embeddingModel,
-                  metadata: args.metadata || {},
-                  created_at: createdAt
-                }
-              }, null, 2)
+        // Counts go through row-level security, but sizes cover the whole table, which
+        // holds every tenant's rows when it is shared
+        const storage = this.tenancy?.isolation === 'rls' ? null : await client.query(`
+          SELECT pg_total_relation_size($1::regclass) AS total_bytes,
+                 pg_relation_size($1::regclass) AS table_bytes,
+                 pg_indexes_size($1::regclass) AS index_bytes,
+                 pg_size_pretty(pg_total_relation_size($1::regclass)) AS total_pretty;
+        `, [tableName]);
+
+        const registry = await client.query(`
+          SELECT embedding_model, embedding_dimensions, pending_embedding_model, schema_version, settings, created_at
+          FROM ${REGISTRY_TABLE} WHERE name = $1;
+        `, [tableName]);
+        const info = registry.rows[0] || {};
+
+        const indexes = await client.query(`
+          SELECT i.relname AS name, am.amname AS type, pg_get_indexdef(i.oid) AS definition
+          FROM pg_index x
+          JOIN pg_class i ON i.oid = x.indexrelid
+          JOIN pg_am am ON am.oid = i.relam
+          WHERE x.indrelid = $1::regclass
+          ORDER BY i.relname;
+        `, [tableName]);
+
+        // Chunks repeat their parent's metadata, so only documents are counted
+        const metadataKeys = await client.query(`
+          SELECT key, COUNT(*)::int AS count
+          FROM ${tableName}, jsonb_object_keys(metadata_json) AS key
+          WHERE parent_id IS NULL AND jsonb_typeof(metadata_json) = 'object'
+          GROUP BY key
+          ORDER BY count DESC, key
+          LIMIT $1;
+        `, [keysLimit]);
+
+        const { documents, chunks, total_rows, oldest_created_at, newest_created_at, ...expiry } = counts.rows[0];
+        const sizes = storage?.rows[0];
+
+        return toolResult('collection_stats', {
+          collection: tableName,
+          documents,
+          chunks,
+          total_rows,
+          ...(sizes && {
+            storage: {
+              total_bytes: Number(sizes.total_bytes),
+              table_bytes: Number(sizes.table_bytes),
+              index_bytes: Number(sizes.index_bytes),
+              total: sizes.total_pretty
             }
-          ]
-        };
+          }),
+          embedding_model: info.embedding_model ?? null,
+          embedding_dimensions: info.embedding_dimensions ?? await this.getEmbeddingColumnDimensions(client, tableName),
+          ...(info.pending_embedding_model && { pending_embedding_model: info.pending_embedding_model }),
+          schema_version: info.schema_version ?? null,
+          settings: info.settings ?? {},
+          indexes: indexes.rows,
+          created_at: info.created_at ?? null,
+          oldest_created_at,
+          newest_created_at,
+          // Expired documents are hidden from reads until they are pruned
+          expiry: {
+            default_ttl: info.settings?.default_ttl ?? null,
+            ...expiry
+          },
+          metadata_keys: metadataKeys.rows
+        });
       } finally {
         client.release();
       }
     } catch (error) {
+      return toolError('collection_stats', error);
+    }
+  }
+
+  async recentMemories(tableName, limit) {
+    const result = await this.pool.query(`
+      SELECT id, content, metadata_json, created_at, updated_at, expires_at FROM ${tableName}
+      WHERE parent_id IS NULL AND ${LIVE_CONDITION}
+      ORDER BY created_at DESC, id
+      LIMIT $1;
+    `, [limit]);
+    return result.rows;
+  }
+
+  // With a default collection, its most recent memories; otherwise one resource per collection
+  async listResources(access) {
+    await this.ensureRegistry();
+    if (!this.fixedCollection) {
+      const names = (await listCollectionTables(this.pool)).filter(name => hasPermission(access, name, 'read'));
+      return names.map(name => ({
+        uri: collectionUri(name),
+        name,
+        description: `The ${RESOURCE_LIST_LIMIT} most recent memories in collection "${name}"`,
+        mimeType: 'application/json'
+      }));
+    }
+
+    if (!hasPermission(access, this.fixedCollection, 'read') || !await this.collectionExists(this.pool, this.fixedCollection)) {
+      return [];
+    }
+    await this.ensureTable(this.fixedCollection, { create: false, checkModel: false });
+    const rows = await this.recentMemories(this.fixedCollection, RESOURCE_LIST_LIMIT);
+    return rows.map(row => ({
+      uri: memoryUri(this.fixedCollection, row.id),
+      name: row.id,
+      description: preview(row.content, 100),
+      mimeType: 'text/plain'
+    }));
+  }
+
+  async readResource(uri, access) {
+    const { collection, id } = parseMemoryUri(uri);
+    checkPermission(access, collection, 'read');
+    await this.ensureTable(collection, { create: false, checkModel: false });
+
+    if (id === undefined) {
+      const rows = await this.recentMemories(collection, RESOURCE_LIST_LIMIT);
+      const memories = rows.map(row => ({
+        uri: memoryUri(collection, row.id),
+        id: row.id,
+        preview: preview(row.content),
+        metadata: parseMetadata(row.metadata_json),
+        created_at: row.created_at,
+        updated_at: row.updated_at
+      }));
       return {
-        content: [
-          {
-            type: 'text',
-            text: JSON.stringify({
-              success: false,
-              operation: 'store',
-              error: error.message
-            }, null, 2)
-          }
-        ],
-        isError: true
+        contents: [
+          { uri, mimeType: 'application/json', text: JSON.stringify({ collection, count: memories.length, memories }, null, 2) }
+        ]
       };
     }
+
+    const result = await this.pool.query(`SELECT content FROM ${collection} WHERE id = $1 AND ${LIVE_CONDITION};`, [id]);
+    if (result.rows.length === 0) {
+      throw new ToolError('MEMORY_NOT_FOUND', `Memory with ID "${id}" not found in collection "${collection}"`);
+    }
+    return {
+      contents: [
+        { uri, mimeType: 'text/plain', text: result.rows[0].content }
+      ]
+    };
   }
 
-  async searchMemory(args) {
-    try {
-      const tableName = this.getCollectionName(args);
-      await this.ensureTable(tableName);
+  async subscribe(uri, server = this.server, access) {
+    const canonical = canonicalMemoryUri(uri);
+    checkPermission(access, parseMemoryUri(uri).collection, 'read');
+    if (!this.subscriptions.has(canonical)) {
+      this.subscriptions.set(canonical, new Map());
+    }
+    this.subscriptions.get(canonical).set(server, uri);
+    await this.changeListener.start();
+  }
 
-      const mode = args.mode || 'semantic';
-      const limit = args.limit || 10;
-      const memories = [];
+  // The listener holds a connection of its own, so it only runs while there are subscriptions
+  async unsubscribe(uri, server = this.server) {
+    const canonical = canonicalMemoryUri(uri);
+    const servers = this.subscriptions.get(canonical);
+    servers?.delete(server);
+    if (servers?.size === 0) {
+      this.subscriptions.delete(canonical);
+    }
+    await this.stopListenerIfUnused();
+  }
 
-      const client = await this.pool.connect();
+  // Drop the subscriptions of an MCP server whose session has ended
+  async unsubscribeAll(server) {
+    for (const [canonical, servers] of this.subscriptions) {
+      servers.delete(server);
+      if (servers.size === 0) {
+        this.subscriptions.delete(canonical);
+      }
+    }
+    await this.stopListenerIfUnused();
+  }
+
+  async stopListenerIfUnused() {
+    if (this.subscriptions.size === 0) {
+      await this.changeListener.stop();
+    }
+  }
+
+  // Tell subscribed clients about a change made by any server instance
+  handleMemoryChange(change) {
+    const { collection, id } = change;
+    if (this.tenancy && !this.tenancy.ownsChange(change)) {
+      return;
+    }
+    for (const canonical of [memoryUri(collection, id), collectionUri(collection)]) {
+      for (const [server, uri] of this.subscriptions.get(canonical) ?? []) {
+        server.sendResourceUpdated({ uri }).catch(error => {
+          console.error(`Failed to notify subscribers of ${uri}: ${error.message}`);
+        });
+      }
+    }
+  }
+
+  /**
+   * Delete expired memories from every collection, in batches.
+   * @returns {Promise<Array<{collection: string, deleted?: number, error?: string}>>}
+   */
+  async pruneCollections({ batchSize } = {}) {
+    await this.ensureRegistry();
+    // Collections not yet migrated to expiry have nothing to prune
+    const result = await this.pool.query(`
+      SELECT table_name AS name FROM information_schema.columns
+      WHERE table_schema = current_schema() AND column_name = 'expires_at' AND table_name = ANY($1)
+      ORDER BY table_name;
+    `, [await listCollectionTables(this.pool)]);
+
+    const results = [];
+    for (const { name } of result.rows) {
       try {
-        let result;
-
-        if (mode === 'semantic') {
-          // Semantic search using pgvector
-          const queryEmbedding = await this.generateEmbedding(args.query);
-
-          const searchQuery = `
-            SELECT id, content, metadata_json, created_at, embedding <-> $1 AS distance
-            FROM ${tableName}
-            ORDER BY embedding <-> $1
-            LIMIT $2;
-          `;
-
-          result = await client.query(searchQuery, [
-            JSON.stringify(queryEmbedding),
-            limit
-          ]);
-
-          // Convert distance to similarity score
-          for (const row of result.rows) {
-            const similarity = 1.0 / (1.0 + row.distance);
-            let metadata = {};
-            try {
-              metadata = typeof row.metadata_json === 'string'
-                ? JSON.parse(row.metadata_json)
-                : (row.metadata_json || {});
-            } catch (e) {
-              metadata = {};
-            }
+        results.push({ collection: name, deleted: await pruneExpired(this.pool, name, batchSize) });
+      } catch (error) {
+        results.push({ collection: name, error: error.message });
+      }
+    }
+    return results;
+  }
 
-            memories.push({
-              id: row.id,
-              content: row.content,
-              similarity: similarity,
-              metadata,
-              created_at: row.created_at,
-            });
-          }
-        } else if (mode === 'fulltext') {
-          // Full-text search using PostgreSQL tsvector
-          const searchQuery = `
-            SELECT id, content, metadata_json, created_at,
-                   ts_rank(content_fts, to_tsquery('english', $1)) AS rank
-            FROM ${tableName}
-            WHERE content_fts @@ to_tsquery('english', $1)
-            ORDER BY rank DESC
-            LIMIT $2;
-          `;
-
-          // Convert query to tsquery format (replace spaces with &)
-          const tsQuery = args.query.trim().split(/\s+/).join(' & ');
-
-          result = await client.query(searchQuery, [tsQuery, limit]);
-
-          for (const row of result.rows) {
-            let metadata = {};
-            try {
-              metadata = typeof row.metadata_json === 'string'
-                ? JSON.parse(row.metadata_json)
-                : (row.metadata_json || {});
-            } catch (e) {
-              metadata = {};
-            }
+  // Rebuild the indexes of one collection or of every collection, and refresh their
+  // planner statistics; IVFFlat indexes in particular are only as good as the rows
+  // present when they were built, so bulk loads should be followed by a reindex
+  async reindexCollections({ collection } = {}) {
+    await this.ensureRegistry();
+    let tables;
+    if (collection) {
+      validateCollectionName(collection);
+      await this.ensureTable(collection, { create: false, checkModel: false });
+      tables = [collection];
+    } else {
+      tables = await listCollectionTables(this.pool);
+    }
 
-            memories.push({
-              id: row.id,
-              content: row.content,
-              similarity: row.rank,
-              metadata,
-              created_at: row.created_at,
-            });
-          }
-        } else {
-          throw new Error(`Unknown search mode: ${mode}`);
-        }
+    const results = [];
+    for (const name of tables) {
+      try {
+        const started = Date.now();
+        await this.pool.query(`REINDEX TABLE ${name};`);
+        await this.pool.query(`ANALYZE ${name};`);
+        const index = getVectorIndex(await this.getCollectionSettings(this.pool, name));
+        results.push({ collection: name, index: index.type, duration_ms: Date.now() - started });
+      } catch (error) {
+        results.push({ collection: name, error: error.message });
+      }
+    }
+    return results;
+  }
 
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify({
-                success: true,
-                operation: 'search',
-                result: {
-                  query: args.query,
-                  mode: mode,
-                  count: memories.length,
-                  memories: memories
-                }
-              }, null, 2)
+  // Prune every pruneInterval seconds while the server runs
+  startPruning() {
+    if (!this.pruneInterval || this.pruneTimer) {
+      return;
+    }
+    this.pruneTimer = setTimeout(() => {
+      this.pruning = this.pruneCollections()
+        .then(results => {
+          for (const result of results) {
+            if (result.error) {
+              console.error(`Pruning ${result.collection} failed: ${result.error}`);
+            } else if (result.deleted > 0) {
+              console.error(`Pruned ${result.deleted} expired rows from ${result.collection}`);
             }
-          ]
-        };
-      } finally {
-        client.release();
-      }
-    } catch (error) {
-      return {
-        content: [
-          {
-            type: 'text',
-            text: JSON.stringify({
-              success: false,
-              operation: 'search',
-              error: error.message
-            }, null, 2)
           }
-        ],
-        isError: true
-      };
+        })
+        .catch(error => console.error(`Pruning expired memories failed: ${error.message}`))
+        .finally(() => {
+          this.pruning = null;
+          this.pruneTimer = null;
+          this.startPruning();
+        });
+    }, this.pruneInterval * 1000);
+    this.pruneTimer.unref();
+  }
+
+  // Schema version of every collection in the database, and the migration steps each is missing
+  async migrationStatus() {
+    await this.ensureRegistry();
+    return getMigrationStatus(this.pool);
+  }
+
+  // Apply pending schema migrations to every collection in the database
+  async migrateCollections() {
+    await this.ensureRegistry();
+    const results = [];
+    for (const { collection } of await getMigrationStatus(this.pool)) {
+      try {
+        validateCollectionName(collection);
+        results.push(await migrateCollection(this.pool, collection));
+        this.migratedTables.add(collection);
+      } catch (error) {
+        results.push({ collection, error: error.message });
+      }
     }
+    return results;
   }
 
-  async forgetMemory(args) {
+  /**
+   * Migrate a collection to this server's embedding model.
+   *
+   * New embeddings are written to an `embedding_next` column in batches while
+   * servers on the old model keep searching and writing the `embedding` column.
+   * Progress lives in the table, so an interrupted run resumes where it stopped.
+   * Once every row is embedded, the new column replaces the old one in a short
+   * transaction that blocks writers (but not readers) of the collection.
+   *
+   * @param {string} tableName
+   * @param {object} [options]
+   * @param {number} [options.batchSize=100] - Rows embedded per batch
+   * @param {function} [options.onProgress] - Called after each batch with { embedded, failed }
+   */
+  async reembedCollection(tableName, { batchSize = 100, onProgress } = {}) {
+    validateCollectionName(tableName);
+    if (this.tenancy?.isolation === 'rls') {
+      // The cutover replaces the embeddings of every tenant sharing the table, not just the visible ones
+      throw new Error('Collections shared under row-level security hold every tenant\'s rows; run reembed without --isolation rls, as a role that bypasses row-level security');
+    }
+    const targetDim = this.embeddingProvider.getDimensions();
+    await this.ensureRegistry();
+
+    const registryRow = await this.startReembed(tableName, targetDim);
+    const summary = {
+      collection: tableName,
+      from_model: registryRow.embedding_model,
+      to_model: this.embeddingModel,
+      embedding_dimensions: targetDim,
+      embedded: 0,
+      failed: 0,
+    };
+    if (registryRow.upToDate) {
+      return { ...summary, status: 'up_to_date' };
+    }
+
+    // Rows still to embed: never embedded, or content changed since they were
+    const pendingCondition = 'chunk_count IS NULL AND embedding_next_hash IS DISTINCT FROM content_hash';
+    const embedBatch = async (queryable, rows) => {
+      const embeddings = await this.generateEmbeddings(rows.map(row => row.content));
+      const done = rows
+        .map((row, i) => ({ ...row, embedding: embeddings[i].embedding }))
+        .filter(row => row.embedding);
+      if (done.length > 0) {
+        await queryable.query(`
+          UPDATE ${tableName} AS t
+          SET embedding_next = v.embedding::vector, embedding_next_hash = v.hash
+          FROM unnest($1::text[], $2::text[], $3::text[]) AS v(id, embedding, hash)
+          WHERE t.id = v.id AND t.content_hash = v.hash;
+        `, [
+          done.map(row => row.id),
+          done.map(row => JSON.stringify(row.embedding)),
+          done.map(row => contentHash(row.content)),
+        ]);
+      }
+      return { embedded: done.length, failed: rows.length - done.length };
+    };
+
+    let lastId = '';
+    for (;;) {
+      const { rows } = await this.pool.query(`
+        SELECT id, content FROM ${tableName}
+        WHERE ${pendingCondition} AND id > $1
+        ORDER BY id LIMIT $2;
+      `, [lastId, batchSize]);
+      if (rows.length === 0) {
+        break;
+      }
+      lastId = rows[rows.length - 1].id;
+      const { embedded, failed } = await embedBatch(this.pool, rows);
+      summary.embedded += embedded;
+      summary.failed += failed;
+      if (onProgress) {
+        onProgress({ embedded: summary.embedded, failed: summary.failed });
+      }
+    }
+    if (summary.failed > 0) {
+      return { ...summary, status: 'incomplete' };
+    }
+
+    // Built before the cutover, so searches switch to an indexed column
+    const settings = await this.getCollectionSettings(this.pool, tableName);
+    await createEmbeddingIndex(this.pool, tableName, 'embedding_next', getDistanceMetric(settings), getVectorIndex(settings));
+
+    const client = await this.pool.connect();
     try {
-      const tableName = this.getCollectionName(args);
+      await client.query('BEGIN');
+      await client.query(`LOCK TABLE ${tableName} IN EXCLUSIVE MODE;`);
 
-      // First validate the ID format
-      if (!args.id || !args.id.match(/^mem_\d+_[a-z0-9]+$/)) {
-        throw new Error(`Invalid memory ID format. Expected format: mem_timestamp_randomstring, got: ${args.id}`);
+      // Catch up with rows written since the batches above
+      const { rows } = await client.query(`SELECT id, content FROM ${tableName} WHERE ${pendingCondition};`);
+      const { embedded, failed } = await embedBatch(client, rows);
+      summary.embedded += embedded;
+      if (failed > 0) {
+        await client.query('ROLLBACK');
+        return { ...summary, failed, status: 'incomplete' };
       }
 
-      const client = await this.pool.connect();
-      try {
-        // Check if table exists
-        const checkTableQuery = `
-          SELECT EXISTS (
-            SELECT FROM information_schema.tables
-            WHERE table_name = $1
-          );
-        `;
-        const tableExists = await client.query(checkTableQuery, [tableName]);
+      await client.query(`ALTER TABLE ${tableName} DROP COLUMN embedding, DROP COLUMN embedding_next_hash;`);
+      await client.query(`ALTER TABLE ${tableName} RENAME COLUMN embedding_next TO embedding;`);
+      // Collections without a vector index have none to rename
+      await client.query(`ALTER INDEX IF EXISTS ${tableName}_embedding_next_idx RENAME TO ${tableName}_embedding_idx;`);
+      await client.query(`
+        UPDATE ${REGISTRY_TABLE}
+        SET embedding_model = pending_embedding_model, embedding_dimensions = pending_embedding_dimensions,
+            pending_embedding_model = NULL, pending_embedding_dimensions = NULL
+        WHERE name = $1;
+      `, [tableName]);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
 
-        if (!tableExists.rows[0].exists) {
-          throw new Error(`Collection "${tableName}" does not exist`);
-        }
+    return { ...summary, status: 'completed' };
+  }
 
-        // Check if the memory exists before attempting deletion
-        const checkMemoryQuery = `
-          SELECT id FROM ${tableName} WHERE id = $1;
-        `;
-        const memoryExists = await client.query(checkMemoryQuery, [args.id]);
+  // Record the migration target and add the column new embeddings are written to
+  async startReembed(tableName, targetDim) {
+    await migrateCollection(this.pool, tableName);
+    this.migratedTables.add(tableName);
 
-        if (memoryExists.rows.length === 0) {
-          throw new Error(`Memory with ID "${args.id}" not found in collection "${tableName}"`);
-        }
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(`
+        SELECT embedding_model, embedding_dimensions, pending_embedding_model, pending_embedding_dimensions
+        FROM ${REGISTRY_TABLE} WHERE name = $1 FOR UPDATE;
+      `, [tableName]);
+      const row = result.rows[0];
 
-        // Delete the memory
-        const deleteQuery = `
-          DELETE FROM ${tableName} WHERE id = $1;
-        `;
-        await client.query(deleteQuery, [args.id]);
-
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify({
-                success: true,
-                operation: 'delete',
-                result: {
-                  id: args.id,
-                  collection: tableName
-                }
-              }, null, 2)
-            }
-          ]
-        };
-      } finally {
-        client.release();
+      if (row.pending_embedding_model) {
+        if (row.pending_embedding_model !== this.embeddingModel || row.pending_embedding_dimensions !== targetDim) {
+          throw new Error(
+            `Collection "${tableName}" is already being migrated to '${row.pending_embedding_model}' (${row.pending_embedding_dimensions} dimensions). ` +
+            `Resume with --embedding-model ${row.pending_embedding_model}, or cancel it with --abort`
+          );
+        }
+      } else if (row.embedding_model === this.embeddingModel && row.embedding_dimensions === targetDim) {
+        await client.query('COMMIT');
+        return { ...row, upToDate: true };
+      } else {
+        await client.query(`
+          ALTER TABLE ${tableName}
+            ADD COLUMN embedding_next vector(${targetDim}),
+            ADD COLUMN embedding_next_hash TEXT;
+        `);
+        await client.query(`
+          UPDATE ${REGISTRY_TABLE} SET pending_embedding_model = $2, pending_embedding_dimensions = $3 WHERE name = $1;
+        `, [tableName, this.embeddingModel, targetDim]);
       }
+      await client.query('COMMIT');
+      return row;
     } catch (error) {
-      return {
-        content: [
-          {
-            type: 'text',
-            text: JSON.stringify({
-              success: false,
-              operation: 'delete',
-              error: error.message
-            }, null, 2)
-          }
-        ],
-        isError: true
-      };
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
     }
   }
 
-  async run() {
+  // Cancel an unfinished reembed; the collection keeps its current model
+  async abortReembed(tableName) {
+    validateCollectionName(tableName);
+    await this.ensureRegistry();
+    const client = await this.pool.connect();
     try {
-      // Test PostgreSQL connection
-      const client = await this.pool.connect();
-      try {
-        await client.query('SELECT 1');
-        // Ensure pgvector extension is installed
-        await client.query('CREATE EXTENSION IF NOT EXISTS vector');
-      } finally {
-        client.release();
+      await client.query('BEGIN');
+      await client.query(`DROP INDEX IF EXISTS ${tableName}_embedding_next_idx;`);
+      await client.query(`ALTER TABLE ${tableName} DROP COLUMN IF EXISTS embedding_next, DROP COLUMN IF EXISTS embedding_next_hash;`);
+      const result = await client.query(`
+        UPDATE ${REGISTRY_TABLE} SET pending_embedding_model = NULL, pending_embedding_dimensions = NULL
+        WHERE name = $1
+        RETURNING embedding_model;
+      `, [tableName]);
+      await client.query('COMMIT');
+      return { collection: tableName, embedding_model: result.rows[0]?.embedding_model ?? null, status: 'aborted' };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Export a collection as records: a header describing the collection, then one
+   * record per row, chunks included, in id order. Expired memories are left out.
+   *
+   * @param {string} tableName
+   * @param {object} options
+   * @param {function(object): (void|Promise<void>)} options.write - Called with each record, awaited
+   * @param {boolean} [options.embeddings] - Include embeddings, so an import with the same model skips embedding
+   * @param {number} [options.batchSize] - Rows read per query
+   * @returns {Promise<{collection: string, exported: number}>}
+   */
+  async exportCollection(tableName, { write, embeddings = false, batchSize = 500 }) {
+    validateCollectionName(tableName);
+    // Exports describe the collection whichever model it was embedded with
+    await this.ensureTable(tableName, { create: false, checkModel: false });
+
+    const registry = await this.pool.query(`
+      SELECT embedding_model, embedding_dimensions, settings FROM ${REGISTRY_TABLE} WHERE name = $1;
+    `, [tableName]);
+    const { embedding_model = null, embedding_dimensions = null, settings = {} } = registry.rows[0] ?? {};
+    await write({
+      type: 'collection',
+      format_version: EXPORT_FORMAT_VERSION,
+      name: tableName,
+      embedding_model,
+      embedding_dimensions,
+      settings,
+      embeddings,
+      exported_at: new Date().toISOString(),
+    });
+
+    let exported = 0;
+    let lastId = '';
+    for (;;) {
+      const { rows } = await this.pool.query(`
+        SELECT id, content, metadata_json, pinned, parent_id, chunk_index, chunk_count,
+               ${isoTimestampSql('created_at')} AS created_at, ${isoTimestampSql('updated_at')} AS updated_at,
+               ${isoTimestampSql('expires_at')} AS expires_at
+               ${embeddings ? ', embedding::text AS embedding' : ''}
+        FROM ${tableName}
+        WHERE id > $1 AND ${LIVE_CONDITION}
+        ORDER BY id LIMIT $2;
+      `, [lastId, batchSize]);
+      if (rows.length === 0) {
+        break;
+      }
+      lastId = rows[rows.length - 1].id;
+      for (const row of rows) {
+        await write({
+          type: 'memory',
+          id: row.id,
+          content: row.content,
+          metadata: parseMetadata(row.metadata_json),
+          created_at: row.created_at,
+          ...(row.updated_at && { updated_at: row.updated_at }),
+          ...(row.expires_at && { expires_at: row.expires_at }),
+          ...(row.pinned && { pinned: true }),
+          ...(row.parent_id && { parent_id: row.parent_id, chunk_index: row.chunk_index }),
+          ...(row.chunk_count && { chunk_count: row.chunk_count }),
+          // pgvector's text form is a JSON array
+          ...(row.embedding && { embedding: JSON.parse(row.embedding) }),
+        });
+        exported++;
+      }
+    }
+    return { collection: tableName, exported };
+  }
+
+  /**
+   * Import the records of exportCollection into a collection. A collection that does
+   * not exist is created with the exported settings; an existing one keeps its own.
+   * Exported embeddings are used when they come from this server's model, and rows
+   * are embedded again otherwise. Rows whose id is already in the collection are
+   * skipped, so an interrupted import resumes where it stopped when run again.
+   * Deduplication policies do not apply: rows are restored as they were exported.
+   *
+   * @param {string} tableName
+   * @param {AsyncIterable<object>|Iterable<object>} records
+   * @param {object} [options]
+   * @param {number} [options.batchSize] - Rows embedded and inserted per statement
+   * @param {function({imported: number, skipped: number, failed: number}): void} [options.onProgress]
+   * @returns {Promise<object>} Summary with status 'complete' or 'incomplete'
+   */
+  async importCollection(tableName, records, { batchSize = 100, onProgress } = {}) {
+    validateCollectionName(tableName);
+    if (!Number.isInteger(batchSize) || batchSize < 1 || batchSize > INSERT_BATCH_SIZE * 10) {
+      throw new Error(`Invalid batch size: ${batchSize}. Must be an integer from 1 to ${INSERT_BATCH_SIZE * 10}`);
+    }
+    const iterator = (records[Symbol.asyncIterator] ?? records[Symbol.iterator]).call(records);
+    const first = await iterator.next();
+    const header = first.value;
+    if (first.done || header?.type !== 'collection') {
+      throw new Error('Not a collection export: the first record must be the collection header written by export');
+    }
+    if (header.format_version !== EXPORT_FORMAT_VERSION) {
+      throw new Error(`Unsupported export format version: ${header.format_version}. Expected ${EXPORT_FORMAT_VERSION}`);
+    }
+
+    await this.ensureRegistry();
+    const created = !await this.collectionExists(this.pool, tableName);
+    if (created) {
+      // Settings are validated as configure_collection would; collections exported before a setting existed get its legacy value
+      const exported = header.settings ?? {};
+      const settings = normalizeCollectionSettings({
+        ...exported,
+        language: getTextSearchLanguage(exported),
+        distance: getDistanceMetric(exported),
+        index: getVectorIndex(exported),
+      });
+      await this.ensureTable(tableName, { language: settings.language, distance: settings.distance, index: settings.index });
+      await this.pool.query(`
+        UPDATE ${REGISTRY_TABLE} SET settings = settings || $2::jsonb WHERE name = $1;
+      `, [tableName, JSON.stringify(settings)]);
+    } else {
+      await this.ensureTable(tableName, { create: false });
+    }
+
+    const dimensions = this.embeddingProvider.getDimensions();
+    const reuseEmbeddings = header.embeddings === true &&
+      header.embedding_model === this.embeddingModel && header.embedding_dimensions === dimensions;
+    const summary = {
+      collection: tableName,
+      created,
+      from_model: header.embedding_model,
+      to_model: this.embeddingModel,
+      reembedded: !reuseEmbeddings,
+      imported: 0,
+      skipped: 0,
+      failed: 0,
+    };
+
+    const importBatch = async (batch) => {
+      const existing = await this.pool.query(`SELECT id FROM ${tableName} WHERE id = ANY($1);`, [batch.map(row => row.id)]);
+      // Records already imported, by an earlier run or earlier in this batch, are skipped
+      const seenIds = new Set(existing.rows.map(row => row.id));
+      const rows = [];
+      for (const row of batch) {
+        if (!seenIds.has(row.id)) {
+          seenIds.add(row.id);
+          rows.push(row);
+        }
+      }
+      summary.skipped += batch.length - rows.length;
+
+      // Parents of chunked documents have no embedding of their own
+      const toEmbed = rows.filter(row => !row.chunk_count && !(reuseEmbeddings && row.embedding?.length === dimensions));
+      const embeddings = toEmbed.length > 0 ? await this.generateEmbeddings(toEmbed.map(row => row.content)) : [];
+      const failed = new Set();
+      toEmbed.forEach((row, i) => {
+        if (embeddings[i].error) {
+          failed.add(row);
+        } else {
+          row.embedding = embeddings[i].embedding;
+        }
+      });
+      // Rows that could not be embedded are left for the next run
+      const ready = rows.filter(row => !failed.has(row));
+      if (ready.length > 0) {
+        await this.insertRows(this.pool, tableName, ready);
+      }
+      summary.imported += ready.length;
+      summary.failed += failed.size;
+      if (onProgress) {
+        onProgress({ imported: summary.imported, skipped: summary.skipped, failed: summary.failed });
+      }
+    };
+
+    let batch = [];
+    let number = 1;
+    for (let next = await iterator.next(); !next.done; next = await iterator.next()) {
+      number++;
+      batch.push(importRecord(next.value, number));
+      if (batch.length >= batchSize) {
+        await importBatch(batch);
+        batch = [];
+      }
+    }
+    if (batch.length > 0) {
+      await importBatch(batch);
+    }
+    return { ...summary, status: summary.failed > 0 ? 'incomplete' : 'complete' };
+  }
+
+  /**
+   * Create a bearer token for the HTTP transport.
+   *
+   * @param {string} name - Unique name of the token, e.g. the client it is for
+   * @param {string[]} grants - Grants such as "notes=read,write" or "*=read"
+   * @returns {Promise<{name: string, token: string, grants: object}>} The only copy of the plaintext token
+   */
+  async createToken(name, grants) {
+    if (!name) {
+      throw new Error('Token name is required');
+    }
+    const parsed = grants.map(parseGrant);
+    if (parsed.length === 0) {
+      throw new Error('At least one grant is required, e.g. --grant notes=read,write');
+    }
+    for (const [collection] of parsed) {
+      if (collection !== ALL_COLLECTIONS) {
+        validateCollectionName(collection);
       }
+    }
+    return this.tokens.create(name, grantsFromList(parsed));
+  }
+
+  async listTokens() {
+    return this.tokens.list();
+  }
+
+  async revokeToken(name) {
+    if (!await this.tokens.revoke(name)) {
+      throw new Error(`No token named "${name}"`);
+    }
+    return { name, revoked: true };
+  }
+
+  // Test the PostgreSQL connection and make sure pgvector is installed
+  async prepareDatabase() {
+    const client = await this.sharedPool.connect();
+    try {
+      await client.query('SELECT 1');
+      await client.query('CREATE EXTENSION IF NOT EXISTS vector');
+    } finally {
+      client.release();
+    }
+    await this.tenancy?.prepare(this.sharedPool);
+  }
 
+  async run() {
+    try {
+      await this.prepareDatabase();
       const transport = new StdioServerTransport();
       await this.server.connect(transport);
+      this.startPruning();
     } catch (error) {
       console.error(`Failed to connect to PostgreSQL: ${error.toString()}`);
       process.exit(1);
     }
   }
 
+  /**
+   * Serve the Streamable HTTP transport at http://host:port/mcp.
+   *
+   * @param {object} [options]
+   * @param {string} [options.host='127.0.0.1']
+   * @param {number} [options.port=3000] - 0 picks a free port
+   * @param {boolean} [options.auth=false] - Require a bearer token (see createToken) on every request
+   * @returns {Promise<string>} The URL of the MCP endpoint
+   */
+  async runHttp({ host = '127.0.0.1', port = 3000, auth = false } = {}) {
+    await this.prepareDatabase();
+    if (auth) {
+      await this.tokens.ensureTable();
+    }
+    this.httpServer = new McpHttpServer({
+      createMcpServer: () => this.createMcpServer(),
+      onSessionClosed: server => this.unsubscribeAll(server),
+      authenticate: auth ? token => this.tokens.authenticate(token) : undefined,
+    });
+    const address = await this.httpServer.listen(port, host);
+    this.startPruning();
+    const urlHost = address.family === 'IPv6' ? `[${address.address}]` : address.address;
+    const url = `http://${urlHost}:${address.port}${MCP_PATH}`;
+    console.error(`MCP server listening on ${url}`);
+    return url;
+  }
+
+  /**
+   * Stop taking new requests, wait for tool calls in progress to finish, then close
+   * sessions and the database pool. Calls still running after timeoutMs are abandoned.
+   */
+  async shutdown({ timeoutMs = 30000 } = {}) {
+    this.shuttingDown = true;
+    this.httpServer?.stopAccepting();
+
+    if (this.inFlight.size > 0) {
+      console.error(`Waiting for ${this.inFlight.size} tool call(s) to finish`);
+    }
+    let timer;
+    const timedOut = new Promise(resolve => {
+      timer = setTimeout(() => resolve(true), timeoutMs);
+    });
+    const drained = Promise.allSettled([...this.inFlight])
+      .then(() => this.httpServer?.responsesSent())
+      .then(() => false);
+    if (await Promise.race([drained, timedOut])) {
+      console.error(`Gave up on ${this.inFlight.size} tool call(s) after ${timeoutMs}ms`);
+    }
+    clearTimeout(timer);
+
+    await this.httpServer?.close();
+    await this.close();
+  }
+
   async close() {
+    clearTimeout(this.pruneTimer);
+    this.pruneTimer = null;
+    this.pruneInterval = 0;
+    await this.pruning;
+    await this.changeListener.stop();
     await this.pool.end();
   }
 }
 
-export { PostgresMCPServer, DEFAULT_EMBEDDING_MODEL };
+export { PostgresMCPServer, DEFAULT_EMBEDDING_MODEL, DEFAULT_HYBRID_OPTIONS };
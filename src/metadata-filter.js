@@ -0,0 +1,149 @@
+// Compiles metadata filters such as
+//   { "project": "alpha", "priority": { "$gte": 2 }, "tags": { "$contains": "bug" } }
+// into parameterized SQL conditions on a JSONB column. Keys and values are always
+// passed as query parameters; only operator names (checked against a fixed list)
+// influence the generated SQL text.
+import { invalidArgument } from './tool-errors.js';
+
+const COMPARISON_OPERATORS = {
+  $gt: '>',
+  $gte: '>=',
+  $lt: '<',
+  $lte: '<=',
+};
+
+const FIELD_OPERATORS = ['$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in', '$nin', '$contains', '$exists'];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// 'a.b.c' -> ['a', 'b', 'c']
+function toPath(key) {
+  const path = key.split('.');
+  if (path.some(segment => segment === '')) {
+    throw invalidArgument(`Invalid filter key: "${key}"`);
+  }
+  return path;
+}
+
+// (['a', 'b'], 1) -> { a: { b: 1 } }
+function nest(path, value) {
+  return path.reduceRight((inner, segment) => ({ [segment]: inner }), value);
+}
+
+function compileFieldOperator(column, path, operator, value, params) {
+  const addParam = (param) => {
+    params.push(param);
+    return `$${params.length}`;
+  };
+
+  switch (operator) {
+    case '$eq':
+      return `${column} @> ${addParam(JSON.stringify(nest(path, value)))}::jsonb`;
+    case '$ne':
+      return `NOT (${column} @> ${addParam(JSON.stringify(nest(path, value)))}::jsonb)`;
+    case '$gt':
+    case '$gte':
+    case '$lt':
+    case '$lte': {
+      const sqlOperator = COMPARISON_OPERATORS[operator];
+      const pathParam = addParam(path);
+      if (typeof value === 'number') {
+        // Only numeric JSON values take part in numeric comparisons, so strings never fail the cast
+        return `(CASE WHEN jsonb_typeof(${column} #> ${pathParam}::text[]) = 'number' ` +
+          `THEN (${column} #>> ${pathParam}::text[])::numeric END) ${sqlOperator} ${addParam(value)}::numeric`;
+      }
+      if (typeof value === 'string') {
+        return `(${column} #>> ${pathParam}::text[]) ${sqlOperator} ${addParam(value)}::text`;
+      }
+      throw invalidArgument(`Operator ${operator} requires a number or string, got: ${JSON.stringify(value)}`);
+    }
+    case '$in':
+    case '$nin': {
+      if (!Array.isArray(value)) {
+        throw invalidArgument(`Operator ${operator} requires an array, got: ${JSON.stringify(value)}`);
+      }
+      const condition = `COALESCE(${column} #> ${addParam(path)}::text[] IN ` +
+        `(SELECT jsonb_array_elements(${addParam(JSON.stringify(value))}::jsonb)), FALSE)`;
+      return operator === '$in' ? condition : `NOT ${condition}`;
+    }
+    case '$contains': {
+      // A scalar is looked up as an element of an array; arrays and objects use JSONB containment
+      const contained = isPlainObject(value) || Array.isArray(value) ? value : [value];
+      return `${column} @> ${addParam(JSON.stringify(nest(path, contained)))}::jsonb`;
+    }
+    case '$exists':
+      if (typeof value !== 'boolean') {
+        throw invalidArgument(`Operator $exists requires a boolean, got: ${JSON.stringify(value)}`);
+      }
+      return `${column} #> ${addParam(path)}::text[] IS ${value ? 'NOT ' : ''}NULL`;
+    default:
+      throw invalidArgument(`Unknown filter operator: ${operator}. Supported operators: ${FIELD_OPERATORS.join(', ')}`);
+  }
+}
+
+function compileField(column, key, condition, params) {
+  const path = toPath(key);
+
+  // A plain value (or an object without operators) means equality
+  const isOperatorObject = isPlainObject(condition) &&
+    Object.keys(condition).length > 0 &&
+    Object.keys(condition).every(k => k.startsWith('$'));
+
+  if (!isOperatorObject) {
+    return compileFieldOperator(column, path, '$eq', condition, params);
+  }
+
+  return Object.entries(condition)
+    .map(([operator, value]) => compileFieldOperator(column, path, operator, value, params))
+    .join(' AND ');
+}
+
+function compileFilterObject(column, filter, params) {
+  if (!isPlainObject(filter)) {
+    throw invalidArgument(`Filter must be an object, got: ${JSON.stringify(filter)}`);
+  }
+
+  const conditions = [];
+  for (const [key, condition] of Object.entries(filter)) {
+    if (key === '$and' || key === '$or') {
+      if (!Array.isArray(condition) || condition.length === 0) {
+        throw invalidArgument(`Operator ${key} requires a non-empty array of filters`);
+      }
+      const joined = condition
+        .map(subFilter => `(${compileFilterObject(column, subFilter, params)})`)
+        .join(key === '$and' ? ' AND ' : ' OR ');
+      conditions.push(`(${joined})`);
+    } else if (key === '$not') {
+      conditions.push(`NOT (${compileFilterObject(column, condition, params)})`);
+    } else if (key.startsWith('$')) {
+      throw invalidArgument(`Unknown filter operator: ${key}. Supported logical operators: $and, $or, $not`);
+    } else {
+      conditions.push(compileField(column, key, condition, params));
+    }
+  }
+
+  return conditions.length > 0 ? conditions.join(' AND ') : 'TRUE';
+}
+
+/**
+ * Compile a metadata filter into a SQL condition.
+ *
+ * Values are appended to `params`, and the returned condition references them
+ * by position, so it can be combined with conditions that already use earlier
+ * parameters. Returns null when there is no filter.
+ *
+ * @param {object|undefined} filter - Filter object; dotted keys address nested fields
+ * @param {Array} params - Query parameters, appended to in place
+ * @param {string} [column='metadata_json'] - JSONB column to filter on
+ * @returns {string|null} SQL condition
+ */
+function compileMetadataFilter(filter, params, column = 'metadata_json') {
+  if (filter === undefined || filter === null) {
+    return null;
+  }
+  return compileFilterObject(column, filter, params);
+}
+
+export { compileMetadataFilter };
@@ -0,0 +1,383 @@
+// Versioned schema migrations for collection tables.
+//
+// A collection starts as the version 0 table created by createBaseTable, and the
+// steps in MIGRATIONS bring it to SCHEMA_VERSION, in order. The version each
+// collection is at is recorded in the registry. Creation and migration run in one
+// transaction holding an advisory lock on the collection, so server instances
+// starting at the same time neither race to create a table nor apply a step twice.
+//
+// Collections upgraded before versions were recorded have a NULL version and are
+// treated as version 0, so every step must be safe to re-run (IF NOT EXISTS).
+
+import { contentFtsColumn, DEFAULT_TEXT_SEARCH_LANGUAGE } from './fulltext.js';
+import { LEGACY_DISTANCE_METRIC } from './distance.js';
+import { DEFAULT_VECTOR_INDEX, vectorIndexMethod } from './vector-index.js';
+import { ToolError } from './tool-errors.js';
+
+// Registry of collections managed by this server, with their per-collection settings
+const REGISTRY_TABLE = 'mcp_collections';
+
+// Collection triggers send { collection, schema, tenant, id, operation } on this channel when a
+// memory changes; tenant is only set for tables shared under row-level security (see tenancy.js)
+const CHANGES_CHANNEL = 'mcp_memory_changes';
+const NOTIFY_FUNCTION = 'mcp_notify_memory_change';
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Index metadata for filters',
+    up: async (client, table) => {
+      await client.query(`CREATE INDEX IF NOT EXISTS ${table}_metadata_idx ON ${table} USING GIN(metadata_json);`);
+    },
+  },
+  {
+    version: 2,
+    description: 'Track update times',
+    up: async (client, table) => {
+      await client.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ;`);
+    },
+  },
+  {
+    // Chunked documents are a parent row (no embedding, chunk_count set)
+    // plus one row per chunk pointing back to it through parent_id
+    version: 3,
+    description: 'Store chunked documents',
+    up: async (client, table) => {
+      await client.query(`
+        ALTER TABLE ${table}
+          ADD COLUMN IF NOT EXISTS parent_id TEXT,
+          ADD COLUMN IF NOT EXISTS chunk_index INTEGER,
+          ADD COLUMN IF NOT EXISTS chunk_count INTEGER;
+      `);
+      await client.query(`CREATE INDEX IF NOT EXISTS ${table}_parent_id_idx ON ${table} (parent_id);`);
+    },
+  },
+  {
+    version: 4,
+    description: 'Hash content for deduplication',
+    up: async (client, table) => {
+      await client.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS content_hash TEXT;`);
+      await client.query(`CREATE INDEX IF NOT EXISTS ${table}_content_hash_idx ON ${table} (content_hash);`);
+      // Matches contentHash() in mcp-server.js: SHA-256 of the UTF-8 content, hex encoded
+      await client.query(`
+        UPDATE ${table} SET content_hash = encode(sha256(convert_to(content, 'UTF8')), 'hex')
+        WHERE content_hash IS NULL;
+      `);
+    },
+  },
+  {
+    // Lets every server instance tell its subscribed clients about changes made by the others
+    version: 5,
+    description: 'Notify listeners of changed memories',
+    up: async (client, table) => {
+      await client.query(`
+        CREATE OR REPLACE FUNCTION ${NOTIFY_FUNCTION}() RETURNS trigger AS $$
+        DECLARE
+          changed RECORD;
+        BEGIN
+          IF TG_OP = 'DELETE' THEN
+            changed := OLD;
+          ELSE
+            changed := NEW;
+          END IF;
+          -- Chunks change along with their parent document
+          IF changed.parent_id IS NULL THEN
+            PERFORM pg_notify('${CHANGES_CHANNEL}', json_build_object(
+              'collection', TG_TABLE_NAME, 'id', changed.id, 'operation', TG_OP
+            )::text);
+          END IF;
+          RETURN NULL;
+        END;
+        $$ LANGUAGE plpgsql;
+      `);
+      await client.query(`
+        DROP TRIGGER IF EXISTS ${table}_notify_changes ON ${table};
+        CREATE TRIGGER ${table}_notify_changes
+          AFTER INSERT OR DELETE OR UPDATE OF content, metadata_json ON ${table}
+          FOR EACH ROW EXECUTE FUNCTION ${NOTIFY_FUNCTION}();
+      `);
+    },
+  },
+  {
+    // Collections of the same name can live in several schemas, or hold the rows of several tenants
+    version: 6,
+    description: 'Say whose memory changed in change notifications',
+    up: async (client) => {
+      await client.query(`
+        CREATE OR REPLACE FUNCTION ${NOTIFY_FUNCTION}() RETURNS trigger AS $$
+        DECLARE
+          changed RECORD;
+        BEGIN
+          IF TG_OP = 'DELETE' THEN
+            changed := OLD;
+          ELSE
+            changed := NEW;
+          END IF;
+          -- Chunks change along with their parent document
+          IF changed.parent_id IS NULL THEN
+            PERFORM pg_notify('${CHANGES_CHANNEL}', json_build_object(
+              'collection', TG_TABLE_NAME, 'schema', TG_TABLE_SCHEMA,
+              'tenant', to_jsonb(changed)->>'tenant_id', 'id', changed.id, 'operation', TG_OP
+            )::text);
+          END IF;
+          RETURN NULL;
+        END;
+        $$ LANGUAGE plpgsql;
+      `);
+    },
+  },
+  {
+    // Pinned memories never expire, whatever the collection's default TTL
+    version: 7,
+    description: 'Expire memories',
+    up: async (client, table) => {
+      await client.query(`
+        ALTER TABLE ${table}
+          ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ,
+          ADD COLUMN IF NOT EXISTS pinned BOOLEAN NOT NULL DEFAULT FALSE;
+      `);
+      await client.query(`CREATE INDEX IF NOT EXISTS ${table}_expires_at_idx ON ${table} (expires_at) WHERE expires_at IS NOT NULL;`);
+    },
+  },
+  {
+    version: 8,
+    description: 'Filter memories by creation time',
+    up: async (client, table) => {
+      // Chunks rewritten by content updates used to get timestamps of their own. Under
+      // row-level security IDs are only unique per tenant, hence the tenant_id match
+      // (through to_jsonb, as other tables have no such column).
+      await client.query(`
+        UPDATE ${table} AS chunk
+        SET created_at = parent.created_at, updated_at = parent.updated_at
+        FROM ${table} AS parent
+        WHERE chunk.parent_id = parent.id
+          AND to_jsonb(chunk)->>'tenant_id' IS NOT DISTINCT FROM to_jsonb(parent)->>'tenant_id'
+          AND (chunk.created_at IS DISTINCT FROM parent.created_at OR chunk.updated_at IS DISTINCT FROM parent.updated_at);
+      `);
+      await client.query(`CREATE INDEX IF NOT EXISTS ${table}_created_at_idx ON ${table} (created_at);`);
+    },
+  },
+];
+
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+async function withSchemaLock(pool, name, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1));', [`mcp_schema:${name}`]);
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function ensureRegistry(pool) {
+  await withSchemaLock(pool, REGISTRY_TABLE, async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS ${REGISTRY_TABLE} (
+        name TEXT PRIMARY KEY,
+        settings JSONB NOT NULL DEFAULT '{}'::jsonb,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      );
+    `);
+    // The model a collection was embedded with, the model a reembed is migrating it to,
+    // and the schema version of its table
+    await client.query(`
+      ALTER TABLE ${REGISTRY_TABLE}
+        ADD COLUMN IF NOT EXISTS embedding_model TEXT,
+        ADD COLUMN IF NOT EXISTS embedding_dimensions INTEGER,
+        ADD COLUMN IF NOT EXISTS pending_embedding_model TEXT,
+        ADD COLUMN IF NOT EXISTS pending_embedding_dimensions INTEGER,
+        ADD COLUMN IF NOT EXISTS schema_version INTEGER;
+    `);
+  });
+}
+
+// Only tables in the current schema count, so a table of the same name elsewhere cannot pass for a collection
+async function tableExists(client, table) {
+  const result = await client.query(`
+    SELECT EXISTS (
+      SELECT FROM information_schema.tables
+      WHERE table_schema = current_schema() AND table_name = $1
+    );
+  `, [table]);
+  return result.rows[0].exists;
+}
+
+// The table as created by the first releases, in the given language, distance metric
+// and vector index (english, l2 and a default HNSW index back then); MIGRATIONS take
+// it from there
+async function createBaseTable(client, table, { dimensions, language, distance, index }) {
+  await client.query(`
+    CREATE TABLE ${table} (
+      id TEXT PRIMARY KEY,
+      content TEXT NOT NULL,
+      embedding vector(${dimensions}),
+      ${contentFtsColumn(language)},
+      metadata_json JSONB,
+      created_at TIMESTAMPTZ DEFAULT NOW()
+    );
+  `);
+  await client.query(`CREATE INDEX ${table}_content_fts_idx ON ${table} USING GIN(content_fts);`);
+  await createEmbeddingIndex(client, table, 'embedding', distance, index);
+}
+
+// Index a vector column of a collection as its index setting says; none leaves it unindexed
+async function createEmbeddingIndex(client, table, column, distance, index) {
+  const method = vectorIndexMethod(column, distance, index);
+  if (method) {
+    await client.query(`CREATE INDEX IF NOT EXISTS ${table}_${column}_idx ON ${table} ${method};`);
+  }
+}
+
+function pendingMigrations(version) {
+  return MIGRATIONS.filter(migration => migration.version > (version ?? 0));
+}
+
+/**
+ * Create a collection if needed, and bring its table to SCHEMA_VERSION.
+ * The registry must exist (see ensureRegistry).
+ *
+ * @param {pg.Pool} pool
+ * @param {string} table - Validated collection name
+ * @param {object} [create] - Create the collection if it does not exist
+ * @param {string} create.embeddingModel
+ * @param {number} create.dimensions
+ * @param {string} [create.language] - Text search language
+ * @param {string} [create.distance] - Distance metric (see distance.js)
+ * @param {object} [create.index] - Normalized vector index setting (see vector-index.js)
+ * @returns {Promise<{collection: string, created: boolean, from_version: number, to_version: number, applied: string[]}>}
+ */
+async function migrateCollection(pool, table, create) {
+  return withSchemaLock(pool, table, async (client) => {
+    let created = false;
+    if (!await tableExists(client, table)) {
+      if (!create) {
+        throw new ToolError('COLLECTION_NOT_FOUND', `Collection "${table}" does not exist`);
+      }
+      const language = create.language ?? DEFAULT_TEXT_SEARCH_LANGUAGE;
+      const distance = create.distance ?? LEGACY_DISTANCE_METRIC;
+      const index = create.index ?? DEFAULT_VECTOR_INDEX;
+      await createBaseTable(client, table, { dimensions: create.dimensions, language, distance, index });
+      // Settings left behind by a dropped table of the same name do not carry over
+      await client.query(`
+        INSERT INTO ${REGISTRY_TABLE} (name, settings, embedding_model, embedding_dimensions, schema_version)
+        VALUES ($1, jsonb_build_object('language', $4::text, 'distance', $5::text, 'index', $6::jsonb), $2, $3, 0)
+        ON CONFLICT (name) DO UPDATE SET
+          settings = EXCLUDED.settings, created_at = NOW(),
+          embedding_model = EXCLUDED.embedding_model, embedding_dimensions = EXCLUDED.embedding_dimensions,
+          pending_embedding_model = NULL, pending_embedding_dimensions = NULL,
+          schema_version = 0;
+      `, [table, create.embeddingModel, create.dimensions, language, distance, JSON.stringify(index)]);
+      created = true;
+    } else {
+      await client.query(`INSERT INTO ${REGISTRY_TABLE} (name) VALUES ($1) ON CONFLICT (name) DO NOTHING;`, [table]);
+    }
+
+    const result = await client.query(`SELECT schema_version FROM ${REGISTRY_TABLE} WHERE name = $1;`, [table]);
+    const fromVersion = result.rows[0].schema_version ?? 0;
+    const pending = pendingMigrations(fromVersion);
+    for (const migration of pending) {
+      await migration.up(client, table);
+    }
+    if (pending.length > 0) {
+      await client.query(`UPDATE ${REGISTRY_TABLE} SET schema_version = $2 WHERE name = $1;`, [table, SCHEMA_VERSION]);
+    }
+
+    return {
+      collection: table,
+      created,
+      from_version: fromVersion,
+      to_version: pending.length > 0 ? SCHEMA_VERSION : fromVersion,
+      applied: pending.map(migration => `${migration.version}: ${migration.description}`),
+    };
+  });
+}
+
+/**
+ * Regenerate a collection's search vectors in another text search language. This
+ * rewrites the table; the caller records the language in the collection's settings.
+ *
+ * @param {pg.Pool} pool
+ * @param {string} table - Validated collection name
+ * @param {string} language
+ */
+async function rebuildContentFts(pool, table, language) {
+  const column = contentFtsColumn(language);
+  await withSchemaLock(pool, table, async (client) => {
+    // Dropping the column drops its index as well
+    await client.query(`ALTER TABLE ${table} DROP COLUMN content_fts;`);
+    await client.query(`ALTER TABLE ${table} ADD COLUMN ${column};`);
+    await client.query(`CREATE INDEX ${table}_content_fts_idx ON ${table} USING GIN(content_fts);`);
+  });
+}
+
+/**
+ * Rebuild a collection's vector index for another distance metric or index setting.
+ * The caller records them in the collection's settings.
+ *
+ * @param {pg.Pool} pool
+ * @param {string} table - Validated collection name
+ * @param {string} distance
+ * @param {object} index - Normalized vector index setting
+ */
+async function rebuildEmbeddingIndex(pool, table, distance, index) {
+  await withSchemaLock(pool, table, async (client) => {
+    await client.query(`DROP INDEX IF EXISTS ${table}_embedding_idx;`);
+    await createEmbeddingIndex(client, table, 'embedding', distance, index);
+  });
+}
+
+/**
+ * Every collection in the database: registered collections, plus tables with the
+ * shape of a collection that were created before the registry existed.
+ */
+async function listCollectionTables(queryable) {
+  const result = await queryable.query(`
+    SELECT table_name AS name FROM information_schema.columns
+    WHERE table_schema = current_schema() AND column_name IN ('embedding', 'content_fts')
+    GROUP BY table_name HAVING COUNT(*) = 2
+    UNION
+    SELECT r.name FROM ${REGISTRY_TABLE} r
+    WHERE EXISTS (
+      SELECT FROM information_schema.tables t
+      WHERE t.table_schema = current_schema() AND t.table_name = r.name
+    )
+    ORDER BY name;
+  `);
+  return result.rows.map(row => row.name);
+}
+
+// The schema version of every collection, and the steps each is missing
+async function getMigrationStatus(pool) {
+  const tables = await listCollectionTables(pool);
+  const result = await pool.query(`SELECT name, schema_version FROM ${REGISTRY_TABLE} WHERE name = ANY($1);`, [tables]);
+  const versions = new Map(result.rows.map(row => [row.name, row.schema_version]));
+  return tables.map(table => ({
+    collection: table,
+    schema_version: versions.get(table) ?? null,
+    pending: pendingMigrations(versions.get(table)).map(migration => `${migration.version}: ${migration.description}`),
+  }));
+}
+
+export {
+  REGISTRY_TABLE,
+  CHANGES_CHANNEL,
+  SCHEMA_VERSION,
+  MIGRATIONS,
+  withSchemaLock,
+  ensureRegistry,
+  tableExists,
+  migrateCollection,
+  rebuildContentFts,
+  rebuildEmbeddingIndex,
+  createEmbeddingIndex,
+  listCollectionTables,
+  getMigrationStatus,
+};
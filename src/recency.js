@@ -0,0 +1,94 @@
+// Time-aware search: created_at range filters, and a recency decay that blends the
+// age of a memory into its score so that newer memories outrank stale ones of
+// similar relevance.
+import { invalidArgument } from './tool-errors.js';
+
+// Weight of the recency decay in the adjusted score when none is given
+const DEFAULT_RECENCY_WEIGHT = 0.5;
+
+function parseTimestamp(value, name) {
+  const date = new Date(value);
+  if (typeof value !== 'string' || Number.isNaN(date.getTime())) {
+    throw invalidArgument(`Invalid ${name}: ${value}. Expected an ISO 8601 timestamp`);
+  }
+  return date;
+}
+
+/**
+ * Compile created_after / created_before arguments into SQL conditions.
+ *
+ * @param {object} args - Search arguments with optional created_after and created_before
+ * @param {Array} params - Query parameters; timestamps are appended to it
+ * @returns {string[]} Conditions on created_at
+ */
+function compileTimeRange(args, params) {
+  const after = args.created_after !== undefined ? parseTimestamp(args.created_after, 'created_after') : null;
+  const before = args.created_before !== undefined ? parseTimestamp(args.created_before, 'created_before') : null;
+  if (after && before && after >= before) {
+    throw invalidArgument('created_after must be earlier than created_before');
+  }
+
+  const conditions = [];
+  if (after) {
+    params.push(after);
+    conditions.push(`created_at > $${params.length}`);
+  }
+  if (before) {
+    params.push(before);
+    conditions.push(`created_at < $${params.length}`);
+  }
+  return conditions;
+}
+
+/**
+ * The recency options of a search, or null when no decay was requested.
+ * @returns {{halfLife: number, weight: number}|null}
+ */
+function getRecencyOptions(args) {
+  if (args.recency_half_life === undefined) {
+    if (args.recency_weight !== undefined) {
+      throw invalidArgument('recency_weight requires recency_half_life');
+    }
+    return null;
+  }
+  const halfLife = args.recency_half_life;
+  const weight = args.recency_weight ?? DEFAULT_RECENCY_WEIGHT;
+  if (typeof halfLife !== 'number' || !Number.isFinite(halfLife) || halfLife <= 0) {
+    throw invalidArgument(`Invalid recency_half_life: ${halfLife}. Must be a positive number of seconds`);
+  }
+  if (typeof weight !== 'number' || !(weight >= 0 && weight <= 1)) {
+    throw invalidArgument(`Invalid recency_weight: ${weight}. Must be a number between 0 and 1`);
+  }
+  return { halfLife, weight };
+}
+
+/**
+ * Re-rank memories by their similarity adjusted for age:
+ *
+ *   decay    = 0.5 ^ (age / halfLife)
+ *   adjusted = similarity * ((1 - weight) + weight * decay)
+ *
+ * so a memory one half-life old keeps (1 - weight / 2) of its score. The
+ * unadjusted score is kept as raw_similarity.
+ *
+ * @param {object[]} memories - Search results with similarity and created_at
+ * @param {{halfLife: number, weight: number}} options
+ * @param {number} [now] - Time ages are measured to, in milliseconds
+ * @returns {object[]} New memories sorted by adjusted similarity
+ */
+function applyRecencyDecay(memories, { halfLife, weight }, now = Date.now()) {
+  return memories
+    .map(memory => {
+      const ageSeconds = Math.max(0, (now - new Date(memory.created_at).getTime()) / 1000);
+      const decay = Math.pow(0.5, ageSeconds / halfLife);
+      return {
+        ...memory,
+        similarity: memory.similarity * ((1 - weight) + weight * decay),
+        raw_similarity: memory.similarity,
+        recency_decay: decay,
+      };
+    })
+    .sort((a, b) => b.similarity - a.similarity);
+}
+
+export { DEFAULT_RECENCY_WEIGHT, compileTimeRange, getRecencyOptions, applyRecencyDecay };
@@ -0,0 +1,124 @@
+// Search result snippets. Fulltext matches are summarized by ts_headline, with the
+// query terms highlighted; semantic matches by the passages of the memory closest
+// to the query embedding, which are what made it match.
+import { vectorDistance } from './distance.js';
+import { invalidArgument } from './tool-errors.js';
+
+const DEFAULT_SNIPPETS = {
+  max_fragments: 2,
+  max_words: 30,
+};
+
+// Longer memories are split into fewer, longer passages, bounding the embeddings per result
+const MAX_PASSAGES = 20;
+
+const HIGHLIGHT_START = '**';
+const HIGHLIGHT_STOP = '**';
+const FRAGMENT_DELIMITER = ' ... ';
+
+/**
+ * Validate the snippets argument of search_memory.
+ * @param {boolean|object|undefined} snippets - true for defaults, or { max_fragments, max_words }
+ * @returns {{max_fragments: number, max_words: number}|null} null when snippets are off
+ */
+function normalizeSnippets(snippets) {
+  if (snippets === undefined || snippets === false) {
+    return null;
+  }
+  if (snippets === true) {
+    return { ...DEFAULT_SNIPPETS };
+  }
+  if (snippets === null || typeof snippets !== 'object' || Array.isArray(snippets)) {
+    throw invalidArgument('snippets must be a boolean or an object with max_fragments and max_words');
+  }
+  const normalized = { ...DEFAULT_SNIPPETS, ...snippets };
+  if (!Number.isInteger(normalized.max_fragments) || normalized.max_fragments < 1 || normalized.max_fragments > 10) {
+    throw invalidArgument(`Invalid snippets.max_fragments: ${normalized.max_fragments}. Must be an integer from 1 to 10`);
+  }
+  if (!Number.isInteger(normalized.max_words) || normalized.max_words < 5 || normalized.max_words > 200) {
+    throw invalidArgument(`Invalid snippets.max_words: ${normalized.max_words}. Must be an integer from 5 to 200`);
+  }
+  return { max_fragments: normalized.max_fragments, max_words: normalized.max_words };
+}
+
+// The options argument of ts_headline; the values are validated numbers and constants
+function headlineOptions({ max_fragments: maxFragments, max_words: maxWords }) {
+  return [
+    `MaxFragments=${maxFragments}`,
+    `MaxWords=${maxWords}`,
+    `MinWords=${Math.max(1, Math.floor(maxWords / 2))}`,
+    `StartSel="${HIGHLIGHT_START}"`,
+    `StopSel="${HIGHLIGHT_STOP}"`,
+    `FragmentDelimiter="${FRAGMENT_DELIMITER}"`,
+  ].join(', ');
+}
+
+/**
+ * Split text into passages of consecutive words to compare with the query.
+ * @returns {string[]} At most MAX_PASSAGES passages of at least maxWords words each
+ */
+function splitPassages(text, maxWords) {
+  const words = text.split(/\s+/).filter(Boolean);
+  const size = Math.max(maxWords, Math.ceil(words.length / MAX_PASSAGES));
+  const passages = [];
+  for (let start = 0; start < words.length; start += size) {
+    passages.push(words.slice(start, start + size).join(' '));
+  }
+  return passages;
+}
+
+/**
+ * The snippet of a semantic match: its passages closest to the query embedding,
+ * in document order, each cut to maxWords words.
+ *
+ * @param {string[]} passages - From splitPassages
+ * @param {Array<number[]|null>} embeddings - Embedding of each passage; null if it failed
+ * @param {number[]} queryEmbedding
+ * @param {{max_fragments: number, max_words: number}} snippets
+ * @param {string} metric - The collection's distance metric
+ * @returns {string}
+ */
+function closestPassages(passages, embeddings, queryEmbedding, { max_fragments: maxFragments, max_words: maxWords }, metric) {
+  const ranked = passages
+    .map((passage, index) => ({
+      index,
+      distance: embeddings[index] ? vectorDistance(metric, embeddings[index], queryEmbedding) : Infinity,
+    }))
+    .sort((a, b) => a.distance - b.distance || a.index - b.index)
+    .slice(0, maxFragments)
+    .sort((a, b) => a.index - b.index);
+  return ranked
+    .map(({ index }) => passages[index].split(' ').slice(0, maxWords).join(' '))
+    .join(FRAGMENT_DELIMITER);
+}
+
+/**
+ * Cap the content of a search result at maxChars characters, without splitting a
+ * surrogate pair. Truncated results report their full content_length.
+ */
+function truncateContent(memory, maxChars) {
+  if (maxChars === undefined || memory.content.length <= maxChars) {
+    return memory;
+  }
+  let end = maxChars;
+  const lastCode = memory.content.charCodeAt(end - 1);
+  if (lastCode >= 0xd800 && lastCode <= 0xdbff) {
+    end--;
+  }
+  return {
+    ...memory,
+    content: memory.content.slice(0, end),
+    content_truncated: true,
+    content_length: memory.content.length,
+  };
+}
+
+export {
+  DEFAULT_SNIPPETS,
+  MAX_PASSAGES,
+  normalizeSnippets,
+  headlineOptions,
+  splitPassages,
+  closestPassages,
+  truncateContent,
+};
@@ -0,0 +1,216 @@
+// Tenant isolation enforced by PostgreSQL rather than by collection names.
+//
+// - schema: every tenant has a schema of its own (tenant_<id>) holding its collections
+//   and registry; queries run with search_path set to it.
+// - rls: tenants share collection tables, whose rows carry a tenant_id column guarded
+//   by row-level security policies on the mcp.tenant_id setting.
+//
+// Either way the setting is made with SET LOCAL inside a transaction, so it never
+// outlives the transaction and a pooled connection cannot leak one tenant's scope
+// into another's.
+import { withSchemaLock } from './migrations.js';
+
+const ISOLATION_MODES = ['none', 'schema', 'rls'];
+
+const TENANT_SETTING = 'mcp.tenant_id';
+
+function validateTenantId(tenant) {
+  if (!tenant) {
+    throw new Error('--tenant is required with --isolation schema or rls');
+  }
+  // Tenant IDs end up in schema names and SET LOCAL statements, so they are kept to a safe alphabet
+  if (!/^[a-z0-9_]{1,48}$/.test(tenant)) {
+    throw new Error(`Invalid tenant ID "${tenant}". Use 1-48 lowercase letters, digits and underscores`);
+  }
+}
+
+function tenantSchema(tenant) {
+  return `tenant_${tenant}`;
+}
+
+function isTransactionStart(text) {
+  return /^\s*(BEGIN|START TRANSACTION)\b/i.test(text);
+}
+
+// Only a bare COMMIT, END or ROLLBACK ends the transaction; ROLLBACK TO SAVEPOINT keeps it open
+function isTransactionEnd(text) {
+  return /^\s*(COMMIT|ROLLBACK|END)(\s+(WORK|TRANSACTION))?\s*;?\s*$/i.test(text);
+}
+
+function isSavepointStatement(text) {
+  return /^\s*(SAVEPOINT|RELEASE|ROLLBACK\s+TO)\b/i.test(text);
+}
+
+// A pooled client whose statements all run in transactions scoped to the tenant.
+// Transactions opened by the caller get the SET LOCAL right after BEGIN; savepoint
+// statements belong to the caller's transaction and pass through; other statements
+// are wrapped in a transaction of their own.
+class TenantClient {
+  constructor(client, scope) {
+    this.client = client;
+    this.scope = scope;
+    this.inTransaction = false;
+  }
+
+  async query(text, params) {
+    if (isTransactionStart(text)) {
+      await this.client.query(text);
+      await this.client.query(this.scope);
+      this.inTransaction = true;
+      return undefined;
+    }
+    if (isTransactionEnd(text)) {
+      this.inTransaction = false;
+      return this.client.query(text);
+    }
+    if (this.inTransaction || isSavepointStatement(text)) {
+      return this.client.query(text, params);
+    }
+
+    await this.client.query('BEGIN');
+    try {
+      await this.client.query(this.scope);
+      const result = await this.client.query(text, params);
+      await this.client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await this.client.query('ROLLBACK');
+      throw error;
+    }
+  }
+
+  release(error) {
+    return this.client.release(error);
+  }
+}
+
+// The subset of pg.Pool used by the server, with every connection scoped to one tenant
+class TenantPool {
+  constructor(pool, scope) {
+    this.pool = pool;
+    this.scope = scope;
+  }
+
+  async connect() {
+    return new TenantClient(await this.pool.connect(), this.scope);
+  }
+
+  async query(text, params) {
+    const client = await this.connect();
+    try {
+      return await client.query(text, params);
+    } finally {
+      client.release();
+    }
+  }
+
+  end() {
+    return this.pool.end();
+  }
+}
+
+class Tenancy {
+  /**
+   * @param {string} isolation - One of ISOLATION_MODES other than none
+   * @param {string} tenant - Tenant ID
+   */
+  constructor(isolation, tenant) {
+    if (!ISOLATION_MODES.includes(isolation) || isolation === 'none') {
+      throw new Error(`Unknown isolation mode: ${isolation}. Expected schema or rls`);
+    }
+    validateTenantId(tenant);
+    this.isolation = isolation;
+    this.tenant = tenant;
+    this.schema = isolation === 'schema' ? tenantSchema(tenant) : null;
+    this.ready = null;
+  }
+
+  // The statement run at the start of every transaction
+  get scope() {
+    return this.isolation === 'schema'
+      ? `SET LOCAL search_path TO ${this.schema}, public`
+      : `SET LOCAL ${TENANT_SETTING} = '${this.tenant}'`;
+  }
+
+  wrapPool(pool) {
+    return new TenantPool(pool, this.scope);
+  }
+
+  /**
+   * Create the tenant's schema, or make sure row-level security is not bypassed.
+   * @param {pg.Pool} pool - The unscoped pool
+   */
+  async prepare(pool) {
+    if (!this.ready) {
+      this.ready = this.prepareOnce(pool).catch(error => {
+        this.ready = null;
+        throw error;
+      });
+    }
+    await this.ready;
+  }
+
+  async prepareOnce(pool) {
+    if (this.isolation === 'schema') {
+      await pool.query(`CREATE SCHEMA IF NOT EXISTS ${this.schema};`);
+      return;
+    }
+    const result = await pool.query(`
+      SELECT rolsuper OR rolbypassrls AS bypasses FROM pg_roles WHERE rolname = current_user;
+    `);
+    if (result.rows[0]?.bypasses) {
+      throw new Error(
+        'The PostgreSQL user is a superuser or has BYPASSRLS, so row-level security would not isolate tenants. ' +
+        'Connect with a role that has neither to use --isolation rls'
+      );
+    }
+  }
+
+  /**
+   * Give a collection table a tenant_id column guarded by row-level security. Rows
+   * stored before the table was shared are assigned to this tenant.
+   *
+   * @param {pg.Pool} pool - The unscoped pool
+   * @param {string} table - Validated collection name
+   */
+  async secureTable(pool, table) {
+    if (this.isolation !== 'rls') {
+      return;
+    }
+    await withSchemaLock(pool, table, async (client) => {
+      const result = await client.query(`
+        SELECT c.relforcerowsecurity AS secured FROM pg_class c
+        WHERE c.oid = to_regclass($1);
+      `, [table]);
+      if (result.rows[0]?.secured) {
+        return;
+      }
+      // The default only applies to rows written from now on: this connection has no
+      // tenant setting, so existing rows are assigned explicitly
+      await client.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS tenant_id TEXT;`);
+      await client.query(`UPDATE ${table} SET tenant_id = $1 WHERE tenant_id IS NULL;`, [this.tenant]);
+      // IDs and keys only need to be unique within a tenant
+      await client.query(`
+        ALTER TABLE ${table}
+          ALTER COLUMN tenant_id SET DEFAULT current_setting('${TENANT_SETTING}', true),
+          ALTER COLUMN tenant_id SET NOT NULL,
+          DROP CONSTRAINT IF EXISTS ${table}_pkey,
+          ADD PRIMARY KEY (tenant_id, id);
+      `);
+      await client.query(`
+        DROP POLICY IF EXISTS ${table}_tenant_isolation ON ${table};
+        CREATE POLICY ${table}_tenant_isolation ON ${table}
+          USING (tenant_id = current_setting('${TENANT_SETTING}', true))
+          WITH CHECK (tenant_id = current_setting('${TENANT_SETTING}', true));
+        ALTER TABLE ${table} ENABLE ROW LEVEL SECURITY, FORCE ROW LEVEL SECURITY;
+      `);
+    });
+  }
+
+  // Whether a change announced by a collection trigger belongs to this tenant
+  ownsChange(change) {
+    return this.isolation === 'schema' ? change.schema === this.schema : change.tenant === this.tenant;
+  }
+}
+
+export { ISOLATION_MODES, TENANT_SETTING, Tenancy, TenantPool, validateTenantId };
@@ -0,0 +1,61 @@
+// Error codes of failed tool calls. A failed call reports a code next to its
+// message, so clients can tell a bad argument from a missing collection or an
+// unreachable embedding provider without matching on the message text.
+
+const ERROR_CODES = [
+  // An argument is missing, malformed or out of range; the call will not succeed as is
+  'INVALID_ARGUMENT',
+  'COLLECTION_NOT_FOUND',
+  'MEMORY_NOT_FOUND',
+  // The caller's token does not grant the permission (see auth.js)
+  'PERMISSION_DENIED',
+  // The embedding provider failed or could not be reached; retrying may succeed
+  'EMBEDDING_FAILED',
+  // The collection was embedded with another model or dimension than the server's
+  'EMBEDDING_MODEL_MISMATCH',
+  // PostgreSQL refused the statement or could not be reached
+  'DATABASE_ERROR',
+  'INTERNAL_ERROR',
+];
+
+class ToolError extends Error {
+  /**
+   * @param {string} code - One of ERROR_CODES
+   * @param {string} message
+   */
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+function invalidArgument(message) {
+  return new ToolError('INVALID_ARGUMENT', message);
+}
+
+/**
+ * The code of an error thrown during a tool call. Errors raised by pg carry a
+ * SQLSTATE (server errors) or a syscall (connection failures); data exceptions,
+ * such as a value PostgreSQL cannot parse, are the caller's arguments.
+ * @param {Error} error
+ * @returns {string} One of ERROR_CODES
+ */
+function errorCode(error) {
+  if (error instanceof ToolError) {
+    return error.code;
+  }
+  if (error.severity && typeof error.code === 'string') {
+    return error.code.startsWith('22') ? 'INVALID_ARGUMENT' : 'DATABASE_ERROR';
+  }
+  if (error.syscall) {
+    return 'DATABASE_ERROR';
+  }
+  return 'INTERNAL_ERROR';
+}
+
+export {
+  ERROR_CODES,
+  ToolError,
+  invalidArgument,
+  errorCode,
+};
@@ -0,0 +1,304 @@
+// Tool responses. Every tool declares an outputSchema and answers with
+// structuredContent matching it, plus the same object as pretty-printed JSON in a
+// text block for clients that predate structured output:
+//
+//   { success: true, operation, result }
+//   { success: false, operation, error, code }    (code: see tool-errors.js)
+//
+// Result schemas list the fields clients can rely on; results may carry more.
+import { ERROR_CODES, errorCode } from './tool-errors.js';
+
+function toolResult(operation, result) {
+  return respond({ success: true, operation, result });
+}
+
+function toolError(operation, error) {
+  return { ...respond({ success: false, operation, error: error.message, code: errorCode(error) }), isError: true };
+}
+
+// structuredContent is parsed back from the text, so it holds what the text shows
+// (timestamps as ISO strings) whether or not the transport serializes it
+function respond(body) {
+  const text = JSON.stringify(body, null, 2);
+  return {
+    content: [{ type: 'text', text }],
+    structuredContent: JSON.parse(text),
+  };
+}
+
+/**
+ * The outputSchema of a tool: the response envelope, with the tool's result schema.
+ * @param {string} operation - The operation field of the tool's responses
+ * @param {object} result - JSON Schema of the result
+ */
+function outputSchema(operation, result) {
+  return {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      operation: { type: 'string', const: operation },
+      result,
+      error: { type: 'string' },
+      code: { type: 'string', enum: ERROR_CODES },
+    },
+    required: ['success', 'operation'],
+  };
+}
+
+const timestamp = { type: 'string', format: 'date-time' };
+const nullable = schema => ({ ...schema, type: [schema.type, 'null'] });
+const string = { type: 'string' };
+const integer = { type: 'integer' };
+const number = { type: 'number' };
+const boolean = { type: 'boolean' };
+const metadata = { type: 'object', additionalProperties: true };
+const embeddingCache = {
+  type: 'object',
+  properties: { hits: integer, misses: integer },
+  description: 'Embeddings served from the cache (hits) and by the provider (misses)'
+};
+
+// Fields of a stored memory, as search_memory and list_memories return it
+const memoryProperties = {
+  id: string,
+  content: string,
+  metadata,
+  created_at: timestamp,
+  updated_at: timestamp,
+  expires_at: timestamp,
+  pinned: boolean,
+  content_truncated: boolean,
+  content_length: integer,
+};
+
+const storeResult = {
+  type: 'object',
+  properties: {
+    id: string,
+    collection: string,
+    action: { type: 'string', enum: ['inserted', 'updated', 'skipped', 'metadata_updated'] },
+    deduplicated: boolean,
+    content_length: integer,
+    embedding_dimensions: integer,
+    embedding_model: string,
+    embedding_cache: embeddingCache,
+    chunk_count: integer,
+    chunk_ids: { type: 'array', items: string },
+    metadata,
+    created_at: timestamp,
+    updated_at: timestamp,
+    expires_at: timestamp,
+    pinned: boolean,
+  },
+  required: ['id', 'collection', 'action', 'created_at'],
+};
+
+const storeBatchResult = {
+  type: 'object',
+  properties: {
+    collection: string,
+    embedding_model: string,
+    embedding_cache: embeddingCache,
+    total: integer,
+    stored: integer,
+    failed: integer,
+    items: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          index: integer,
+          success: boolean,
+          id: string,
+          action: string,
+          created_at: timestamp,
+          expires_at: timestamp,
+          pinned: boolean,
+          chunk_count: integer,
+          error: string,
+          code: { type: 'string', enum: ERROR_CODES },
+        },
+        required: ['index', 'success'],
+      },
+    },
+  },
+  required: ['collection', 'total', 'stored', 'failed', 'items'],
+};
+
+const searchResult = {
+  type: 'object',
+  properties: {
+    query: string,
+    mode: { type: 'string', enum: ['semantic', 'fulltext', 'hybrid'] },
+    results: { type: 'string', enum: ['chunks', 'documents'] },
+    distance: string,
+    ef_search: integer,
+    probes: integer,
+    language: string,
+    fusion: metadata,
+    recency: metadata,
+    embedding_cache: embeddingCache,
+    offset: integer,
+    count: integer,
+    memories: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          ...memoryProperties,
+          similarity: number,
+          parent_id: string,
+          chunk_index: integer,
+          matched_chunks: {
+            type: 'array',
+            items: { type: 'object', properties: { id: string, chunk_index: integer, similarity: number } },
+          },
+          scores: metadata,
+          ranks: metadata,
+          raw_similarity: number,
+          recency_decay: number,
+          snippet: string,
+        },
+        required: ['id', 'content', 'similarity', 'metadata', 'created_at'],
+      },
+    },
+    next_cursor: nullable(string),
+  },
+  required: ['query', 'mode', 'count', 'memories', 'next_cursor'],
+};
+
+const listResult = {
+  type: 'object',
+  properties: {
+    collection: string,
+    order: { type: 'string', enum: ['newest', 'oldest'] },
+    count: integer,
+    memories: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { ...memoryProperties, chunk_count: integer },
+        required: ['id', 'content', 'metadata', 'created_at'],
+      },
+    },
+    next_cursor: nullable(string),
+  },
+  required: ['collection', 'order', 'count', 'memories', 'next_cursor'],
+};
+
+const updateResult = {
+  type: 'object',
+  properties: {
+    id: string,
+    collection: string,
+    content_length: integer,
+    content_changed: boolean,
+    embedding_dimensions: integer,
+    embedding_model: string,
+    embedding_cache: embeddingCache,
+    chunk_count: integer,
+    chunk_ids: { type: 'array', items: string },
+    metadata,
+    metadata_mode: { type: 'string', enum: ['merge', 'replace'] },
+    created_at: timestamp,
+    updated_at: timestamp,
+    expires_at: timestamp,
+    pinned: boolean,
+  },
+  required: ['id', 'collection', 'content_changed', 'metadata', 'created_at', 'updated_at'],
+};
+
+const deleteResult = {
+  type: 'object',
+  properties: { id: string, collection: string, chunks_deleted: integer },
+  required: ['id', 'collection'],
+};
+
+const configureResult = {
+  type: 'object',
+  properties: { collection: string, settings: metadata },
+  required: ['collection', 'settings'],
+};
+
+const listCollectionsResult = {
+  type: 'object',
+  properties: {
+    count: integer,
+    collections: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: string,
+          embedding_model: nullable(string),
+          embedding_dimensions: nullable(integer),
+          schema_version: nullable(integer),
+          created_at: nullable(timestamp),
+          approximate_rows: integer,
+        },
+        required: ['name'],
+      },
+    },
+  },
+  required: ['count', 'collections'],
+};
+
+const collectionStatsResult = {
+  type: 'object',
+  properties: {
+    collection: string,
+    documents: integer,
+    chunks: integer,
+    total_rows: integer,
+    storage: {
+      type: 'object',
+      properties: { total_bytes: integer, table_bytes: integer, index_bytes: integer, total: string },
+    },
+    embedding_model: nullable(string),
+    embedding_dimensions: nullable(integer),
+    pending_embedding_model: string,
+    schema_version: nullable(integer),
+    settings: metadata,
+    indexes: {
+      type: 'array',
+      items: { type: 'object', properties: { name: string, type: string, definition: string } },
+    },
+    created_at: nullable(timestamp),
+    oldest_created_at: nullable(timestamp),
+    newest_created_at: nullable(timestamp),
+    expiry: {
+      type: 'object',
+      properties: {
+        default_ttl: nullable(integer),
+        expiring: integer,
+        expired: integer,
+        pinned: integer,
+        next_expires_at: nullable(timestamp),
+      },
+    },
+    metadata_keys: {
+      type: 'array',
+      items: { type: 'object', properties: { key: string, count: integer } },
+    },
+  },
+  required: ['collection', 'documents', 'chunks', 'total_rows'],
+};
+
+// By tool name
+const OUTPUT_SCHEMAS = {
+  store_memory: outputSchema('store', storeResult),
+  store_memories: outputSchema('store_batch', storeBatchResult),
+  search_memory: outputSchema('search', searchResult),
+  list_memories: outputSchema('list', listResult),
+  update_memory: outputSchema('update', updateResult),
+  forget_memory: outputSchema('delete', deleteResult),
+  configure_collection: outputSchema('configure', configureResult),
+  list_collections: outputSchema('list_collections', listCollectionsResult),
+  collection_stats: outputSchema('collection_stats', collectionStatsResult),
+};
+
+export {
+  OUTPUT_SCHEMAS,
+  toolResult,
+  toolError,
+};
@@ -0,0 +1,147 @@
+// Vector index strategies. A collection's embeddings are indexed with HNSW, with
+// IVFFlat, or not at all; small collections search as fast by a sequential scan,
+// which is also exact. Approximate indexes return their candidates before the WHERE
+// clause is applied, so filtered searches can come back short; raising ef_search
+// (HNSW) or probes (IVFFlat) for the query widens the candidates at some speed cost.
+import { DISTANCE_METRICS } from './distance.js';
+import { invalidArgument } from './tool-errors.js';
+
+const VECTOR_INDEX_TYPES = ['hnsw', 'ivfflat', 'none'];
+
+// pgvector's own defaults, which collections created before index settings use
+const DEFAULT_VECTOR_INDEX = { type: 'hnsw', m: 16, ef_construction: 64 };
+
+const DEFAULT_IVFFLAT_LISTS = 100;
+
+// pgvector's default hnsw.ef_search; an HNSW scan returns at most ef_search rows
+const DEFAULT_EF_SEARCH = 40;
+const MAX_EF_SEARCH = 1000;
+
+const INDEX_PARAMETERS = {
+  hnsw: ['m', 'ef_construction'],
+  ivfflat: ['lists'],
+  none: [],
+};
+
+function checkInteger(name, value, min, max) {
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw invalidArgument(`Invalid index.${name}: ${value}. Must be an integer from ${min} to ${max}`);
+  }
+}
+
+/**
+ * Validate the index setting of a collection.
+ * @param {string|object} index - A type name, or { type, m, ef_construction } / { type, lists }
+ * @returns {{type: string, m?: number, ef_construction?: number, lists?: number}} With defaults filled in
+ */
+function normalizeVectorIndex(index) {
+  const spec = typeof index === 'string' ? { type: index } : index;
+  if (spec === null || typeof spec !== 'object' || Array.isArray(spec)) {
+    throw invalidArgument('index must be an index type or an object with a type');
+  }
+  if (!VECTOR_INDEX_TYPES.includes(spec.type)) {
+    throw invalidArgument(`Unknown index type: ${spec.type}. Expected one of: ${VECTOR_INDEX_TYPES.join(', ')}`);
+  }
+  for (const key of Object.keys(spec)) {
+    if (key !== 'type' && !INDEX_PARAMETERS[spec.type].includes(key)) {
+      throw invalidArgument(`index.${key} does not apply to ${spec.type} indexes`);
+    }
+  }
+
+  switch (spec.type) {
+    case 'hnsw': {
+      const m = spec.m ?? DEFAULT_VECTOR_INDEX.m;
+      checkInteger('m', m, 2, 100);
+      // pgvector requires ef_construction of at least twice m
+      const efConstruction = spec.ef_construction ?? Math.max(DEFAULT_VECTOR_INDEX.ef_construction, 2 * m);
+      checkInteger('ef_construction', efConstruction, 2 * m, 1000);
+      return { type: 'hnsw', m, ef_construction: efConstruction };
+    }
+    case 'ivfflat': {
+      const lists = spec.lists ?? DEFAULT_IVFFLAT_LISTS;
+      checkInteger('lists', lists, 1, 32768);
+      return { type: 'ivfflat', lists };
+    }
+    default:
+      return { type: 'none' };
+  }
+}
+
+function getVectorIndex(settings) {
+  return settings.index ? normalizeVectorIndex(settings.index) : { ...DEFAULT_VECTOR_INDEX };
+}
+
+function sameVectorIndex(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * The USING clause of the vector index on a column, or null when the collection has none.
+ * The parameters are validated integers.
+ */
+function vectorIndexMethod(column, distance, index) {
+  const { opclass } = DISTANCE_METRICS[distance];
+  switch (index.type) {
+    case 'hnsw':
+      return `USING hnsw (${column} ${opclass}) WITH (m = ${index.m}, ef_construction = ${index.ef_construction})`;
+    case 'ivfflat':
+      return `USING ivfflat (${column} ${opclass}) WITH (lists = ${index.lists})`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * The recall setting search_memory applies with SET LOCAL: ef_search for HNSW
+ * indexes, probes for IVFFlat ones.
+ * @returns {{parameter: string, name: string, value: number}|null} null when neither is given
+ */
+function getRecallSetting(args, index) {
+  if (args.ef_search !== undefined && args.probes !== undefined) {
+    throw invalidArgument('Specify ef_search or probes, not both');
+  }
+  if (args.ef_search !== undefined) {
+    if (index.type !== 'hnsw') {
+      throw invalidArgument(`ef_search applies to hnsw indexes; this collection's index is ${index.type}`);
+    }
+    if (!Number.isInteger(args.ef_search) || args.ef_search < 1 || args.ef_search > MAX_EF_SEARCH) {
+      throw invalidArgument(`Invalid ef_search: ${args.ef_search}. Must be an integer from 1 to ${MAX_EF_SEARCH}`);
+    }
+    return { parameter: 'hnsw.ef_search', name: 'ef_search', value: args.ef_search };
+  }
+  if (args.probes !== undefined) {
+    if (index.type !== 'ivfflat') {
+      throw invalidArgument(`probes applies to ivfflat indexes; this collection's index is ${index.type}`);
+    }
+    if (!Number.isInteger(args.probes) || args.probes < 1 || args.probes > index.lists) {
+      throw invalidArgument(`Invalid probes: ${args.probes}. Must be an integer from 1 to the index's ${index.lists} lists`);
+    }
+    return { parameter: 'ivfflat.probes', name: 'probes', value: args.probes };
+  }
+  return null;
+}
+
+/**
+ * Without a recall setting, HNSW searches that need more candidates than the default
+ * ef_search, such as the deeper pages of a search, raise it to their candidate count.
+ * The minimum flag keeps a higher value configured on the server.
+ * @returns {{parameter: string, name: string, value: number, minimum: true}|null}
+ */
+function candidateRecallSetting(index, candidates) {
+  if (index.type !== 'hnsw' || candidates <= DEFAULT_EF_SEARCH) {
+    return null;
+  }
+  return { parameter: 'hnsw.ef_search', name: 'ef_search', value: Math.min(candidates, MAX_EF_SEARCH), minimum: true };
+}
+
+export {
+  VECTOR_INDEX_TYPES,
+  DEFAULT_VECTOR_INDEX,
+  DEFAULT_IVFFLAT_LISTS,
+  normalizeVectorIndex,
+  getVectorIndex,
+  sameVectorIndex,
+  vectorIndexMethod,
+  getRecallSetting,
+  candidateRecallSetting,
+};
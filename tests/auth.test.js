@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import { parseGrant, grantsFromList, hasPermission, checkPermission, hashToken } from '../src/auth.js';
+
+describe('parseGrant', () => {
+  it('should parse a collection and its permissions', () => {
+    expect(parseGrant('notes=read,write')).toEqual(['notes', ['read', 'write']]);
+    expect(parseGrant('*= read , read')).toEqual(['*', ['read']]);
+  });
+
+  it('should reject malformed grants and unknown permissions', () => {
+    expect(() => parseGrant('notes')).toThrow('Invalid grant');
+    expect(() => parseGrant('notes=admin')).toThrow('Invalid permission "admin"');
+  });
+
+  it('should merge grants on the same collection', () => {
+    const grants = grantsFromList(['notes=read', 'notes=write', '*=read'].map(parseGrant));
+    expect(grants).toEqual({ notes: ['read', 'write'], '*': ['read'] });
+  });
+});
+
+describe('permissions', () => {
+  const access = { name: 'bot', grants: { notes: ['write'], '*': ['read'] } };
+
+  it('should allow everything without access restrictions', () => {
+    expect(hasPermission(undefined, 'anything', 'delete')).toBe(true);
+  });
+
+  it('should combine collection grants with grants on every collection', () => {
+    expect(hasPermission(access, 'notes', 'write')).toBe(true);
+    expect(hasPermission(access, 'notes', 'read')).toBe(true);
+    expect(hasPermission(access, 'other', 'read')).toBe(true);
+    expect(hasPermission(access, 'other', 'write')).toBe(false);
+    expect(hasPermission(access, 'notes', 'delete')).toBe(false);
+  });
+
+  it('should treat a missing permission as any permission', () => {
+    const writer = { name: 'writer', grants: { notes: ['write'] } };
+    expect(hasPermission(writer, 'notes')).toBe(true);
+    expect(hasPermission(writer, 'other')).toBe(false);
+  });
+
+  it('should name the token and permission when refusing', () => {
+    expect(() => checkPermission(access, 'notes', 'delete'))
+      .toThrow('Token "bot" does not have delete permission on collection "notes"');
+  });
+});
+
+describe('hashToken', () => {
+  it('should hash tokens with SHA-256', () => {
+    expect(hashToken('spm_example')).toMatch(/^[0-9a-f]{64}$/);
+    expect(hashToken('spm_example')).toBe(hashToken('spm_example'));
+    expect(hashToken('spm_example')).not.toBe(hashToken('spm_other'));
+  });
+});
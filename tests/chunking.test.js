@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import { chunkText, estimateTokens, normalizeChunking, DEFAULT_CHUNKING } from '../src/chunking.js';
+
+describe('chunkText', () => {
+  const options = { max_tokens: 32, overlap_tokens: 4 };
+  const maxChars = options.max_tokens * 4;
+
+  it('should keep short text in a single chunk', () => {
+    expect(chunkText('A short note.', options)).toEqual(['A short note.']);
+  });
+
+  it('should never exceed the chunk size', () => {
+    const text = Array.from({ length: 40 }, (_, i) => `Sentence number ${i} is here.`).join(' ');
+    const chunks = chunkText(text, options);
+
+    expect(chunks.length).toBeGreaterThan(1);
+    chunks.forEach(chunk => expect(chunk.length).toBeLessThanOrEqual(maxChars));
+  });
+
+  it('should start a new chunk at every markdown heading', () => {
+    const text = '# First\n\nAlpha paragraph.\n\n## Second\n\nBeta paragraph.';
+    const chunks = chunkText(text, options);
+
+    expect(chunks).toEqual(['# First\n\nAlpha paragraph.', '## Second\n\nBeta paragraph.']);
+  });
+
+  it('should break between paragraphs and repeat the overlap', () => {
+    const first = 'The first paragraph talks about databases and indexes at length.';
+    const second = 'The second paragraph talks about embeddings and vector search too.';
+    const chunks = chunkText(`${first}\n\n${second}`, options);
+
+    expect(chunks).toHaveLength(2);
+    expect(chunks[0]).toBe(first);
+    expect(chunks[1].endsWith(second)).toBe(true);
+    expect(chunks[1]).toContain('at length.');
+  });
+
+  it('should not split headings inside code fences', () => {
+    const text = '```\n# not a heading\n```\nafter the fence';
+    expect(chunkText(text, options)).toHaveLength(1);
+  });
+});
+
+describe('normalizeChunking', () => {
+  it('should treat false, null and undefined as disabled', () => {
+    expect(normalizeChunking(false)).toBeNull();
+    expect(normalizeChunking(null)).toBeNull();
+    expect(normalizeChunking(undefined)).toBeNull();
+  });
+
+  it('should fill in defaults', () => {
+    expect(normalizeChunking(true)).toEqual(DEFAULT_CHUNKING);
+    expect(normalizeChunking({ max_tokens: 256 })).toEqual({ max_tokens: 256, overlap_tokens: DEFAULT_CHUNKING.overlap_tokens });
+  });
+
+  it('should reject invalid sizes', () => {
+    expect(() => normalizeChunking({ max_tokens: 4 })).toThrow('max_tokens');
+    expect(() => normalizeChunking({ max_tokens: 100, overlap_tokens: 60 })).toThrow('overlap_tokens');
+  });
+});
+
+describe('estimateTokens', () => {
+  it('should estimate about four characters per token', () => {
+    expect(estimateTokens('abcdefgh')).toBe(2);
+    expect(estimateTokens('abcdefghi')).toBe(3);
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { PREVIEW_LENGTH, preview, formatTable, formatFields, formatResult } from '../src/cli-output.js';
+
+describe('formatTable', () => {
+  it('should align columns to their widest value', () => {
+    const table = formatTable([{ id: 'a', score: 0.5 }, { id: 'abcdef', score: 1 }], [
+      { header: 'ID', value: row => row.id },
+      { header: 'SCORE', value: row => row.score },
+    ]);
+    expect(table.split('\n')).toEqual([
+      'ID      SCORE',
+      '------  -----',
+      'a       0.5',
+      'abcdef  1',
+    ]);
+  });
+});
+
+describe('formatFields', () => {
+  it('should align values and leave out empty fields', () => {
+    expect(formatFields({ id: 'mem_1', collection: 'notes', expires_at: undefined, settings: { language: 'simple' } }))
+      .toBe('id:          mem_1\ncollection:  notes\nsettings:    {"language":"simple"}');
+  });
+});
+
+describe('preview', () => {
+  it('should put content on one line and cut it', () => {
+    expect(preview('first line\n\n  second line')).toBe('first line second line');
+    const cut = preview('x'.repeat(100));
+    expect(cut).toHaveLength(PREVIEW_LENGTH);
+    expect(cut.endsWith('...')).toBe(true);
+  });
+});
+
+describe('formatResult', () => {
+  it('should show search results with their similarity and the next cursor', () => {
+    const output = formatResult('search', {
+      count: 1,
+      memories: [{ id: 'mem_1', similarity: 0.91234, created_at: '2024-01-01T00:00:00.000Z', content: 'Backups run nightly' }],
+      next_cursor: 'abc',
+    });
+    expect(output).toContain('SIMILARITY  ID     CREATED                   CONTENT');
+    expect(output).toContain('0.912       mem_1  2024-01-01T00:00:00.000Z  Backups run nightly');
+    expect(output).toContain('More results: --cursor abc');
+  });
+
+  it('should say when a page is empty', () => {
+    expect(formatResult('list', { count: 0, memories: [] })).toBe('No memories found');
+  });
+
+  it('should describe deletions', () => {
+    expect(formatResult('delete', { id: 'mem_1', collection: 'notes' })).toBe('Deleted mem_1 from notes');
+    expect(formatResult('delete', { id: 'mem_1', collection: 'notes', chunks_deleted: 3 })).toBe('Deleted mem_1 from notes, with 3 chunks');
+  });
+
+  it('should fall back to JSON for other operations', () => {
+    expect(formatResult('configure', { collection: 'notes' })).toBe(JSON.stringify({ collection: 'notes' }, null, 2));
+  });
+});
@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import { encodeCursor, decodeCursor, encodeEmbedding, decodeEmbedding, resumeArgs } from '../src/cursors.js';
+
+describe('cursors', () => {
+  it('should round-trip the state of a page', () => {
+    const cursor = encodeCursor('list', 'notes', { order: 'newest', created_at: '2024-01-01T00:00:00.123456Z', id: 'a' });
+    expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(decodeCursor(cursor, 'list', 'notes')).toEqual({ order: 'newest', created_at: '2024-01-01T00:00:00.123456Z', id: 'a' });
+  });
+
+  it('should reject cursors of another kind, collection or origin', () => {
+    const cursor = encodeCursor('list', 'notes', { id: 'a' });
+    expect(() => decodeCursor(cursor, 'search', 'notes')).toThrow('Invalid cursor: not a search cursor');
+    expect(() => decodeCursor(cursor, 'list', 'other')).toThrow('Invalid cursor: issued for collection "notes", not "other"');
+    expect(() => decodeCursor('not a cursor', 'list', 'notes')).toThrow('Invalid cursor');
+    expect(() => decodeCursor(42, 'list', 'notes')).toThrow('Invalid cursor');
+  });
+
+  it('should carry embeddings as float32', () => {
+    const encoded = encodeEmbedding([0.5, -0.25, 1 / 3]);
+    const decoded = decodeEmbedding(encoded, 3);
+    expect(decoded.slice(0, 2)).toEqual([0.5, -0.25]);
+    expect(decoded[2]).toBeCloseTo(1 / 3, 6);
+    expect(() => decodeEmbedding(encoded, 4)).toThrow('query embedding does not have 4 dimensions');
+  });
+});
+
+describe('resumeArgs', () => {
+  const saved = { query: 'backups', mode: 'hybrid', filter: { project: 'alpha' } };
+
+  it('should restore the arguments of the search', () => {
+    expect(resumeArgs({ cursor: 'c', collection: 'notes' }, saved)).toEqual({ ...saved, collection: 'notes' });
+    expect(resumeArgs({ cursor: 'c', query: 'backups', filter: { project: 'alpha' } }, saved)).toEqual({ ...saved, collection: undefined });
+  });
+
+  it('should refuse arguments that differ from the cursor', () => {
+    expect(() => resumeArgs({ cursor: 'c', query: 'restores' }, saved)).toThrow('it continues a search with another query');
+    expect(() => resumeArgs({ cursor: 'c', query: 'backups', limit: 5 }, saved)).toThrow('another limit');
+  });
+});
@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import { DISTANCE_METRICS, validateDistanceMetric, getDistanceMetric, vectorDistance } from '../src/distance.js';
+
+describe('distance metrics', () => {
+  it('should validate metric names', () => {
+    expect(validateDistanceMetric('cosine')).toBe('cosine');
+    expect(() => validateDistanceMetric('manhattan')).toThrow('Unknown distance metric: manhattan');
+  });
+
+  it('should treat collections without a metric as l2', () => {
+    expect(getDistanceMetric({})).toBe('l2');
+    expect(getDistanceMetric({ distance: 'inner_product' })).toBe('inner_product');
+  });
+
+  it('should pair each metric with its pgvector operator and opclass', () => {
+    expect(DISTANCE_METRICS.cosine).toMatchObject({ operator: '<=>', opclass: 'vector_cosine_ops' });
+    expect(DISTANCE_METRICS.inner_product).toMatchObject({ operator: '<#>', opclass: 'vector_ip_ops' });
+    expect(DISTANCE_METRICS.l2).toMatchObject({ operator: '<->', opclass: 'vector_l2_ops' });
+  });
+
+  it('should compute distances as pgvector does', () => {
+    expect(vectorDistance('cosine', [1, 0], [0, 2])).toBeCloseTo(1);
+    expect(vectorDistance('cosine', [1, 1], [2, 2])).toBeCloseTo(0);
+    expect(vectorDistance('inner_product', [1, 2], [3, 4])).toBe(-11);
+    expect(vectorDistance('l2', [0, 0], [3, 4])).toBe(5);
+  });
+});
+
+describe('similarity scores', () => {
+  const similarity = (metric, distance) => DISTANCE_METRICS[metric].toSimilarity(distance);
+
+  it('should map every metric to [0, 1]', () => {
+    expect(similarity('cosine', 0)).toBe(1);
+    expect(similarity('cosine', 0.25)).toBeCloseTo(0.75);
+    expect(similarity('cosine', 1.5)).toBe(0);
+    expect(similarity('inner_product', -0.8)).toBeCloseTo(0.8);
+    expect(similarity('inner_product', -3)).toBe(1);
+    expect(similarity('inner_product', 0.5)).toBe(0);
+    expect(similarity('l2', 0)).toBe(1);
+    expect(similarity('l2', 1)).toBe(0.5);
+  });
+
+  it('should score zero vectors as dissimilar', () => {
+    // pgvector returns NaN for the cosine distance to a zero vector; JSON would turn it into null
+    expect(similarity('cosine', NaN)).toBe(0);
+    expect(similarity('inner_product', -0)).toBe(0);
+    expect(similarity('l2', Infinity)).toBe(0);
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createEmbeddingProvider, HASH_EMBEDDING_MODEL } from '../src/embedding-providers.js';
+
+function cosine(a, b) {
+  return a.reduce((sum, x, i) => sum + x * b[i], 0);
+}
+
+describe('local/hash provider', () => {
+  it('should produce deterministic unit vectors of the configured dimension', async () => {
+    const provider = createEmbeddingProvider(HASH_EMBEDDING_MODEL, { dimensions: 64 });
+    const [first, second] = await provider.embed(['The quick brown fox', 'The quick brown fox']);
+
+    expect(provider.getDimensions()).toBe(64);
+    expect(provider.cacheKey).toBe('local/hash:64');
+    expect(first).toHaveLength(64);
+    expect(first).toEqual(second);
+    expect(cosine(first, first)).toBeCloseTo(1);
+  });
+
+  it('should place texts sharing words closer together', async () => {
+    const provider = createEmbeddingProvider(HASH_EMBEDDING_MODEL);
+    const [query, related, unrelated] = await provider.embed([
+      'postgres vector search',
+      'vector search in postgres with pgvector',
+      'baking sourdough bread at home'
+    ]);
+
+    expect(provider.getDimensions()).toBe(256);
+    expect(cosine(query, related)).toBeGreaterThan(cosine(query, unrelated));
+  });
+
+  it('should reject invalid dimensions', () => {
+    expect(() => createEmbeddingProvider(HASH_EMBEDDING_MODEL, { dimensions: 0 })).toThrow('Invalid --embedding-dimensions');
+  });
+});
+
+describe('OpenAI-compatible endpoint provider', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  function stubFetch(response) {
+    const fetchMock = vi.fn().mockResolvedValue(response);
+    vi.stubGlobal('fetch', fetchMock);
+    return fetchMock;
+  }
+
+  it('should require an explicit dimension', () => {
+    expect(() => createEmbeddingProvider('nomic-embed-text', { endpoint: 'http://localhost:11434/v1' }))
+      .toThrow('--embedding-dimensions is required');
+  });
+
+  it('should send one batched request and order vectors by index', async () => {
+    const fetchMock = stubFetch({
+      ok: true,
+      json: async () => ({ data: [{ index: 1, embedding: [0, 1] }, { index: 0, embedding: [1, 0] }] })
+    });
+    const provider = createEmbeddingProvider('nomic-embed-text', {
+      endpoint: 'http://localhost:11434/v1/',
+      dimensions: 2,
+      apiKey: 'secret'
+    });
+
+    const vectors = await provider.embed(['first', 'second']);
+
+    expect(vectors).toEqual([[1, 0], [0, 1]]);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    const [url, request] = fetchMock.mock.calls[0];
+    expect(url).toBe('http://localhost:11434/v1/embeddings');
+    expect(request.headers.Authorization).toBe('Bearer secret');
+    expect(JSON.parse(request.body)).toEqual({ model: 'nomic-embed-text', input: ['first', 'second'] });
+  });
+
+  it('should reject vectors of the wrong dimension', async () => {
+    stubFetch({ ok: true, json: async () => ({ data: [{ index: 0, embedding: [1, 0, 0] }] }) });
+    const provider = createEmbeddingProvider('nomic-embed-text', { endpoint: 'http://localhost:11434/v1', dimensions: 2 });
+
+    await expect(provider.embed(['text'])).rejects.toThrow('expected 2');
+  });
+
+  it('should surface HTTP errors', async () => {
+    stubFetch({ ok: false, status: 404, text: async () => 'model "missing" not found' });
+    const provider = createEmbeddingProvider('missing', { endpoint: 'http://localhost:11434/v1', dimensions: 2 });
+
+    await expect(provider.embed(['text'])).rejects.toThrow('returned 404: model "missing" not found');
+  });
+});
@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest';
+import { parseExpiry, defaultExpiry, normalizeDefaultTtl } from '../src/expiry.js';
+
+describe('parseExpiry', () => {
+  it('should return null when no expiry is requested', () => {
+    expect(parseExpiry({ content: 'x' }, { default_ttl: 60 })).toBeNull();
+  });
+
+  it('should turn a ttl into an expiry time', () => {
+    const before = Date.now();
+    const expiry = parseExpiry({ ttl: 60 }, {});
+    expect(expiry.pinned).toBe(false);
+    expect(expiry.expires_at.getTime()).toBeGreaterThanOrEqual(before + 60000);
+    expect(expiry.expires_at.getTime()).toBeLessThanOrEqual(Date.now() + 60000);
+  });
+
+  it('should accept future expires_at timestamps only', () => {
+    const future = new Date(Date.now() + 3600000).toISOString();
+    expect(parseExpiry({ expires_at: future }, {})).toEqual({ expires_at: new Date(future), pinned: false });
+    expect(() => parseExpiry({ expires_at: '2000-01-01T00:00:00Z' }, {})).toThrow('must be in the future');
+    expect(() => parseExpiry({ expires_at: 'tomorrow' }, {})).toThrow('Invalid expires_at');
+  });
+
+  it('should pin, and unpin to the collection default', () => {
+    expect(parseExpiry({ pinned: true }, { default_ttl: 60 })).toEqual({ expires_at: null, pinned: true });
+    expect(parseExpiry({ pinned: false }, {})).toEqual({ expires_at: null, pinned: false });
+    expect(parseExpiry({ pinned: false }, { default_ttl: 60 }).expires_at).toBeInstanceOf(Date);
+  });
+
+  it('should reject conflicting or invalid arguments', () => {
+    expect(() => parseExpiry({ ttl: 60, expires_at: new Date().toISOString() }, {})).toThrow('either ttl or expires_at');
+    expect(() => parseExpiry({ ttl: 60, pinned: true }, {})).toThrow('cannot be combined');
+    expect(() => parseExpiry({ ttl: 0 }, {})).toThrow('Invalid ttl');
+    expect(() => parseExpiry({ ttl: 1.5 }, {})).toThrow('Invalid ttl');
+    expect(() => parseExpiry({ pinned: 'yes' }, {})).toThrow('pinned must be a boolean');
+  });
+});
+
+describe('default TTL', () => {
+  it('should apply the collection default to new memories', () => {
+    expect(defaultExpiry({})).toEqual({ expires_at: null, pinned: false });
+    expect(defaultExpiry({ default_ttl: 60 }).expires_at).toBeInstanceOf(Date);
+  });
+
+  it('should validate default_ttl settings', () => {
+    expect(normalizeDefaultTtl(86400)).toBe(86400);
+    expect(normalizeDefaultTtl(0)).toBeNull();
+    expect(normalizeDefaultTtl(null)).toBeNull();
+    expect(() => normalizeDefaultTtl(-1)).toThrow('Invalid default_ttl');
+  });
+});
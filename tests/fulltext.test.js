@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest';
+import { validateTextSearchLanguage, getTextSearchLanguage, contentFtsColumn, tsQueryExpression } from '../src/fulltext.js';
+
+describe('text search language', () => {
+  it('should accept configuration names only', () => {
+    expect(validateTextSearchLanguage('german')).toBe('german');
+    expect(validateTextSearchLanguage('simple')).toBe('simple');
+    expect(() => validateTextSearchLanguage("english', content)); DROP TABLE x; --")).toThrow('Invalid text search language');
+    expect(() => validateTextSearchLanguage('')).toThrow('Invalid text search language');
+    expect(() => validateTextSearchLanguage(undefined)).toThrow('Invalid text search language');
+  });
+
+  it('should default collections without a language to english', () => {
+    expect(getTextSearchLanguage({})).toBe('english');
+    expect(getTextSearchLanguage({ language: 'french' })).toBe('french');
+  });
+
+  it('should generate the search vector in the language', () => {
+    expect(contentFtsColumn('german'))
+      .toBe("content_fts tsvector GENERATED ALWAYS AS (to_tsvector('german', content)) STORED");
+  });
+});
+
+describe('tsQueryExpression', () => {
+  it('should parse queries with websearch_to_tsquery', () => {
+    expect(tsQueryExpression('$1', '$2')).toBe('websearch_to_tsquery($2::regconfig, $1)');
+  });
+
+  it('should turn every lexeme into a prefix match', () => {
+    expect(tsQueryExpression('$1', '$2', true)).toBe(
+      "regexp_replace(websearch_to_tsquery($2::regconfig, $1)::text, '(''(?:[^'']|'''')*'')', '\\1:*', 'g')::tsquery"
+    );
+  });
+});
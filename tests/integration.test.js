@@ -1,6 +1,11 @@
 import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
 import { PostgresMCPServer } from '../src/mcp-server.js';
+import { SCHEMA_VERSION } from '../src/migrations.js';
 import pg from 'pg';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { ErrorCode } from '@modelcontextprotocol/sdk/types.js';
 
 describe('PostgreSQL MCP Server Integration Tests', () => {
   let server;
@@ -122,6 +127,287 @@ describe('PostgreSQL MCP Server Integration Tests', () => {
     });
   });
 
+  describe('Embedding Cache', () => {
+    it('should serve repeated texts from the cache', async () => {
+      const content = `Cache probe ${Date.now()}: the billing service retries webhooks three times.`;
+
+      const first = JSON.parse((await server.storeMemory({ content })).content[0].text);
+      expect(first.success).toBe(true);
+      expect(first.result.embedding_cache).toEqual({ hits: 0, misses: 1 });
+
+      const search = JSON.parse((await server.searchMemory({ query: content, mode: 'semantic' })).content[0].text);
+      expect(search.success).toBe(true);
+      expect(search.result.embedding_cache).toEqual({ hits: 1, misses: 0 });
+      expect(search.result.memories[0].content).toBe(content);
+    });
+
+    it('should embed identical texts in a batch only once', async () => {
+      const content = `Batch cache probe ${Date.now()}`;
+      const result = await server.storeMemories({ items: [{ content }, { content }] });
+
+      const response = JSON.parse(result.content[0].text);
+      expect(response.success).toBe(true);
+      expect(response.result.stored).toBe(2);
+      expect(response.result.embedding_cache.hits + response.result.embedding_cache.misses).toBe(2);
+
+      const client = await pool.connect();
+      try {
+        const stats = await client.query('SELECT hits, misses FROM mcp_embedding_cache_stats WHERE embedding_model = $1', [embeddingModel]);
+        expect(stats.rows).toHaveLength(1);
+      } finally {
+        client.release();
+      }
+    });
+  });
+
+  describe('Embedding Providers', () => {
+    it('should store and search with the offline local/hash embedder', async () => {
+      const localCollection = `test_local_hash_${Date.now()}`;
+      const localServer = new PostgresMCPServer(
+        host, port, database,
+        process.env.PGUSER || 'postgres', process.env.PGPASSWORD || 'postgres',
+        localCollection, 'local/hash', { embeddingProvider: { dimensions: 64 } }
+      );
+
+      try {
+        const stored = JSON.parse((await localServer.storeMemory({ content: 'Connection pooling with pgbouncer' })).content[0].text);
+        expect(stored.success).toBe(true);
+        expect(stored.result.embedding_model).toBe('local/hash');
+        expect(stored.result.embedding_dimensions).toBe(64);
+        await localServer.storeMemory({ content: 'Sourdough needs a long cold proof' });
+
+        const search = JSON.parse((await localServer.searchMemory({ query: 'pgbouncer connection pooling', mode: 'semantic' })).content[0].text);
+        expect(search.success).toBe(true);
+        expect(search.result.memories[0].content).toBe('Connection pooling with pgbouncer');
+      } finally {
+        await localServer.close();
+      }
+    });
+  });
+
+  describe('Embedding Model Migration', () => {
+    const createLocalServer = (collection, dimensions) => new PostgresMCPServer(
+      host, port, database,
+      process.env.PGUSER || 'postgres', process.env.PGPASSWORD || 'postgres',
+      collection, 'local/hash', { embeddingProvider: { dimensions }, embeddingCache: { enabled: false } }
+    );
+
+    it('should refuse a mismatched model and migrate with reembed', async () => {
+      const collection = `test_reembed_${Date.now()}`;
+      const oldServer = createLocalServer(collection, 32);
+      const newServer = createLocalServer(collection, 48);
+
+      try {
+        await oldServer.storeMemory({ content: 'Rotate the signing keys every quarter' });
+        await oldServer.storeMemory({ content: 'Backups are restored weekly in staging' });
+
+        const refused = JSON.parse((await newServer.storeMemory({ content: 'Too early' })).content[0].text);
+        expect(refused.success).toBe(false);
+        expect(refused.error).toContain("was embedded with 'local/hash' (32 dimensions)");
+        expect(refused.error).toContain('reembed');
+
+        const progress = [];
+        const result = await newServer.reembedCollection(collection, { batchSize: 1, onProgress: p => progress.push(p) });
+        expect(result.status).toBe('completed');
+        expect(result.embedded).toBe(2);
+        expect(progress).toHaveLength(2);
+
+        const search = JSON.parse((await newServer.searchMemory({ query: 'signing keys', mode: 'semantic' })).content[0].text);
+        expect(search.success).toBe(true);
+        expect(search.result.memories[0].content).toBe('Rotate the signing keys every quarter');
+
+        const stale = JSON.parse((await oldServer.storeMemory({ content: 'Too late' })).content[0].text);
+        expect(stale.success).toBe(false);
+        expect(stale.error).toContain('(48 dimensions)');
+
+        expect((await newServer.reembedCollection(collection)).status).toBe('up_to_date');
+      } finally {
+        await oldServer.close();
+        await newServer.close();
+      }
+    });
+
+    it('should keep the current model when a migration is aborted', async () => {
+      const collection = `test_reembed_abort_${Date.now()}`;
+      const oldServer = createLocalServer(collection, 32);
+      const newServer = createLocalServer(collection, 48);
+
+      try {
+        await oldServer.storeMemory({ content: 'Aborted migrations leave the collection untouched' });
+        await newServer.startReembed(collection, 48);
+
+        const client = await pool.connect();
+        try {
+          const pending = await client.query('SELECT pending_embedding_model FROM mcp_collections WHERE name = $1', [collection]);
+          expect(pending.rows[0].pending_embedding_model).toBe('local/hash');
+        } finally {
+          client.release();
+        }
+
+        const aborted = await newServer.abortReembed(collection);
+        expect(aborted.status).toBe('aborted');
+
+        const search = JSON.parse((await oldServer.searchMemory({ query: 'aborted migrations', mode: 'semantic' })).content[0].text);
+        expect(search.success).toBe(true);
+        expect(search.result.count).toBe(1);
+      } finally {
+        await oldServer.close();
+        await newServer.close();
+      }
+    });
+  });
+
+  describe('Keys and Deduplication', () => {
+    it('should upsert on a caller-supplied key', async () => {
+      const first = JSON.parse((await server.storeMemory({
+        content: 'The staging database lives in us-east-1.',
+        metadata: { env: 'staging' },
+        key: 'staging-db-region'
+      })).content[0].text);
+      expect(first.success).toBe(true);
+      expect(first.result.id).toBe('key:staging-db-region');
+      expect(first.result.action).toBe('inserted');
+
+      const second = JSON.parse((await server.storeMemory({
+        content: 'The staging database lives in eu-west-1.',
+        metadata: { env: 'staging', corrected: true },
+        key: 'staging-db-region'
+      })).content[0].text);
+      expect(second.success).toBe(true);
+      expect(second.result.id).toBe('key:staging-db-region');
+      expect(second.result.action).toBe('updated');
+      expect(second.result.created_at).toBe(first.result.created_at);
+      expect(second.result.metadata).toEqual({ env: 'staging', corrected: true });
+
+      const search = JSON.parse((await server.searchMemory({ query: 'staging database', mode: 'fulltext' })).content[0].text);
+      expect(search.result.count).toBe(1);
+      expect(search.result.memories[0].content).toContain('eu-west-1');
+
+      const forget = JSON.parse((await server.forgetMemory({ id: 'key:staging-db-region' })).content[0].text);
+      expect(forget.success).toBe(true);
+    });
+
+    it('should reject invalid keys', async () => {
+      const result = await server.storeMemory({ content: 'x', key: 'has spaces' });
+
+      const response = JSON.parse(result.content[0].text);
+      expect(response.success).toBe(false);
+      expect(response.error).toContain('Invalid key');
+    });
+
+    it('should skip identical content under the skip policy', async () => {
+      await server.configureCollection({ dedup: 'skip' });
+
+      const first = JSON.parse((await server.storeMemory({ content: 'Deploys freeze on Fridays.', metadata: { v: 1 } })).content[0].text);
+      const second = JSON.parse((await server.storeMemory({ content: 'Deploys freeze on Fridays.', metadata: { v: 2 } })).content[0].text);
+
+      expect(second.success).toBe(true);
+      expect(second.result.action).toBe('skipped');
+      expect(second.result.deduplicated).toBe(true);
+      expect(second.result.id).toBe(first.result.id);
+      expect(second.result.metadata).toEqual({ v: 1 });
+    });
+
+    it('should update metadata of identical content under the update_metadata policy', async () => {
+      await server.configureCollection({ dedup: 'update_metadata' });
+
+      const first = JSON.parse((await server.storeMemory({ content: 'Deploys freeze on Fridays.', metadata: { v: 1 } })).content[0].text);
+      const batch = JSON.parse((await server.storeMemories({
+        items: [
+          { content: 'Deploys freeze on Fridays.', metadata: { v: 2 } },
+          { content: 'On-call rotates on Mondays.' },
+          { content: 'On-call rotates on Mondays.', metadata: { v: 3 } }
+        ]
+      })).content[0].text);
+
+      expect(batch.success).toBe(true);
+      expect(batch.result.items.map(item => item.action)).toEqual(['metadata_updated', 'inserted', 'metadata_updated']);
+      expect(batch.result.items[0].id).toBe(first.result.id);
+      expect(batch.result.items[2].id).toBe(batch.result.items[1].id);
+
+      const client = await pool.connect();
+      try {
+        const rows = await client.query(`SELECT content, metadata_json FROM ${testCollection} ORDER BY content`);
+        expect(rows.rows).toHaveLength(2);
+        expect(rows.rows[0].metadata_json).toEqual({ v: 2 });
+        expect(rows.rows[1].metadata_json).toEqual({ v: 3 });
+      } finally {
+        client.release();
+      }
+    });
+
+    it('should reject an unknown dedup policy', async () => {
+      const result = await server.configureCollection({ dedup: 'merge' });
+
+      const response = JSON.parse(result.content[0].text);
+      expect(response.success).toBe(false);
+      expect(response.error).toContain('Unknown dedup policy');
+    });
+  });
+
+  describe('Store Memories (batch)', () => {
+    it('should store many memories in one call', async () => {
+      const items = Array.from({ length: 20 }, (_, i) => ({
+        content: `Batch note ${i} about the quarterly roadmap`,
+        metadata: { index: i }
+      }));
+
+      const result = await server.storeMemories({ items });
+
+      const response = JSON.parse(result.content[0].text);
+      expect(response.success).toBe(true);
+      expect(response.operation).toBe('store_batch');
+      expect(response.result.total).toBe(20);
+      expect(response.result.stored).toBe(20);
+      expect(response.result.failed).toBe(0);
+      response.result.items.forEach((item, i) => {
+        expect(item.index).toBe(i);
+        expect(item.success).toBe(true);
+        expect(item.id).toMatch(/^mem_\d+_[a-z0-9]+$/);
+        expect(item.created_at).toBeDefined();
+      });
+
+      const ids = new Set(response.result.items.map(item => item.id));
+      expect(ids.size).toBe(20);
+    });
+
+    it('should report invalid items without failing the batch', async () => {
+      const result = await server.storeMemories({
+        items: [
+          { content: 'A valid note', metadata: { ok: true } },
+          { content: '' },
+          { content: 'Another valid note', metadata: 'not an object' },
+          { content: 'Null bytes are rejected by Postgres \u0000' },
+          { content: 'A third valid note' }
+        ]
+      });
+
+      const response = JSON.parse(result.content[0].text);
+      expect(response.success).toBe(true);
+      expect(response.result.stored).toBe(2);
+      expect(response.result.failed).toBe(3);
+
+      const [first, second, third, fourth, fifth] = response.result.items;
+      expect(first.success).toBe(true);
+      expect(second.success).toBe(false);
+      expect(second.error).toContain('content');
+      expect(third.success).toBe(false);
+      expect(third.error).toContain('metadata');
+      expect(fourth.success).toBe(false);
+      expect(fourth.id).toBeUndefined();
+      expect(fifth.success).toBe(true);
+    });
+
+    it('should reject an empty batch', async () => {
+      const result = await server.storeMemories({ items: [] });
+
+      const response = JSON.parse(result.content[0].text);
+      expect(response.success).toBe(false);
+      expect(response.operation).toBe('store_batch');
+      expect(response.error).toContain('non-empty array');
+    });
+  });
+
   describe('Search Memory', () => {
     beforeEach(async () => {
       // Add test data for search tests
@@ -228,6 +514,137 @@ describe('PostgreSQL MCP Server Integration Tests', () => {
         expect(response.result.count).toBe(0);
         expect(response.result.memories).toHaveLength(0);
       });
+
+      it('should accept punctuation in queries', async () => {
+        for (const query of ['neural: networks!', "what's (convolutional) & | <-> ?", '"unterminated phrase', '']) {
+          const response = JSON.parse((await server.searchMemory({ query, mode: 'fulltext' })).content[0].text);
+          expect(response.success).toBe(true);
+        }
+      });
+
+      it('should support phrases, OR and exclusions', async () => {
+        const search = async (query) => {
+          const response = JSON.parse((await server.searchMemory({ query, mode: 'fulltext', limit: 10 })).content[0].text);
+          return response.result.memories.map(m => m.content);
+        };
+
+        const phrase = await search('"neural networks" -convolutional');
+        expect(phrase.length).toBeGreaterThan(0);
+        phrase.forEach(content => expect(content).toContain('Neural networks are'));
+
+        const either = await search('convolutional OR interpret');
+        expect(either.some(content => content.includes('convolutional'))).toBe(true);
+        expect(either.some(content => content.includes('interpret'))).toBe(true);
+
+        expect(await search('"networks neural"')).toHaveLength(0);
+      });
+
+      it('should match word prefixes on request', async () => {
+        const exact = JSON.parse((await server.searchMemory({ query: 'convol', mode: 'fulltext' })).content[0].text);
+        expect(exact.result.count).toBe(0);
+
+        const prefixed = JSON.parse((await server.searchMemory({ query: 'convol', mode: 'fulltext', prefix: true })).content[0].text);
+        expect(prefixed.result.count).toBeGreaterThan(0);
+        prefixed.result.memories.forEach(memory => expect(memory.content).toContain('convolutional'));
+      });
+    });
+
+    describe('Hybrid Search', () => {
+      it('should fuse semantic and fulltext rankings with rrf', async () => {
+        const result = await server.searchMemory({
+          query: 'convolutional neural networks',
+          mode: 'hybrid',
+          limit: 3
+        });
+
+        const response = JSON.parse(result.content[0].text);
+        expect(response.success).toBe(true);
+        expect(response.result.mode).toBe('hybrid');
+        expect(response.result.fusion.method).toBe('rrf');
+        expect(response.result.count).toBeGreaterThan(0);
+
+        const memories = response.result.memories;
+        expect(memories[0].content).toContain('convolutional');
+        expect(memories[0].ranks.semantic).toBeTypeOf('number');
+        expect(memories[0].ranks.fulltext).toBeTypeOf('number');
+        expect(memories[0].fused_score).toBe(memories[0].similarity);
+
+        for (let i = 1; i < memories.length; i++) {
+          expect(memories[i - 1].fused_score).toBeGreaterThanOrEqual(memories[i].fused_score);
+        }
+      });
+
+      it('should support weighted blending with per-call weights', async () => {
+        const result = await server.searchMemory({
+          query: 'neural networks',
+          mode: 'hybrid',
+          fusion: 'weighted',
+          semantic_weight: 0,
+          fulltext_weight: 1,
+          limit: 3
+        });
+
+        const response = JSON.parse(result.content[0].text);
+        expect(response.success).toBe(true);
+        expect(response.result.fusion).toEqual({ method: 'weighted', semantic_weight: 0, fulltext_weight: 1 });
+
+        // With all weight on fulltext, the best fulltext hit scores exactly 1
+        expect(response.result.memories[0].fused_score).toBeCloseTo(1);
+        expect(response.result.memories[0].ranks.fulltext).toBe(1);
+      });
+
+      it('should reject an unknown fusion method', async () => {
+        const result = await server.searchMemory({
+          query: 'neural networks',
+          mode: 'hybrid',
+          fusion: 'average'
+        });
+
+        const response = JSON.parse(result.content[0].text);
+        expect(response.success).toBe(false);
+        expect(response.error).toContain('Unknown fusion method');
+      });
+    });
+
+    describe('Metadata Filters', () => {
+      it('should restrict semantic results by metadata', async () => {
+        const result = await server.searchMemory({
+          query: 'neural networks',
+          mode: 'semantic',
+          filter: { type: 'technical' },
+          limit: 10
+        });
+
+        const response = JSON.parse(result.content[0].text);
+        expect(response.success).toBe(true);
+        expect(response.result.memories).toHaveLength(1);
+        expect(response.result.memories[0].metadata.topic).toBe('Computer Vision');
+      });
+
+      it('should restrict fulltext results with operators', async () => {
+        const result = await server.searchMemory({
+          query: 'algorithms',
+          mode: 'fulltext',
+          filter: { type: { $in: ['research', 'technical'] }, field: { $exists: true } },
+          limit: 10
+        });
+
+        const response = JSON.parse(result.content[0].text);
+        expect(response.success).toBe(true);
+        expect(response.result.memories).toHaveLength(1);
+        expect(response.result.memories[0].metadata.topic).toBe('NLP');
+      });
+
+      it('should reject unknown filter operators', async () => {
+        const result = await server.searchMemory({
+          query: 'neural networks',
+          filter: { type: { $like: 'tech%' } }
+        });
+
+        const response = JSON.parse(result.content[0].text);
+        expect(response.success).toBe(false);
+        expect(response.error).toContain('Unknown filter operator');
+      });
     });
 
     it('should handle invalid search mode', async () => {
@@ -244,6 +661,180 @@ describe('PostgreSQL MCP Server Integration Tests', () => {
     });
   });
 
+  describe('Chunking', () => {
+    const longDocument = [
+      '# Deployment',
+      'Deployments run through the release pipeline. Every merge to main builds a container image and pushes it to the registry.',
+      'Production rollouts are gradual and can be paused from the dashboard at any time.',
+      '# Incident response',
+      'Pages go to the on-call engineer first. Escalate to the database team when replication lag exceeds five minutes.',
+      'Postmortems are written within a week and reviewed at the Thursday operations meeting.'
+    ].join('\n\n');
+    const chunking = { max_tokens: 40, overlap_tokens: 4 };
+
+    it('should store long content as chunks linked to a parent document', async () => {
+      const result = await server.storeMemory({ content: longDocument, metadata: { team: 'ops' }, chunking });
+
+      const response = JSON.parse(result.content[0].text);
+      expect(response.success).toBe(true);
+      expect(response.result.content_length).toBe(longDocument.length);
+      expect(response.result.chunk_count).toBeGreaterThan(1);
+      expect(response.result.chunk_ids).toHaveLength(response.result.chunk_count);
+      response.result.chunk_ids.forEach(chunkId => expect(chunkId.startsWith(response.result.id)).toBe(true));
+
+      const chunkId = response.result.chunk_ids[0];
+      const forget = JSON.parse((await server.forgetMemory({ id: chunkId })).content[0].text);
+      expect(forget.error).toContain(`is a chunk of "${response.result.id}"`);
+      const update = JSON.parse((await server.updateMemory({ id: chunkId, content: 'Rewritten' })).content[0].text);
+      expect(update.error).toContain(`is a chunk of "${response.result.id}"`);
+    });
+
+    it('should return chunks or collapse them to documents', async () => {
+      const storeResult = await server.storeMemory({ content: longDocument, metadata: { team: 'ops' }, chunking });
+      const documentId = JSON.parse(storeResult.content[0].text).result.id;
+
+      const chunkSearch = await server.searchMemory({ query: 'replication lag escalation', mode: 'fulltext', results: 'chunks' });
+      const chunkResponse = JSON.parse(chunkSearch.content[0].text);
+      expect(chunkResponse.success).toBe(true);
+      expect(chunkResponse.result.memories[0].parent_id).toBe(documentId);
+      expect(chunkResponse.result.memories[0].chunk_index).toBeTypeOf('number');
+      expect(chunkResponse.result.memories[0].metadata).toEqual({ team: 'ops' });
+
+      const documentSearch = await server.searchMemory({ query: 'pipeline', mode: 'semantic', results: 'documents' });
+      const documentResponse = JSON.parse(documentSearch.content[0].text);
+      expect(documentResponse.success).toBe(true);
+      expect(documentResponse.result.results).toBe('documents');
+      expect(documentResponse.result.memories).toHaveLength(1);
+      expect(documentResponse.result.memories[0].id).toBe(documentId);
+      expect(documentResponse.result.memories[0].content).toBe(longDocument);
+      expect(documentResponse.result.memories[0].matched_chunks.length).toBeGreaterThan(0);
+    });
+
+    it('should delete all chunks when forgetting the parent', async () => {
+      const storeResult = await server.storeMemory({ content: longDocument, chunking });
+      const storeResponse = JSON.parse(storeResult.content[0].text);
+
+      const forgetResult = await server.forgetMemory({ id: storeResponse.result.id });
+      const forgetResponse = JSON.parse(forgetResult.content[0].text);
+      expect(forgetResponse.success).toBe(true);
+      expect(forgetResponse.result.chunks_deleted).toBe(storeResponse.result.chunk_count);
+
+      const client = await pool.connect();
+      try {
+        const remaining = await client.query(`SELECT COUNT(*)::int AS count FROM ${testCollection}`);
+        expect(remaining.rows[0].count).toBe(0);
+      } finally {
+        client.release();
+      }
+    });
+
+    it('should apply the collection chunking settings by default', async () => {
+      const configureResult = await server.configureCollection({ chunking });
+      const configureResponse = JSON.parse(configureResult.content[0].text);
+      expect(configureResponse.success).toBe(true);
+      expect(configureResponse.result.settings.chunking).toEqual(chunking);
+
+      const chunked = JSON.parse((await server.storeMemory({ content: longDocument })).content[0].text);
+      expect(chunked.result.chunk_count).toBeGreaterThan(1);
+
+      const unchunked = JSON.parse((await server.storeMemory({ content: longDocument, chunking: false })).content[0].text);
+      expect(unchunked.result.chunk_count).toBeUndefined();
+    });
+  });
+
+  describe('Update Memory', () => {
+    let memoryId;
+    let createdAt;
+
+    beforeEach(async () => {
+      const storeResult = await server.storeMemory({
+        content: 'The deployment pipeline runs nightly at 2am.',
+        metadata: { topic: 'ops', owner: 'alice' }
+      });
+      const storeResponse = JSON.parse(storeResult.content[0].text);
+      memoryId = storeResponse.result.id;
+      createdAt = storeResponse.result.created_at;
+    });
+
+    it('should update content and re-embed while keeping ID and created_at', async () => {
+      const result = await server.updateMemory({
+        id: memoryId,
+        content: 'The deployment pipeline runs hourly.'
+      });
+
+      const response = JSON.parse(result.content[0].text);
+      expect(response.success).toBe(true);
+      expect(response.operation).toBe('update');
+      expect(response.result.id).toBe(memoryId);
+      expect(response.result.content_changed).toBe(true);
+      expect(response.result.embedding_dimensions).toBe(768);
+      expect(response.result.created_at).toBe(createdAt);
+      expect(response.result.updated_at).toBeDefined();
+      expect(response.result.metadata).toEqual({ topic: 'ops', owner: 'alice' });
+
+      const searchResult = await server.searchMemory({ query: 'hourly', mode: 'fulltext' });
+      const searchResponse = JSON.parse(searchResult.content[0].text);
+      expect(searchResponse.result.memories[0].id).toBe(memoryId);
+    });
+
+    it('should keep the chunks of one content update when two race', async () => {
+      const chunking = { max_tokens: 16, overlap_tokens: 0 };
+      const versions = ['alpha', 'beta'].map(word =>
+        Array.from({ length: 4 }, (_, i) => `Runbook ${word} step ${i}: check the replication lag first.`).join('\n\n'));
+      const results = await Promise.all(versions.map(content => server.updateMemory({ id: memoryId, content, chunking })));
+      results.forEach(result => expect(result.isError).toBeUndefined());
+
+      const parent = await pool.query(`SELECT content FROM ${testCollection} WHERE id = $1`, [memoryId]);
+      const word = parent.rows[0].content.includes('alpha') ? 'alpha' : 'beta';
+      const chunks = await pool.query(`SELECT content FROM ${testCollection} WHERE parent_id = $1`, [memoryId]);
+      expect(chunks.rows.length).toBeGreaterThan(1);
+      chunks.rows.forEach(chunk => expect(chunk.content).toContain(word));
+    });
+
+    it('should shallow-merge metadata without re-embedding', async () => {
+      const result = await server.updateMemory({
+        id: memoryId,
+        metadata: { owner: 'bob', reviewed: true }
+      });
+
+      const response = JSON.parse(result.content[0].text);
+      expect(response.success).toBe(true);
+      expect(response.result.content_changed).toBe(false);
+      expect(response.result.embedding_dimensions).toBeUndefined();
+      expect(response.result.metadata_mode).toBe('merge');
+      expect(response.result.metadata).toEqual({ topic: 'ops', owner: 'bob', reviewed: true });
+    });
+
+    it('should replace metadata entirely', async () => {
+      const result = await server.updateMemory({
+        id: memoryId,
+        metadata: { owner: 'bob' },
+        metadata_mode: 'replace'
+      });
+
+      const response = JSON.parse(result.content[0].text);
+      expect(response.success).toBe(true);
+      expect(response.result.metadata).toEqual({ owner: 'bob' });
+    });
+
+    it('should reject updates with nothing to change', async () => {
+      const result = await server.updateMemory({ id: memoryId });
+
+      const response = JSON.parse(result.content[0].text);
+      expect(response.success).toBe(false);
+      expect(response.operation).toBe('update');
+      expect(response.error).toContain('Nothing to update');
+    });
+
+    it('should report a missing memory', async () => {
+      const result = await server.updateMemory({ id: 'mem_1234567890_nonexistent', content: 'x' });
+
+      const response = JSON.parse(result.content[0].text);
+      expect(response.success).toBe(false);
+      expect(response.error).toContain('not found');
+    });
+  });
+
   describe('Delete Memory', () => {
     it('should delete a memory successfully', async () => {
       // Store a memory first
@@ -333,6 +924,15 @@ describe('PostgreSQL MCP Server Integration Tests', () => {
         expect(columns).toContain('content_fts');
         expect(columns).toContain('metadata_json');
         expect(columns).toContain('created_at');
+        expect(columns).toContain('updated_at');
+        expect(columns).toContain('parent_id');
+        expect(columns).toContain('chunk_index');
+        expect(columns).toContain('chunk_count');
+
+        const indexes = await client.query(`
+          SELECT indexname FROM pg_indexes WHERE tablename = $1
+        `, [testTableName]);
+        expect(indexes.rows.map(r => r.indexname)).toContain(`${testTableName}_metadata_idx`);
       } finally {
         client.release();
       }
@@ -345,6 +945,1092 @@ describe('PostgreSQL MCP Server Integration Tests', () => {
         cleanupClient.release();
       }
     });
+
+    describe('Schema Migrations', () => {
+      const createLocalServer = (collection) => new PostgresMCPServer(
+        host, port, database,
+        process.env.PGUSER || 'postgres', process.env.PGPASSWORD || 'postgres',
+        collection, 'local/hash', { embeddingProvider: { dimensions: 16 }, embeddingCache: { enabled: false } }
+      );
+
+      it('should record the current schema version for new collections', async () => {
+        const collection = `test_schema_new_${Date.now()}`;
+        const localServer = createLocalServer(collection);
+        try {
+          await localServer.storeMemory({ content: 'Schema version probe' });
+          const result = await pool.query('SELECT schema_version FROM mcp_collections WHERE name = $1', [collection]);
+          expect(result.rows[0].schema_version).toBe(SCHEMA_VERSION);
+        } finally {
+          await localServer.close();
+        }
+      });
+
+      it('should create a collection once when servers start at the same time', async () => {
+        const collection = `test_schema_race_${Date.now()}`;
+        const servers = [createLocalServer(collection), createLocalServer(collection), createLocalServer(collection)];
+        try {
+          const results = await Promise.all(servers.map((s, i) => s.storeMemory({ content: `Concurrent store ${i}` })));
+          for (const result of results) {
+            expect(JSON.parse(result.content[0].text).success).toBe(true);
+          }
+          const count = await pool.query(`SELECT COUNT(*)::int AS n FROM ${collection}`);
+          expect(count.rows[0].n).toBe(3);
+        } finally {
+          await Promise.all(servers.map(s => s.close()));
+        }
+      });
+
+      it('should report and apply pending migrations to tables from older versions', async () => {
+        const collection = `test_schema_legacy_${Date.now()}`;
+        await pool.query(`
+          CREATE TABLE ${collection} (
+            id TEXT PRIMARY KEY,
+            content TEXT NOT NULL,
+            embedding vector(16),
+            content_fts tsvector GENERATED ALWAYS AS (to_tsvector('english', content)) STORED,
+            metadata_json JSONB,
+            created_at TIMESTAMPTZ DEFAULT NOW()
+          )
+        `);
+        await pool.query(`INSERT INTO ${collection} (id, content, metadata_json) VALUES ('mem_1_legacy', 'Legacy row', '{}')`);
+
+        const localServer = createLocalServer(collection);
+        try {
+          const status = await localServer.migrationStatus();
+          const legacy = status.find(entry => entry.collection === collection);
+          expect(legacy.schema_version).toBeNull();
+          expect(legacy.pending).toHaveLength(SCHEMA_VERSION);
+
+          const results = await localServer.migrateCollections();
+          const migrated = results.find(entry => entry.collection === collection);
+          expect(migrated.from_version).toBe(0);
+          expect(migrated.to_version).toBe(SCHEMA_VERSION);
+
+          const row = await pool.query(`SELECT content_hash, chunk_count FROM ${collection} WHERE id = 'mem_1_legacy'`);
+          expect(row.rows[0].content_hash).toMatch(/^[0-9a-f]{64}$/);
+
+          const after = await localServer.migrationStatus();
+          expect(after.find(entry => entry.collection === collection).pending).toEqual([]);
+        } finally {
+          await localServer.close();
+        }
+      });
+    });
+  });
+
+  describe('Collections', () => {
+    const createLocalServer = (collection, options = {}) => new PostgresMCPServer(
+      host, port, database,
+      process.env.PGUSER || 'postgres', process.env.PGPASSWORD || 'postgres',
+      collection, 'local/hash', { embeddingProvider: { dimensions: 16 }, embeddingCache: { enabled: false }, ...options }
+    );
+
+    it('should list managed collections only', async () => {
+      const collection = `test_list_${Date.now()}`;
+      const unrelated = `test_unrelated_${Date.now()}`;
+      const localServer = createLocalServer(collection);
+      try {
+        await localServer.storeMemory({ content: 'Listed collection' });
+        await pool.query(`CREATE TABLE ${unrelated} (id TEXT PRIMARY KEY)`);
+
+        const response = JSON.parse((await localServer.listCollections()).content[0].text);
+        expect(response.success).toBe(true);
+        expect(response.operation).toBe('list_collections');
+        const names = response.result.collections.map(c => c.name);
+        expect(names).toContain(collection);
+        expect(names).not.toContain(unrelated);
+        expect(names).not.toContain('mcp_collections');
+        expect(names).not.toContain('mcp_embedding_cache');
+
+        const listed = response.result.collections.find(c => c.name === collection);
+        expect(listed.embedding_model).toBe('local/hash');
+        expect(listed.embedding_dimensions).toBe(16);
+      } finally {
+        await localServer.close();
+      }
+    });
+
+    it('should report collection stats', async () => {
+      const collection = `test_stats_${Date.now()}`;
+      const localServer = createLocalServer(collection);
+      try {
+        await localServer.storeMemory({ content: 'First', metadata: { project: 'alpha', priority: 1 } });
+        await localServer.storeMemory({ content: 'Second', metadata: { project: 'beta' } });
+
+        const response = JSON.parse((await localServer.collectionStats({ collection })).content[0].text);
+        expect(response.success).toBe(true);
+        expect(response.operation).toBe('collection_stats');
+        const stats = response.result;
+        expect(stats.documents).toBe(2);
+        expect(stats.chunks).toBe(0);
+        expect(stats.storage.total_bytes).toBeGreaterThan(0);
+        expect(stats.embedding_model).toBe('local/hash');
+        expect(stats.embedding_dimensions).toBe(16);
+        expect(stats.indexes.map(i => i.type)).toEqual(expect.arrayContaining(['btree', 'gin', 'hnsw']));
+        expect(new Date(stats.oldest_created_at) <= new Date(stats.newest_created_at)).toBe(true);
+        expect(stats.metadata_keys[0]).toEqual({ key: 'project', count: 2 });
+        expect(stats.metadata_keys).toContainEqual({ key: 'priority', count: 1 });
+      } finally {
+        await localServer.close();
+      }
+    });
+
+    it('should not create unknown collections when asked not to', async () => {
+      const collection = `test_missing_${Date.now()}`;
+      const strictServer = createLocalServer(collection, { createCollections: false });
+      try {
+        const search = JSON.parse((await strictServer.searchMemory({ query: 'anything', mode: 'fulltext' })).content[0].text);
+        expect(search.success).toBe(false);
+        expect(search.error).toContain('does not exist');
+
+        const stats = JSON.parse((await strictServer.collectionStats({ collection })).content[0].text);
+        expect(stats.success).toBe(false);
+        expect(stats.error).toContain('does not exist');
+
+        const exists = await pool.query('SELECT to_regclass($1) AS oid', [collection]);
+        expect(exists.rows[0].oid).toBeNull();
+      } finally {
+        await strictServer.close();
+      }
+    });
+  });
+
+  describe('Resources', () => {
+    const createLocalServer = (collection) => new PostgresMCPServer(
+      host, port, database,
+      process.env.PGUSER || 'postgres', process.env.PGPASSWORD || 'postgres',
+      collection, 'local/hash', { embeddingProvider: { dimensions: 16 }, embeddingCache: { enabled: false } }
+    );
+
+    it('should read memories and collections as resources', async () => {
+      const collection = `test_resources_${Date.now()}`;
+      const localServer = createLocalServer(collection);
+      try {
+        await localServer.storeMemory({ content: 'Readable as a resource', key: 'notes/resource' });
+
+        const listed = await localServer.listResources();
+        expect(listed.map(r => r.uri)).toContain(`memory://${collection}/key%3Anotes%2Fresource`);
+
+        const memory = await localServer.readResource(`memory://${collection}/key%3Anotes%2Fresource`);
+        expect(memory.contents[0].mimeType).toBe('text/plain');
+        expect(memory.contents[0].text).toBe('Readable as a resource');
+
+        const listing = JSON.parse((await localServer.readResource(`memory://${collection}`)).contents[0].text);
+        expect(listing.count).toBe(1);
+        expect(listing.memories[0].id).toBe('key:notes/resource');
+
+        await expect(localServer.readResource(`memory://${collection}/mem_1_missing`)).rejects.toThrow('not found');
+        await expect(localServer.readResource('memory://test_no_such_collection/x')).rejects.toThrow('does not exist');
+      } finally {
+        await localServer.close();
+      }
+    });
+
+    it('should notify subscribers of changes made by other instances', async () => {
+      const collection = `test_subscribe_${Date.now()}`;
+      const subscriber = createLocalServer(collection);
+      const writer = createLocalServer(collection);
+      const updates = [];
+      subscriber.server.sendResourceUpdated = async ({ uri }) => { updates.push(uri); };
+
+      const waitFor = async (predicate) => {
+        for (let i = 0; i < 50 && !predicate(); i++) {
+          await new Promise(resolve => setTimeout(resolve, 100));
+        }
+        expect(predicate()).toBe(true);
+      };
+
+      try {
+        await writer.storeMemory({ content: 'Before subscribing', key: 'watched' });
+        await subscriber.subscribe(`memory://${collection}/key:watched`);
+        await subscriber.subscribe(`memory://${collection}`);
+
+        await writer.updateMemory({ id: 'key:watched', metadata: { status: 'changed' } });
+        await waitFor(() => updates.includes(`memory://${collection}/key:watched`));
+
+        updates.length = 0;
+        await writer.storeMemory({ content: 'Another memory' });
+        await waitFor(() => updates.includes(`memory://${collection}`));
+        expect(updates).not.toContain(`memory://${collection}/key:watched`);
+
+        await subscriber.unsubscribe(`memory://${collection}/key:watched`);
+        await subscriber.unsubscribe(`memory://${collection}`);
+        expect(subscriber.changeListener.client).toBeNull();
+      } finally {
+        await subscriber.close();
+        await writer.close();
+      }
+    });
+  });
+
+  describe('HTTP Transport', () => {
+    it('should serve tools over Streamable HTTP sessions and drain calls on shutdown', async () => {
+      const collection = `test_http_${Date.now()}`;
+      const httpServer = new PostgresMCPServer(
+        host, port, database,
+        process.env.PGUSER || 'postgres', process.env.PGPASSWORD || 'postgres',
+        collection, 'local/hash', { embeddingProvider: { dimensions: 16 }, embeddingCache: { enabled: false } }
+      );
+      const url = await httpServer.runHttp({ port: 0 });
+      const client = new Client({ name: 'integration-test', version: '1.0.0' });
+      const transport = new StreamableHTTPClientTransport(new URL(url));
+
+      await client.connect(transport);
+      expect(transport.sessionId).toBeTruthy();
+
+      const tools = await client.listTools();
+      expect(tools.tools.map(tool => tool.name)).toContain('store_memory');
+
+      const stored = await client.callTool({ name: 'store_memory', arguments: { content: 'Stored over HTTP' } });
+      expect(JSON.parse(stored.content[0].text).success).toBe(true);
+
+      // A call still running when shutdown starts completes before the pool closes
+      const search = client.callTool({ name: 'search_memory', arguments: { query: 'Stored over HTTP' } });
+      while (httpServer.inFlight.size === 0) {
+        await new Promise(resolve => setImmediate(resolve));
+      }
+      await httpServer.shutdown({ timeoutMs: 10000 });
+      const response = JSON.parse((await search).content[0].text);
+      expect(response.success).toBe(true);
+      expect(response.result.memories[0].content).toBe('Stored over HTTP');
+
+      await expect(fetch(url, { method: 'POST' })).rejects.toThrow();
+    });
+
+    it('should limit each token to the collections and permissions it grants', async () => {
+      const collection = `test_auth_${Date.now()}`;
+      const httpServer = new PostgresMCPServer(
+        host, port, database,
+        process.env.PGUSER || 'postgres', process.env.PGPASSWORD || 'postgres',
+        undefined, 'local/hash', { embeddingProvider: { dimensions: 16 }, embeddingCache: { enabled: false } }
+      );
+      const tokenName = `test_reader_${Date.now()}`;
+      const url = await httpServer.runHttp({ port: 0, auth: true });
+      try {
+        await httpServer.storeMemory({ collection, content: 'Only readable' });
+        await httpServer.storeMemory({ collection: `${collection}_inbox`, content: 'Only writable' });
+        const { token } = await httpServer.createToken(tokenName, [`${collection}=read`, `${collection}_inbox=write`]);
+
+        const unauthenticated = await fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{}' });
+        expect(unauthenticated.status).toBe(401);
+
+        const client = new Client({ name: 'integration-test', version: '1.0.0' });
+        await client.connect(new StreamableHTTPClientTransport(new URL(url), {
+          requestInit: { headers: { Authorization: `Bearer ${token}` } }
+        }));
+
+        const search = await client.callTool({ name: 'search_memory', arguments: { collection, query: 'readable' } });
+        expect(JSON.parse(search.content[0].text).success).toBe(true);
+
+        const store = await client.callTool({ name: 'store_memory', arguments: { collection, content: 'Not allowed' } });
+        expect(store.isError).toBe(true);
+        expect(JSON.parse(store.content[0].text).error).toContain('does not have write permission');
+
+        const other = await client.callTool({ name: 'search_memory', arguments: { collection: 'test_memories', query: 'x' } });
+        expect(other.isError).toBe(true);
+
+        const listed = JSON.parse((await client.callTool({ name: 'list_collections', arguments: {} })).content[0].text);
+        expect(listed.result.collections.map(c => c.name)).toEqual([collection]);
+
+        await httpServer.revokeToken(tokenName);
+        await expect(client.listTools()).rejects.toThrow();
+      } finally {
+        await httpServer.tokens.revoke(tokenName);
+        await httpServer.shutdown({ timeoutMs: 1000 });
+      }
+    });
+  });
+
+  describe('Tenant Isolation', () => {
+    const createTenantServer = (collection, isolation, tenant, user, password, options = {}) => new PostgresMCPServer(
+      host, port, database,
+      user || process.env.PGUSER || 'postgres', password || process.env.PGPASSWORD || 'postgres',
+      collection, 'local/hash',
+      { embeddingProvider: { dimensions: 16 }, embeddingCache: { enabled: false }, isolation, tenant, ...options }
+    );
+
+    it('should keep schema tenants in schemas of their own', async () => {
+      const suffix = Date.now();
+      const collection = `test_tenant_schema_${suffix}`;
+      const acme = createTenantServer(collection, 'schema', `acme_${suffix}`);
+      const globex = createTenantServer(collection, 'schema', `globex_${suffix}`);
+      try {
+        // A table of the same name outside the tenant schemas is not mistaken for the collection
+        await pool.query(`CREATE TABLE ${collection} (id TEXT PRIMARY KEY, content TEXT)`);
+
+        await acme.storeMemory({ content: 'Acme roadmap', key: 'roadmap' });
+        await globex.storeMemory({ content: 'Globex roadmap', key: 'roadmap' });
+
+        const acmeSearch = JSON.parse((await acme.searchMemory({ query: 'roadmap', mode: 'fulltext' })).content[0].text);
+        expect(acmeSearch.result.memories.map(m => m.content)).toEqual(['Acme roadmap']);
+
+        const tables = await pool.query('SELECT table_schema FROM information_schema.tables WHERE table_name = $1 ORDER BY 1', [collection]);
+        expect(tables.rows.map(row => row.table_schema)).toEqual([`tenant_acme_${suffix}`, `tenant_globex_${suffix}`, 'public']);
+      } finally {
+        await acme.close();
+        await globex.close();
+        await pool.query(`DROP SCHEMA IF EXISTS tenant_acme_${suffix} CASCADE`);
+        await pool.query(`DROP SCHEMA IF EXISTS tenant_globex_${suffix} CASCADE`);
+      }
+    });
+
+    it('should not reveal through the embedding cache what another tenant embedded', async () => {
+      const suffix = Date.now();
+      const collection = `test_tenant_cache_${suffix}`;
+      const cached = { embeddingCache: { enabled: true } };
+      const acme = createTenantServer(collection, 'schema', `acme_${suffix}`, undefined, undefined, cached);
+      const globex = createTenantServer(collection, 'schema', `globex_${suffix}`, undefined, undefined, cached);
+      const cacheUsage = async (server, query) =>
+        JSON.parse((await server.searchMemory({ query, mode: 'semantic' })).content[0].text).result.embedding_cache;
+      try {
+        const content = `Acme merger plans ${suffix}`;
+        const stored = JSON.parse((await acme.storeMemory({ content })).content[0].text);
+        expect(stored.result.embedding_cache).toEqual({ hits: 0, misses: 1 });
+        await globex.storeMemory({ content: 'Globex creates the collection' });
+
+        expect(await cacheUsage(globex, content)).toEqual({ hits: 0, misses: 1 });
+        expect(await cacheUsage(acme, content)).toEqual({ hits: 1, misses: 0 });
+      } finally {
+        await acme.close();
+        await globex.close();
+        await pool.query(`DROP SCHEMA IF EXISTS tenant_acme_${suffix} CASCADE`);
+        await pool.query(`DROP SCHEMA IF EXISTS tenant_globex_${suffix} CASCADE`);
+      }
+    });
+
+    it('should share tables between row-level security tenants without sharing rows', async () => {
+      const suffix = Date.now();
+      const collection = `test_tenant_rls_${suffix}`;
+      const role = `test_tenant_role_${suffix}`;
+      // Tenant servers run as one role without superuser or BYPASSRLS, which owns the shared objects
+      const setup = createTenantServer(`${collection}_setup`);
+      await setup.ensureTable(`${collection}_setup`);
+      await setup.close();
+      await pool.query(`CREATE ROLE ${role} LOGIN PASSWORD 'tenant' NOSUPERUSER NOBYPASSRLS`);
+      await pool.query(`GRANT CREATE, USAGE ON SCHEMA public TO ${role}`);
+      await pool.query(`ALTER TABLE mcp_collections OWNER TO ${role}`);
+      await pool.query(`ALTER FUNCTION mcp_notify_memory_change() OWNER TO ${role}`);
+
+      const superuser = createTenantServer(collection, 'rls', 'acme');
+      const refused = JSON.parse((await superuser.storeMemory({ content: 'x' })).content[0].text);
+      expect(refused.error).toContain('BYPASSRLS');
+      await superuser.close();
+
+      const acme = createTenantServer(collection, 'rls', 'acme', role, 'tenant');
+      const globex = createTenantServer(collection, 'rls', 'globex', role, 'tenant');
+      try {
+        await acme.storeMemory({ content: 'Acme secret', key: 'plan' });
+        await globex.storeMemory({ content: 'Globex secret', key: 'plan' });
+
+        const globexSearch = JSON.parse((await globex.searchMemory({ query: 'secret', mode: 'fulltext' })).content[0].text);
+        expect(globexSearch.result.memories.map(m => m.content)).toEqual(['Globex secret']);
+
+        const globexStats = JSON.parse((await globex.collectionStats({})).content[0].text).result;
+        expect(globexStats.documents).toBe(1);
+        expect(globexStats.storage).toBeUndefined();
+        const globexCollections = JSON.parse((await globex.listCollections()).content[0].text).result.collections;
+        expect(globexCollections.find(c => c.name === collection).approximate_rows).toBe(1);
+
+        const forget = await globex.forgetMemory({ id: 'key:plan' });
+        expect(forget.isError).toBeUndefined();
+        const rows = await pool.query(`SELECT tenant_id, content FROM ${collection}`);
+        expect(rows.rows).toEqual([{ tenant_id: 'acme', content: 'Acme secret' }]);
+      } finally {
+        await acme.close();
+        await globex.close();
+        await pool.query(`DROP TABLE IF EXISTS ${collection} CASCADE`);
+        await pool.query(`REASSIGN OWNED BY ${role} TO CURRENT_USER`);
+        await pool.query(`DROP OWNED BY ${role}`);
+        await pool.query(`DROP ROLE ${role}`);
+      }
+    });
+
+    it('should assign the rows of a collection shared later to the tenant that converts it', async () => {
+      const suffix = Date.now();
+      const collection = `test_tenant_convert_${suffix}`;
+      const role = `test_convert_role_${suffix}`;
+      const unshared = createTenantServer(collection);
+      await unshared.storeMemory({ content: 'Written before sharing', key: 'old' });
+      await unshared.close();
+      await pool.query(`CREATE ROLE ${role} LOGIN PASSWORD 'tenant' NOSUPERUSER NOBYPASSRLS`);
+      await pool.query(`GRANT CREATE, USAGE ON SCHEMA public TO ${role}`);
+      await pool.query(`ALTER TABLE ${collection} OWNER TO ${role}`);
+      await pool.query(`ALTER TABLE mcp_collections OWNER TO ${role}`);
+      await pool.query(`ALTER FUNCTION mcp_notify_memory_change() OWNER TO ${role}`);
+
+      const acme = createTenantServer(collection, 'rls', 'acme', role, 'tenant');
+      const globex = createTenantServer(collection, 'rls', 'globex', role, 'tenant');
+      try {
+        const acmeSearch = JSON.parse((await acme.searchMemory({ query: 'sharing', mode: 'fulltext' })).content[0].text);
+        expect(acmeSearch.result.memories.map(m => m.id)).toEqual(['key:old']);
+        await globex.storeMemory({ content: 'Written after sharing', key: 'new' });
+
+        const rows = await pool.query(`SELECT tenant_id, id FROM ${collection} ORDER BY tenant_id`);
+        expect(rows.rows).toEqual([{ tenant_id: 'acme', id: 'key:old' }, { tenant_id: 'globex', id: 'key:new' }]);
+      } finally {
+        await acme.close();
+        await globex.close();
+        await pool.query(`DROP TABLE IF EXISTS ${collection} CASCADE`);
+        await pool.query(`REASSIGN OWNED BY ${role} TO CURRENT_USER`);
+        await pool.query(`DROP OWNED BY ${role}`);
+        await pool.query(`DROP ROLE ${role}`);
+      }
+    });
+  });
+
+  describe('Expiration', () => {
+    const createLocalServer = (collection) => new PostgresMCPServer(
+      host, port, database,
+      process.env.PGUSER || 'postgres', process.env.PGPASSWORD || 'postgres',
+      collection, 'local/hash', { embeddingProvider: { dimensions: 16 }, embeddingCache: { enabled: false } }
+    );
+    const parse = (result) => JSON.parse(result.content[0].text);
+
+    it('should hide expired memories at once and prune them later', async () => {
+      const collection = `test_expiry_${Date.now()}`;
+      const localServer = createLocalServer(collection);
+      try {
+        const shortLived = parse(await localServer.storeMemory({ content: 'Scratch note about caching', ttl: 1 }));
+        expect(shortLived.result.expires_at).toBeDefined();
+        await localServer.storeMemory({ content: 'Lasting note about caching' });
+
+        await new Promise(resolve => setTimeout(resolve, 1500));
+        const search = parse(await localServer.searchMemory({ query: 'note caching', mode: 'fulltext' }));
+        expect(search.result.memories.map(m => m.content)).toEqual(['Lasting note about caching']);
+
+        const stats = parse(await localServer.collectionStats({}));
+        expect(stats.result.expiry.expired).toBe(1);
+
+        const pruned = await localServer.pruneCollections();
+        expect(pruned.find(r => r.collection === collection).deleted).toBe(1);
+        expect(parse(await localServer.collectionStats({})).result.documents).toBe(1);
+      } finally {
+        await localServer.close();
+      }
+    });
+
+    it('should apply the default TTL unless a memory is pinned or extended', async () => {
+      const collection = `test_default_ttl_${Date.now()}`;
+      const localServer = createLocalServer(collection);
+      try {
+        await localServer.configureCollection({ default_ttl: 3600 });
+
+        const temporary = parse(await localServer.storeMemory({ content: 'Temporary', key: 'temp' }));
+        const expiresAt = new Date(temporary.result.expires_at).getTime();
+        expect(expiresAt).toBeGreaterThan(Date.now() + 3500 * 1000);
+
+        const pinned = parse(await localServer.storeMemory({ content: 'Keep forever', key: 'keep', pinned: true }));
+        expect(pinned.result.expires_at).toBeUndefined();
+        expect(pinned.result.pinned).toBe(true);
+
+        // Storing again without an expiry keeps the existing one
+        const restored = parse(await localServer.storeMemory({ content: 'Keep forever, edited', key: 'keep' }));
+        expect(restored.result.pinned).toBe(true);
+
+        const extended = parse(await localServer.updateMemory({ id: 'key:temp', ttl: 7 * 86400 }));
+        expect(new Date(extended.result.expires_at).getTime()).toBeGreaterThan(expiresAt);
+
+        const unpinned = parse(await localServer.updateMemory({ id: 'key:keep', pinned: false }));
+        expect(unpinned.result.pinned).toBeUndefined();
+        expect(unpinned.result.expires_at).toBeDefined();
+
+        const stats = parse(await localServer.collectionStats({}));
+        expect(stats.result.expiry).toMatchObject({ default_ttl: 3600, expiring: 2, expired: 0, pinned: 0 });
+      } finally {
+        await localServer.close();
+      }
+    });
+  });
+
+  describe('Recency', () => {
+    const createLocalServer = (collection) => new PostgresMCPServer(
+      host, port, database,
+      process.env.PGUSER || 'postgres', process.env.PGPASSWORD || 'postgres',
+      collection, 'local/hash', { embeddingProvider: { dimensions: 16 }, embeddingCache: { enabled: false } }
+    );
+    const parse = (result) => JSON.parse(result.content[0].text);
+
+    it('should filter by creation time and favor recent memories', async () => {
+      const collection = `test_recency_${Date.now()}`;
+      const localServer = createLocalServer(collection);
+      try {
+        await localServer.storeMemory({ content: 'The deploy target is staging server one', key: 'old' });
+        await localServer.storeMemory({ content: 'The deploy target is staging server two', key: 'new' });
+        await pool.query(`UPDATE ${collection} SET created_at = NOW() - INTERVAL '90 days' WHERE id = 'key:old'`);
+
+        const recent = parse(await localServer.searchMemory({
+          query: 'deploy target', mode: 'fulltext', created_after: new Date(Date.now() - 86400 * 1000).toISOString()
+        }));
+        expect(recent.result.memories.map(m => m.id)).toEqual(['key:new']);
+
+        const older = parse(await localServer.searchMemory({
+          query: 'deploy target', mode: 'fulltext', created_before: new Date(Date.now() - 86400 * 1000).toISOString()
+        }));
+        expect(older.result.memories.map(m => m.id)).toEqual(['key:old']);
+
+        const decayed = parse(await localServer.searchMemory({
+          query: 'deploy target', mode: 'hybrid', recency_half_life: 7 * 86400, recency_weight: 1
+        }));
+        expect(decayed.result.recency).toEqual({ half_life: 7 * 86400, weight: 1 });
+        expect(decayed.result.memories[0].id).toBe('key:new');
+        const old = decayed.result.memories.find(m => m.id === 'key:old');
+        expect(old.recency_decay).toBeLessThan(0.001);
+        expect(old.similarity).toBeLessThan(old.raw_similarity);
+
+        const invalid = await localServer.searchMemory({ query: 'deploy', created_after: 'yesterday' });
+        expect(invalid.isError).toBe(true);
+      } finally {
+        await localServer.close();
+      }
+    });
+  });
+
+  describe('Text Search Language', () => {
+    const createLocalServer = (collection, options = {}) => new PostgresMCPServer(
+      host, port, database,
+      process.env.PGUSER || 'postgres', process.env.PGPASSWORD || 'postgres',
+      collection, 'local/hash', { embeddingProvider: { dimensions: 16 }, embeddingCache: { enabled: false }, ...options }
+    );
+    const parse = (result) => JSON.parse(result.content[0].text);
+    const count = async (localServer, query) =>
+      parse(await localServer.searchMemory({ query, mode: 'fulltext' })).result.count;
+
+    it('should create collections in the configured language', async () => {
+      const collection = `test_language_${Date.now()}`;
+      const localServer = createLocalServer(collection, { textSearchLanguage: 'german' });
+      try {
+        await localServer.storeMemory({ content: 'Die Katzen schlafen im Garten' });
+        expect(await count(localServer, 'Katze')).toBe(1);
+
+        const stats = parse(await localServer.collectionStats({}));
+        expect(stats.result.settings.language).toBe('german');
+      } finally {
+        await localServer.close();
+      }
+    });
+
+    it('should rebuild the index when the language changes', async () => {
+      const collection = `test_language_change_${Date.now()}`;
+      const localServer = createLocalServer(collection);
+      try {
+        await localServer.storeMemory({ content: 'The dogs are running' });
+        expect(await count(localServer, 'run')).toBe(1);
+
+        const configured = parse(await localServer.configureCollection({ language: 'simple' }));
+        expect(configured.result.settings.language).toBe('simple');
+        // The simple configuration neither stems nor drops stop words
+        expect(await count(localServer, 'run')).toBe(0);
+        expect(await count(localServer, 'the running')).toBe(1);
+
+        const invalid = await localServer.configureCollection({ language: 'klingon' });
+        expect(invalid.isError).toBe(true);
+        expect(await count(localServer, 'running')).toBe(1);
+      } finally {
+        await localServer.close();
+      }
+    });
+  });
+
+  describe('Snippets', () => {
+    const createLocalServer = (collection) => new PostgresMCPServer(
+      host, port, database,
+      process.env.PGUSER || 'postgres', process.env.PGPASSWORD || 'postgres',
+      collection, 'local/hash', { embeddingProvider: { dimensions: 64 }, embeddingCache: { enabled: false } }
+    );
+    const parse = (result) => JSON.parse(result.content[0].text);
+    const filler = (topic, count) => Array.from({ length: count }, (_, i) => `${topic} sentence number ${i}.`).join(' ');
+
+    it('should highlight fulltext matches and cap content', async () => {
+      const collection = `test_snippets_${Date.now()}`;
+      const localServer = createLocalServer(collection);
+      try {
+        const content = `${filler('Gardening', 40)} The backup rotation runs every night. ${filler('Cooking', 40)}`;
+        await localServer.storeMemory({ content });
+
+        const search = parse(await localServer.searchMemory({
+          query: 'backup rotation', mode: 'fulltext', snippets: { max_fragments: 1, max_words: 12 }, max_content_chars: 50
+        }));
+        const [memory] = search.result.memories;
+        expect(memory.snippet).toContain('**backup** **rotation**');
+        expect(memory.snippet.split(/\s+/).length).toBeLessThanOrEqual(12);
+        expect(memory.content).toBe(content.slice(0, 50));
+        expect(memory.content_truncated).toBe(true);
+        expect(memory.content_length).toBe(content.length);
+      } finally {
+        await localServer.close();
+      }
+    });
+
+    it('should give semantic matches their closest passage', async () => {
+      const collection = `test_snippets_semantic_${Date.now()}`;
+      const localServer = createLocalServer(collection);
+      try {
+        const upgrade = 'Kubernetes cluster upgrade drains nodes first.';
+        await localServer.storeMemory({ content: `${filler('Gardening', 30)} ${Array(5).fill(upgrade).join(' ')}` });
+
+        const search = parse(await localServer.searchMemory({
+          query: upgrade, mode: 'semantic', snippets: { max_fragments: 1, max_words: 20 }, max_content_chars: 0
+        }));
+        const [memory] = search.result.memories;
+        expect(memory.snippet.split(' ').length).toBeLessThanOrEqual(20);
+        expect(memory.snippet).toContain('Kubernetes');
+        expect(memory.snippet).not.toContain('Gardening');
+        expect(memory.content).toBe('');
+
+        const hybrid = parse(await localServer.searchMemory({ query: 'Kubernetes', mode: 'hybrid', snippets: true }));
+        expect(hybrid.result.memories[0].snippet).toContain('**Kubernetes**');
+
+        const invalid = await localServer.searchMemory({ query: 'Kubernetes', snippets: { max_words: 1000 } });
+        expect(invalid.isError).toBe(true);
+      } finally {
+        await localServer.close();
+      }
+    });
+  });
+
+  describe('Distance Metrics', () => {
+    const createLocalServer = (collection, options = {}) => new PostgresMCPServer(
+      host, port, database,
+      process.env.PGUSER || 'postgres', process.env.PGPASSWORD || 'postgres',
+      collection, 'local/hash', { embeddingProvider: { dimensions: 64 }, embeddingCache: { enabled: false }, ...options }
+    );
+    const parse = (result) => JSON.parse(result.content[0].text);
+    const embeddingIndex = async (collection) => {
+      const result = await pool.query('SELECT indexdef FROM pg_indexes WHERE indexname = $1', [`${collection}_embedding_idx`]);
+      return result.rows[0].indexdef;
+    };
+
+    it('should search each metric with its operator and normalized scores', async () => {
+      for (const [distance, opclass] of [['cosine', 'vector_cosine_ops'], ['inner_product', 'vector_ip_ops'], ['l2', 'vector_l2_ops']]) {
+        const collection = `test_distance_${distance}_${Date.now()}`;
+        const localServer = createLocalServer(collection, { distanceMetric: distance });
+        try {
+          await localServer.storeMemory({ content: 'Rotate the backup keys every quarter' });
+          await localServer.storeMemory({ content: 'Lunch is served at noon' });
+          expect(await embeddingIndex(collection)).toContain(opclass);
+
+          const search = parse(await localServer.searchMemory({ query: 'Rotate the backup keys every quarter' }));
+          expect(search.result.distance).toBe(distance);
+          expect(search.result.memories[0].similarity).toBeCloseTo(1);
+          search.result.memories.forEach(memory => {
+            expect(memory.similarity).toBeGreaterThanOrEqual(0);
+            expect(memory.similarity).toBeLessThanOrEqual(1);
+          });
+
+          const strict = parse(await localServer.searchMemory({ query: 'Rotate the backup keys every quarter', min_similarity: 0.99 }));
+          expect(strict.result.memories.map(m => m.content)).toEqual(['Rotate the backup keys every quarter']);
+        } finally {
+          await localServer.close();
+        }
+      }
+    });
+
+    it('should normalize fulltext and hybrid scores', async () => {
+      const collection = `test_distance_scores_${Date.now()}`;
+      const localServer = createLocalServer(collection);
+      try {
+        await localServer.storeMemory({ content: 'backup backup backup keys' });
+        await localServer.storeMemory({ content: 'A note that mentions a backup once among many other words' });
+
+        for (const mode of ['fulltext', 'hybrid']) {
+          const search = parse(await localServer.searchMemory({ query: 'backup', mode }));
+          expect(search.result.count).toBe(2);
+          search.result.memories.forEach(memory => {
+            expect(memory.similarity).toBeGreaterThan(0);
+            expect(memory.similarity).toBeLessThanOrEqual(1);
+          });
+        }
+
+        const hybrid = parse(await localServer.searchMemory({ query: 'backup', mode: 'hybrid', fusion: 'weighted', min_similarity: 0.9 }));
+        expect(hybrid.result.memories.map(m => m.content)).toEqual(['backup backup backup keys']);
+
+        const invalid = await localServer.searchMemory({ query: 'backup', min_similarity: 2 });
+        expect(invalid.isError).toBe(true);
+      } finally {
+        await localServer.close();
+      }
+    });
+
+    it('should rebuild the vector index when the metric changes', async () => {
+      const collection = `test_distance_change_${Date.now()}`;
+      const localServer = createLocalServer(collection);
+      try {
+        const created = parse(await localServer.configureCollection({ distance: 'inner_product' }));
+        expect(created.result.settings.distance).toBe('inner_product');
+        expect(await embeddingIndex(collection)).toContain('vector_ip_ops');
+
+        const changed = parse(await localServer.configureCollection({ distance: 'l2' }));
+        expect(changed.result.settings.distance).toBe('l2');
+        expect(await embeddingIndex(collection)).toContain('vector_l2_ops');
+
+        expect((await localServer.configureCollection({ distance: 'hamming' })).isError).toBe(true);
+      } finally {
+        await localServer.close();
+      }
+    });
+  });
+
+  describe('Vector Indexes', () => {
+    const createLocalServer = (collection, options = {}) => new PostgresMCPServer(
+      host, port, database,
+      process.env.PGUSER || 'postgres', process.env.PGPASSWORD || 'postgres',
+      collection, 'local/hash', { embeddingProvider: { dimensions: 16 }, embeddingCache: { enabled: false }, ...options }
+    );
+    const parse = (result) => JSON.parse(result.content[0].text);
+    const embeddingIndex = async (collection) => {
+      const result = await pool.query('SELECT indexdef FROM pg_indexes WHERE indexname = $1', [`${collection}_embedding_idx`]);
+      return result.rows[0]?.indexdef ?? null;
+    };
+
+    it('should create collections with the configured index', async () => {
+      const collection = `test_index_ivfflat_${Date.now()}`;
+      const localServer = createLocalServer(collection);
+      try {
+        const created = parse(await localServer.configureCollection({ index: { type: 'ivfflat', lists: 4 } }));
+        expect(created.result.settings.index).toEqual({ type: 'ivfflat', lists: 4 });
+        expect(await embeddingIndex(collection)).toMatch(/USING ivfflat .*lists='?4'?/);
+
+        const changed = parse(await localServer.configureCollection({ index: { type: 'hnsw', m: 8, ef_construction: 32 } }));
+        expect(changed.result.settings.index).toEqual({ type: 'hnsw', m: 8, ef_construction: 32 });
+        expect(await embeddingIndex(collection)).toMatch(/USING hnsw .*m='?8'?.*ef_construction='?32'?/);
+
+        await localServer.configureCollection({ index: 'none' });
+        expect(await embeddingIndex(collection)).toBeNull();
+        await localServer.storeMemory({ content: 'Searched by a sequential scan' });
+        const search = parse(await localServer.searchMemory({ query: 'Searched by a sequential scan' }));
+        expect(search.result.memories[0].similarity).toBeCloseTo(1);
+
+        expect((await localServer.configureCollection({ index: { type: 'hnsw', lists: 4 } })).isError).toBe(true);
+      } finally {
+        await localServer.close();
+      }
+    });
+
+    it('should apply ef_search and probes to the search only', async () => {
+      const collection = `test_index_recall_${Date.now()}`;
+      const localServer = createLocalServer(collection);
+      try {
+        await localServer.storeMemory({ content: 'Tuned recall', metadata: { kind: 'note' } });
+
+        const tuned = parse(await localServer.searchMemory({ query: 'Tuned recall', filter: { kind: 'note' }, ef_search: 200 }));
+        expect(tuned.result.ef_search).toBe(200);
+        expect(tuned.result.count).toBe(1);
+
+        const hybrid = parse(await localServer.searchMemory({ query: 'Tuned recall', mode: 'hybrid', ef_search: 100 }));
+        expect(hybrid.result.ef_search).toBe(100);
+
+        const mismatched = parse(await localServer.searchMemory({ query: 'Tuned recall', probes: 5 }));
+        expect(mismatched.error).toContain('probes applies to ivfflat indexes');
+
+        await localServer.configureCollection({ index: { type: 'ivfflat', lists: 2 } });
+        const probed = parse(await localServer.searchMemory({ query: 'Tuned recall', probes: 2 }));
+        expect(probed.result.probes).toBe(2);
+        expect(probed.result.count).toBe(1);
+      } finally {
+        await localServer.close();
+      }
+    });
+
+    it('should reindex one or every collection', async () => {
+      const collection = `test_index_reindex_${Date.now()}`;
+      const localServer = createLocalServer(collection);
+      try {
+        await localServer.configureCollection({ index: 'ivfflat' });
+        await localServer.storeMemory({ content: 'Loaded in bulk' });
+
+        const results = await localServer.reindexCollections({ collection });
+        expect(results).toEqual([{ collection, index: 'ivfflat', duration_ms: expect.any(Number) }]);
+
+        const all = await localServer.reindexCollections();
+        expect(all.map(result => result.collection)).toContain(collection);
+
+        await expect(localServer.reindexCollections({ collection: `${collection}_missing` })).rejects.toThrow('does not exist');
+      } finally {
+        await localServer.close();
+      }
+    });
+  });
+
+  describe('Pagination', () => {
+    const createLocalServer = (collection, options = {}) => new PostgresMCPServer(
+      host, port, database,
+      process.env.PGUSER || 'postgres', process.env.PGPASSWORD || 'postgres',
+      collection, 'local/hash', { embeddingProvider: { dimensions: 16 }, embeddingCache: { enabled: false }, ...options }
+    );
+    const parse = (result) => JSON.parse(result.content[0].text);
+
+    it('should list memories a page at a time by creation time', async () => {
+      const collection = `test_list_${Date.now()}`;
+      const localServer = createLocalServer(collection);
+      try {
+        const items = Array.from({ length: 5 }, (_, i) => ({ content: `Note ${i}`, metadata: { project: i % 2 ? 'beta' : 'alpha' } }));
+        await localServer.storeMemories({ items });
+        await localServer.storeMemory({ content: 'Expired note', expires_at: '2000-01-01T00:00:00Z' });
+
+        const ids = [];
+        let cursor;
+        do {
+          const page = parse(await localServer.listMemories({ order: 'oldest', limit: 2, ...(cursor && { cursor }) }));
+          expect(page.success).toBe(true);
+          expect(page.result.count).toBeLessThanOrEqual(2);
+          ids.push(...page.result.memories.map(memory => memory.content));
+          cursor = page.result.next_cursor;
+        } while (cursor);
+        // Memories stored in one batch share created_at and are ordered by id
+        expect(ids.sort()).toEqual(['Note 0', 'Note 1', 'Note 2', 'Note 3', 'Note 4']);
+
+        const alpha = parse(await localServer.listMemories({ filter: { project: 'alpha' } }));
+        expect(alpha.result.count).toBe(3);
+        expect(alpha.result.next_cursor).toBeNull();
+
+        const capped = parse(await localServer.listMemories({ limit: 1, max_content_chars: 2 }));
+        expect(capped.result.memories[0].content).toHaveLength(2);
+        expect(capped.result.memories[0].content_truncated).toBe(true);
+
+        const reversed = await localServer.listMemories({ order: 'newest', cursor: parse(await localServer.listMemories({ order: 'oldest', limit: 1 })).result.next_cursor });
+        expect(reversed.isError).toBe(true);
+        expect((await localServer.listMemories({ limit: 0 })).isError).toBe(true);
+        expect((await localServer.listMemories({ collection: `${collection}_missing` })).isError).toBe(true);
+      } finally {
+        await localServer.close();
+      }
+    });
+
+    it('should page through search results without embedding the query again', async () => {
+      const collection = `test_search_pages_${Date.now()}`;
+      const localServer = createLocalServer(collection);
+      try {
+        await localServer.storeMemories({
+          items: Array.from({ length: 5 }, (_, i) => ({ content: `Deployment checklist step ${i}` })),
+        });
+
+        const first = parse(await localServer.searchMemory({ query: 'deployment checklist', limit: 2 }));
+        expect(first.result.count).toBe(2);
+        expect(first.result.next_cursor).toBeTruthy();
+
+        const contents = first.result.memories.map(memory => memory.content);
+        let cursor = first.result.next_cursor;
+        while (cursor) {
+          const page = parse(await localServer.searchMemory({ query: 'deployment checklist', limit: 2, cursor }));
+          expect(page.success).toBe(true);
+          expect(page.result.embedding_cache).toEqual({ hits: 0, misses: 0 });
+          contents.push(...page.result.memories.map(memory => memory.content));
+          cursor = page.result.next_cursor;
+        }
+        expect(new Set(contents).size).toBe(5);
+
+        // The cursor alone is enough, but other arguments must match it
+        const alone = parse(await localServer.searchMemory({ cursor: first.result.next_cursor }));
+        expect(alone.result.offset).toBe(2);
+        expect(alone.result.memories.map(memory => memory.content)).toEqual(contents.slice(2, 4));
+        const changed = parse(await localServer.searchMemory({ query: 'something else', cursor: first.result.next_cursor }));
+        expect(changed.error).toContain('another query');
+
+        const fulltext = parse(await localServer.searchMemory({ query: 'checklist', mode: 'fulltext', limit: 3 }));
+        const rest = parse(await localServer.searchMemory({ cursor: fulltext.result.next_cursor }));
+        expect(rest.result.count).toBe(2);
+        expect(rest.result.next_cursor).toBeNull();
+      } finally {
+        await localServer.close();
+      }
+    });
+  });
+
+  describe('Export and Import', () => {
+    const createLocalServer = (collection, options = {}) => new PostgresMCPServer(
+      host, port, database,
+      process.env.PGUSER || 'postgres', process.env.PGPASSWORD || 'postgres',
+      collection, 'local/hash', { embeddingProvider: { dimensions: 16 }, embeddingCache: { enabled: false }, ...options }
+    );
+    const parse = (result) => JSON.parse(result.content[0].text);
+    const exportRecords = async (server, collection, options = {}) => {
+      const records = [];
+      await server.exportCollection(collection, { ...options, write: record => { records.push(JSON.parse(JSON.stringify(record))); } });
+      return records;
+    };
+
+    it('should round-trip memories, chunks, settings and timestamps', async () => {
+      const source = `test_export_${Date.now()}`;
+      const target = `${source}_copy`;
+      const sourceServer = createLocalServer(source);
+      const targetServer = createLocalServer(target);
+      try {
+        await sourceServer.configureCollection({ dedup: 'skip', language: 'simple', chunking: { max_tokens: 20, overlap_tokens: 2 } });
+        await sourceServer.storeMemory({ content: 'Short note about backups', metadata: { project: 'alpha' }, pinned: true });
+        await sourceServer.storeMemory({ content: 'A much longer document. '.repeat(20), key: 'long-doc' });
+        await sourceServer.storeMemory({ content: 'Already expired', expires_at: '2000-01-01T00:00:00Z' });
+
+        const records = await exportRecords(sourceServer, source, { embeddings: true });
+        expect(records[0]).toMatchObject({ type: 'collection', format_version: 1, name: source, embedding_model: 'local/hash', embeddings: true });
+        expect(records[0].settings).toMatchObject({ dedup: 'skip', language: 'simple' });
+        const memories = records.slice(1);
+        expect(memories.some(record => record.content === 'Already expired')).toBe(false);
+        expect(memories.filter(record => record.parent_id === 'key:long-doc').length).toBeGreaterThan(1);
+        expect(memories.find(record => record.id === 'key:long-doc').chunk_count).toBeGreaterThan(1);
+
+        const summary = await targetServer.importCollection(target, records);
+        expect(summary).toMatchObject({ created: true, reembedded: false, imported: memories.length, skipped: 0, failed: 0, status: 'complete' });
+
+        const settings = parse(await targetServer.collectionStats({})).result.settings;
+        expect(settings).toMatchObject({ dedup: 'skip', language: 'simple' });
+        const copied = await pool.query(`SELECT id, created_at, pinned FROM ${target} WHERE parent_id IS NULL ORDER BY id`);
+        const original = await pool.query(`SELECT id, created_at, pinned FROM ${source} WHERE parent_id IS NULL AND (expires_at IS NULL OR expires_at > NOW()) ORDER BY id`);
+        expect(copied.rows).toEqual(original.rows);
+
+        const search = parse(await targetServer.searchMemory({ query: 'Short note about backups' }));
+        expect(search.result.memories[0].similarity).toBeCloseTo(1);
+
+        // Running the import again skips every row
+        const again = await targetServer.importCollection(target, records);
+        expect(again).toMatchObject({ created: false, imported: 0, skipped: memories.length });
+      } finally {
+        await sourceServer.close();
+        await targetServer.close();
+      }
+    });
+
+    it('should embed again for another model and resume partial imports', async () => {
+      const source = `test_export_model_${Date.now()}`;
+      const target = `${source}_copy`;
+      const sourceServer = createLocalServer(source);
+      const targetServer = createLocalServer(target, { embeddingProvider: { dimensions: 32 } });
+      try {
+        await sourceServer.storeMemories({ items: Array.from({ length: 5 }, (_, i) => ({ content: `Exported memory ${i}` })) });
+        const records = await exportRecords(sourceServer, source, { embeddings: true });
+
+        // An import interrupted after two rows
+        await targetServer.importCollection(target, records.slice(0, 3));
+        const summary = await targetServer.importCollection(target, records, { batchSize: 2 });
+        expect(summary).toMatchObject({ reembedded: true, imported: 3, skipped: 2, status: 'complete' });
+        const dims = await pool.query(`SELECT DISTINCT vector_dims(embedding) AS dims FROM ${target}`);
+        expect(dims.rows).toEqual([{ dims: 32 }]);
+
+        await expect(targetServer.importCollection(target, [{ type: 'memory', id: 'x', content: 'x' }]))
+          .rejects.toThrow('Not a collection export');
+        await expect(targetServer.importCollection(target, [records[0], { type: 'memory', id: 'key:x' }]))
+          .rejects.toThrow('Record 2: content must be a string');
+        await expect(targetServer.importCollection(target, [records[0], { type: 'memory', id: 'x', content: 'x' }]))
+          .rejects.toThrow('Record 2: Invalid memory ID format');
+        await expect(targetServer.importCollection(target, [records[0], { type: 'memory', id: 'key:x_part1', parent_id: 'key:x', content: 'x' }]))
+          .rejects.toThrow('Record 2: the id of a chunk must be <parent_id>_chunk<n>');
+        await expect(targetServer.importCollection(target, [records[0], { type: 'memory', id: 'key:x', content: 'x', metadata: ['tag'] }]))
+          .rejects.toThrow('Record 2: metadata must be an object');
+      } finally {
+        await sourceServer.close();
+        await targetServer.close();
+      }
+    });
+
+    it('should import a record repeated within a batch once', async () => {
+      const source = `test_export_repeat_${Date.now()}`;
+      const target = `${source}_copy`;
+      const sourceServer = createLocalServer(source);
+      const targetServer = createLocalServer(target);
+      try {
+        await sourceServer.storeMemories({ items: [{ content: 'Kept once' }, { content: 'Also kept' }] });
+        const [header, ...memories] = await exportRecords(sourceServer, source, { embeddings: true });
+        const summary = await targetServer.importCollection(target, [header, memories[0], ...memories]);
+        expect(summary).toMatchObject({ imported: 2, skipped: 1, status: 'complete' });
+      } finally {
+        await sourceServer.close();
+        await targetServer.close();
+      }
+    });
+  });
+
+  describe('Structured Output', () => {
+    const createLocalServer = (collection, options = {}) => new PostgresMCPServer(
+      host, port, database,
+      process.env.PGUSER || 'postgres', process.env.PGPASSWORD || 'postgres',
+      collection, 'local/hash', { embeddingProvider: { dimensions: 16 }, embeddingCache: { enabled: false }, ...options }
+    );
+
+    // The SDK client checks structuredContent against each tool's outputSchema and
+    // throws when it does not match
+    const connectClient = async (localServer) => {
+      const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+      await localServer.server.connect(serverTransport);
+      const client = new Client({ name: 'integration-test', version: '1.0.0' });
+      await client.connect(clientTransport);
+      return client;
+    };
+
+    it('should return structured results matching every tool\'s outputSchema', async () => {
+      const collection = `test_structured_${Date.now()}`;
+      const localServer = createLocalServer(collection);
+      const client = await connectClient(localServer);
+      const call = async (name, args = {}) => {
+        const result = await client.callTool({ name, arguments: args });
+        expect(JSON.parse(result.content[0].text)).toEqual(result.structuredContent);
+        return result.structuredContent;
+      };
+      try {
+        const { tools } = await client.listTools();
+        expect(tools.every(tool => tool.outputSchema?.type === 'object')).toBe(true);
+
+        expect((await call('configure_collection', { chunking: { max_tokens: 20, overlap_tokens: 2 } })).success).toBe(true);
+        const stored = await call('store_memory', { content: 'Backups run nightly at two', metadata: { project: 'ops' }, key: 'backups' });
+        expect(stored.result).toMatchObject({ id: 'key:backups', action: 'inserted' });
+        await call('store_memory', { content: 'A much longer document about restores. '.repeat(10), pinned: true });
+        const batch = await call('store_memories', { items: [{ content: 'Batched note' }, { content: '' }] });
+        expect(batch.result.items[1]).toMatchObject({ success: false, code: 'INVALID_ARGUMENT' });
+
+        const search = await call('search_memory', { query: 'backups', mode: 'hybrid', results: 'documents', snippets: true, limit: 1 });
+        expect(search.result.memories[0].id).toBe('key:backups');
+        expect(search.result.next_cursor).toEqual(expect.any(String));
+        await call('search_memory', { query: 'restores', recency_half_life: 3600, max_content_chars: 10 });
+        expect((await call('list_memories', { limit: 2 })).result.count).toBe(2);
+        await call('update_memory', { id: 'key:backups', metadata: { owner: 'sam' } });
+        expect((await call('collection_stats')).result.documents).toBe(3);
+        expect((await call('list_collections')).result.collections.map(c => c.name)).toContain(collection);
+        expect((await call('forget_memory', { id: 'key:backups' })).result.id).toBe('key:backups');
+      } finally {
+        await client.close();
+        await localServer.close();
+      }
+    });
+
+    it('should report failures with an error code', async () => {
+      const collection = `test_error_codes_${Date.now()}`;
+      const localServer = createLocalServer(collection, { createCollections: false });
+      const client = await connectClient(localServer);
+      const call = async (name, args) => {
+        const result = await client.callTool({ name, arguments: args });
+        expect(result.isError).toBe(true);
+        return result.structuredContent;
+      };
+      try {
+        expect(await call('search_memory', { query: 'anything' })).toMatchObject({ success: false, operation: 'search', code: 'COLLECTION_NOT_FOUND' });
+
+        await localServer.storeMemory({ content: 'Creates the collection' });
+        expect((await call('search_memory', { query: 'anything', min_similarity: 2 })).code).toBe('INVALID_ARGUMENT');
+        expect((await call('forget_memory', { id: 'key:missing' })).code).toBe('MEMORY_NOT_FOUND');
+        expect((await call('list_memories', { cursor: 'not a cursor' })).code).toBe('INVALID_ARGUMENT');
+        expect((await call('store_memory', {})).code).toBe('INVALID_ARGUMENT');
+        expect((await call('store_memory', { content: 42 })).error).toBe('content must be a non-empty string');
+        expect((await call('update_memory', { id: 'key:missing', content: { text: 'x' } })).code).toBe('INVALID_ARGUMENT');
+        expect((await call('forget_memory', { collection: 'no-such table', id: 'key:missing' })).code).toBe('INVALID_ARGUMENT');
+        expect((await call('update_memory', { collection: 'notes;drop', id: 'key:missing', content: 'x' })).code).toBe('INVALID_ARGUMENT');
+        expect(await call('no_such_tool', {})).toMatchObject({ operation: 'no_such_tool', code: 'INVALID_ARGUMENT' });
+
+        await localServer.storeMemory({ content: 'Forgotten under any model', key: 'any-model' });
+        const otherModel = createLocalServer(collection, { embeddingProvider: { dimensions: 32 } });
+        try {
+          const refused = JSON.parse((await otherModel.searchMemory({ query: 'anything' })).content[0].text);
+          expect(refused.code).toBe('EMBEDDING_MODEL_MISMATCH');
+          expect((await otherModel.forgetMemory({ id: 'key:any-model' })).isError).toBeUndefined();
+        } finally {
+          await otherModel.close();
+        }
+
+        // Calls arriving during shutdown are refused before any tool runs
+        localServer.shuttingDown = true;
+        await expect(client.callTool({ name: 'list_collections', arguments: {} })).rejects.toMatchObject({ code: ErrorCode.InvalidRequest });
+      } finally {
+        await client.close();
+        await localServer.close();
+      }
+    });
   });
 
   describe('Error Handling', () => {
@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import { compileMetadataFilter } from '../src/metadata-filter.js';
+
+describe('compileMetadataFilter', () => {
+  it('should return null when there is no filter', () => {
+    const params = [];
+    expect(compileMetadataFilter(undefined, params)).toBeNull();
+    expect(compileMetadataFilter(null, params)).toBeNull();
+    expect(params).toEqual([]);
+  });
+
+  it('should compile plain values to JSONB containment', () => {
+    const params = [];
+    const sql = compileMetadataFilter({ project: 'alpha', 'owner.team': 'search' }, params);
+
+    expect(sql).toBe('metadata_json @> $1::jsonb AND metadata_json @> $2::jsonb');
+    expect(params).toEqual([
+      JSON.stringify({ project: 'alpha' }),
+      JSON.stringify({ owner: { team: 'search' } })
+    ]);
+  });
+
+  it('should number parameters after existing ones', () => {
+    const params = ['[0.1,0.2]'];
+    const sql = compileMetadataFilter({ project: 'alpha' }, params);
+
+    expect(sql).toBe('metadata_json @> $2::jsonb');
+    expect(params).toHaveLength(2);
+  });
+
+  it('should compile comparison, containment and existence operators', () => {
+    const params = [];
+    const sql = compileMetadataFilter({
+      priority: { $gte: 2, $lt: 5 },
+      tags: { $contains: 'bug' },
+      archived: { $exists: false }
+    }, params);
+
+    expect(sql).toContain("jsonb_typeof(metadata_json #> $1::text[]) = 'number'");
+    expect(sql).toContain('>= $2::numeric');
+    expect(sql).toContain('< $4::numeric');
+    expect(sql).toContain('metadata_json @> $5::jsonb');
+    expect(sql).toContain('metadata_json #> $6::text[] IS NULL');
+    expect(params).toEqual([
+      ['priority'], 2,
+      ['priority'], 5,
+      JSON.stringify({ tags: ['bug'] }),
+      ['archived']
+    ]);
+  });
+
+  it('should combine filters with $or and $not', () => {
+    const params = [];
+    const sql = compileMetadataFilter({
+      $or: [{ project: 'alpha' }, { project: 'beta' }],
+      $not: { status: { $in: ['done', 'wontfix'] } }
+    }, params);
+
+    expect(sql).toBe(
+      '((metadata_json @> $1::jsonb) OR (metadata_json @> $2::jsonb)) AND ' +
+      'NOT (COALESCE(metadata_json #> $3::text[] IN (SELECT jsonb_array_elements($4::jsonb)), FALSE))'
+    );
+  });
+
+  it('should never interpolate keys or values into the SQL text', () => {
+    const params = [];
+    const sql = compileMetadataFilter({ "x'); DROP TABLE t; --": { $gt: "'; DROP TABLE t; --" } }, params);
+
+    expect(sql).not.toContain('DROP');
+    expect(params[0]).toEqual(["x'); DROP TABLE t; --"]);
+  });
+
+  it('should reject unknown operators and malformed operands', () => {
+    expect(() => compileMetadataFilter({ priority: { $regex: 'a.*' } }, [])).toThrow('Unknown filter operator: $regex');
+    expect(() => compileMetadataFilter({ $xor: [] }, [])).toThrow('Unknown filter operator: $xor');
+    expect(() => compileMetadataFilter({ status: { $in: 'done' } }, [])).toThrow('requires an array');
+    expect(() => compileMetadataFilter({ $or: [] }, [])).toThrow('non-empty array');
+    expect(() => compileMetadataFilter('project = alpha', [])).toThrow('Filter must be an object');
+  });
+});
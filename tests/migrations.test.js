@@ -0,0 +1,28 @@
+import { describe, it, expect } from 'vitest';
+import { MIGRATIONS, SCHEMA_VERSION } from '../src/migrations.js';
+
+describe('MIGRATIONS', () => {
+  it('should number steps consecutively from 1 up to SCHEMA_VERSION', () => {
+    expect(MIGRATIONS.map(migration => migration.version))
+      .toEqual(Array.from({ length: SCHEMA_VERSION }, (_, i) => i + 1));
+  });
+
+  it('should describe every step', () => {
+    for (const migration of MIGRATIONS) {
+      expect(migration.description).toBeTruthy();
+      expect(typeof migration.up).toBe('function');
+    }
+  });
+
+  it('should only use re-runnable DDL', async () => {
+    // Collections upgraded before versions were recorded replay every step
+    const statements = [];
+    const client = { query: async (sql) => { statements.push(sql); return { rows: [] }; } };
+    for (const migration of MIGRATIONS) {
+      await migration.up(client, 'collection');
+    }
+    for (const sql of statements.filter(sql => /\b(CREATE|ALTER)\b/.test(sql))) {
+      expect(sql).toMatch(/IF NOT EXISTS|OR REPLACE|DROP \w+ IF EXISTS/);
+    }
+  });
+});
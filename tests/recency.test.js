@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import { compileTimeRange, getRecencyOptions, applyRecencyDecay } from '../src/recency.js';
+
+describe('compileTimeRange', () => {
+  it('should compile created_at bounds into parameterized conditions', () => {
+    const params = ['query'];
+    const conditions = compileTimeRange({ created_after: '2024-01-01T00:00:00Z', created_before: '2024-02-01' }, params);
+    expect(conditions).toEqual(['created_at > $2', 'created_at < $3']);
+    expect(params.slice(1)).toEqual([new Date('2024-01-01T00:00:00Z'), new Date('2024-02-01')]);
+  });
+
+  it('should compile nothing without bounds', () => {
+    const params = [];
+    expect(compileTimeRange({}, params)).toEqual([]);
+    expect(params).toEqual([]);
+  });
+
+  it('should reject invalid or empty ranges', () => {
+    expect(() => compileTimeRange({ created_after: 'last week' }, [])).toThrow('Invalid created_after');
+    expect(() => compileTimeRange({ created_before: 1704067200 }, [])).toThrow('Invalid created_before');
+    expect(() => compileTimeRange({ created_after: '2024-02-01', created_before: '2024-01-01' }, []))
+      .toThrow('created_after must be earlier than created_before');
+  });
+});
+
+describe('recency decay', () => {
+  const now = Date.parse('2024-06-01T00:00:00Z');
+  const daysAgo = (days) => new Date(now - days * 86400 * 1000).toISOString();
+
+  it('should validate recency options', () => {
+    expect(getRecencyOptions({})).toBeNull();
+    expect(getRecencyOptions({ recency_half_life: 3600 })).toEqual({ halfLife: 3600, weight: 0.5 });
+    expect(getRecencyOptions({ recency_half_life: 3600, recency_weight: 1 })).toEqual({ halfLife: 3600, weight: 1 });
+    expect(() => getRecencyOptions({ recency_half_life: 0 })).toThrow('Invalid recency_half_life');
+    expect(() => getRecencyOptions({ recency_half_life: 60, recency_weight: 1.5 })).toThrow('Invalid recency_weight');
+    expect(() => getRecencyOptions({ recency_weight: 0.5 })).toThrow('requires recency_half_life');
+  });
+
+  it('should halve the decayed share of the score every half-life', () => {
+    const [memory] = applyRecencyDecay(
+      [{ id: 'a', similarity: 0.8, created_at: daysAgo(7) }],
+      { halfLife: 7 * 86400, weight: 0.5 },
+      now
+    );
+    expect(memory.raw_similarity).toBe(0.8);
+    expect(memory.recency_decay).toBeCloseTo(0.5);
+    expect(memory.similarity).toBeCloseTo(0.8 * 0.75);
+  });
+
+  it('should let recent memories overtake slightly more similar stale ones', () => {
+    const memories = [
+      { id: 'stale', similarity: 0.9, created_at: daysAgo(60) },
+      { id: 'recent', similarity: 0.85, created_at: daysAgo(1) },
+    ];
+    const ranked = applyRecencyDecay(memories, { halfLife: 30 * 86400, weight: 0.5 }, now);
+    expect(ranked.map(m => m.id)).toEqual(['recent', 'stale']);
+
+    const unweighted = applyRecencyDecay(memories, { halfLife: 30 * 86400, weight: 0 }, now);
+    expect(unweighted.map(m => m.id)).toEqual(['stale', 'recent']);
+    expect(unweighted[0].similarity).toBe(0.9);
+  });
+});
@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeSnippets, headlineOptions, splitPassages, closestPassages, truncateContent, MAX_PASSAGES,
+} from '../src/snippets.js';
+
+describe('normalizeSnippets', () => {
+  it('should turn snippets on with defaults or the given sizes', () => {
+    expect(normalizeSnippets(undefined)).toBeNull();
+    expect(normalizeSnippets(false)).toBeNull();
+    expect(normalizeSnippets(true)).toEqual({ max_fragments: 2, max_words: 30 });
+    expect(normalizeSnippets({ max_words: 12 })).toEqual({ max_fragments: 2, max_words: 12 });
+  });
+
+  it('should reject invalid sizes', () => {
+    expect(() => normalizeSnippets('yes')).toThrow('snippets must be a boolean or an object');
+    expect(() => normalizeSnippets({ max_fragments: 0 })).toThrow('Invalid snippets.max_fragments');
+    expect(() => normalizeSnippets({ max_words: 2.5 })).toThrow('Invalid snippets.max_words');
+  });
+
+  it('should build ts_headline options', () => {
+    expect(headlineOptions({ max_fragments: 3, max_words: 20 })).toBe(
+      'MaxFragments=3, MaxWords=20, MinWords=10, StartSel="**", StopSel="**", FragmentDelimiter=" ... "'
+    );
+  });
+});
+
+describe('passages', () => {
+  const words = (count, word = 'word') => Array.from({ length: count }, (_, i) => `${word}${i}`).join(' ');
+
+  it('should split text into passages of max_words words', () => {
+    const passages = splitPassages(words(25), 10);
+    expect(passages).toHaveLength(3);
+    expect(passages[2]).toBe('word20 word21 word22 word23 word24');
+  });
+
+  it('should lengthen passages of long texts to bound their number', () => {
+    expect(splitPassages(words(1000), 10)).toHaveLength(MAX_PASSAGES);
+  });
+
+  it('should pick the passages closest to the query, in document order', () => {
+    const passages = ['first passage', 'second passage', 'third passage'];
+    const embeddings = [[1, 0], [0, 1], [0.1, 0.9]];
+    expect(closestPassages(passages, embeddings, [0, 1], { max_fragments: 1, max_words: 10 }, 'l2')).toBe('second passage');
+    expect(closestPassages(passages, embeddings, [0, 1], { max_fragments: 2, max_words: 10 }, 'cosine'))
+      .toBe('second passage ... third passage');
+    expect(closestPassages(passages, embeddings, [0, 1], { max_fragments: 1, max_words: 1 }, 'inner_product')).toBe('second');
+  });
+
+  it('should fall back to the first passages without embeddings', () => {
+    expect(closestPassages(['a', 'b'], [null, null], null, { max_fragments: 1, max_words: 10 }, 'cosine')).toBe('a');
+  });
+});
+
+describe('truncateContent', () => {
+  it('should cap content and report its full length', () => {
+    const memory = { id: 'm', content: 'abcdef' };
+    expect(truncateContent(memory, 10)).toBe(memory);
+    expect(truncateContent(memory, 3)).toEqual({ id: 'm', content: 'abc', content_truncated: true, content_length: 6 });
+    expect(truncateContent(memory, 0).content).toBe('');
+  });
+
+  it('should not split surrogate pairs', () => {
+    expect(truncateContent({ content: 'a😀b' }, 2).content).toBe('a');
+  });
+});
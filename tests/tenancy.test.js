@@ -0,0 +1,112 @@
+import { describe, it, expect } from 'vitest';
+import { Tenancy, validateTenantId } from '../src/tenancy.js';
+
+// Records the statements sent to a pooled client
+function fakePool() {
+  const statements = [];
+  const params = [];
+  const client = {
+    query: async (text, values) => {
+      statements.push(text.trim());
+      params.push(values);
+      if (text.includes('fail')) {
+        throw new Error('query failed');
+      }
+      return { rows: [] };
+    },
+    release: () => statements.push('release'),
+  };
+  return { statements, params, connect: async () => client, end: async () => {} };
+}
+
+describe('Tenancy', () => {
+  it('should validate tenant IDs', () => {
+    expect(() => validateTenantId(undefined)).toThrow('--tenant is required');
+    expect(() => validateTenantId('Acme')).toThrow('Invalid tenant ID');
+    expect(() => validateTenantId("acme'; DROP TABLE x; --")).toThrow('Invalid tenant ID');
+    expect(() => validateTenantId('acme_01')).not.toThrow();
+    expect(() => new Tenancy('tables', 'acme')).toThrow('Unknown isolation mode');
+  });
+
+  it('should scope schema tenants through the search path', () => {
+    const tenancy = new Tenancy('schema', 'acme');
+    expect(tenancy.schema).toBe('tenant_acme');
+    expect(tenancy.scope).toBe('SET LOCAL search_path TO tenant_acme, public');
+    expect(tenancy.ownsChange({ schema: 'tenant_acme' })).toBe(true);
+    expect(tenancy.ownsChange({ schema: 'tenant_other' })).toBe(false);
+  });
+
+  it('should scope row-level security tenants through a setting', () => {
+    const tenancy = new Tenancy('rls', 'acme');
+    expect(tenancy.scope).toBe("SET LOCAL mcp.tenant_id = 'acme'");
+    expect(tenancy.ownsChange({ schema: 'public', tenant: 'acme' })).toBe(true);
+    expect(tenancy.ownsChange({ schema: 'public', tenant: 'other' })).toBe(false);
+  });
+
+  it('should wrap single statements in a scoped transaction', async () => {
+    const pool = fakePool();
+    const scoped = new Tenancy('rls', 'acme').wrapPool(pool);
+
+    await scoped.query('SELECT 1');
+    expect(pool.statements).toEqual(['BEGIN', "SET LOCAL mcp.tenant_id = 'acme'", 'SELECT 1', 'COMMIT', 'release']);
+
+    pool.statements.length = 0;
+    await expect(scoped.query('SELECT fail')).rejects.toThrow('query failed');
+    expect(pool.statements).toEqual(['BEGIN', "SET LOCAL mcp.tenant_id = 'acme'", 'SELECT fail', 'ROLLBACK', 'release']);
+  });
+
+  it('should scope transactions opened by the caller once', async () => {
+    const pool = fakePool();
+    const client = await new Tenancy('schema', 'acme').wrapPool(pool).connect();
+
+    await client.query('BEGIN');
+    await client.query('SELECT 1');
+    await client.query('SELECT 2');
+    await client.query('COMMIT');
+    await client.query('SELECT 3');
+    client.release();
+
+    expect(pool.statements).toEqual([
+      'BEGIN', 'SET LOCAL search_path TO tenant_acme, public', 'SELECT 1', 'SELECT 2', 'COMMIT',
+      'BEGIN', 'SET LOCAL search_path TO tenant_acme, public', 'SELECT 3', 'COMMIT',
+      'release',
+    ]);
+  });
+
+  it('should keep the caller\'s transaction open across savepoints', async () => {
+    const pool = fakePool();
+    const client = await new Tenancy('rls', 'acme').wrapPool(pool).connect();
+
+    await client.query('BEGIN');
+    await client.query('SAVEPOINT store_batch');
+    await client.query('ROLLBACK TO SAVEPOINT store_batch');
+    await client.query('INSERT 1');
+    await client.query('RELEASE SAVEPOINT store_batch');
+    await client.query('SAVEPOINT store_batch');
+    await client.query('INSERT 2');
+    await client.query('ROLLBACK');
+    client.release();
+
+    expect(pool.statements).toEqual([
+      'BEGIN', "SET LOCAL mcp.tenant_id = 'acme'",
+      'SAVEPOINT store_batch', 'ROLLBACK TO SAVEPOINT store_batch', 'INSERT 1',
+      'RELEASE SAVEPOINT store_batch', 'SAVEPOINT store_batch', 'INSERT 2', 'ROLLBACK',
+      'release',
+    ]);
+  });
+
+  it('should assign the rows of a table it secures to the tenant before setting the default', async () => {
+    const pool = fakePool();
+    await new Tenancy('rls', 'acme').secureTable(pool, 'notes');
+
+    const addColumn = pool.statements.findIndex(text => text.includes('ADD COLUMN'));
+    const backfill = pool.statements.findIndex(text => text.startsWith('UPDATE notes SET tenant_id'));
+    const setDefault = pool.statements.findIndex(text => text.includes('SET DEFAULT'));
+    expect(pool.statements[addColumn]).toBe('ALTER TABLE notes ADD COLUMN IF NOT EXISTS tenant_id TEXT;');
+    expect(pool.params[backfill]).toEqual(['acme']);
+    expect(addColumn).toBeLessThan(backfill);
+    expect(backfill).toBeLessThan(setDefault);
+    expect(pool.statements[setDefault]).toContain("SET DEFAULT current_setting('mcp.tenant_id', true)");
+    expect(pool.statements[setDefault]).toContain('SET NOT NULL');
+  });
+});
@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import { ERROR_CODES, ToolError, invalidArgument, errorCode } from '../src/tool-errors.js';
+import { OUTPUT_SCHEMAS, toolResult, toolError } from '../src/tool-output.js';
+import { normalizeVectorIndex } from '../src/vector-index.js';
+
+describe('errorCode', () => {
+  it('should use the code of tool errors', () => {
+    expect(errorCode(new ToolError('MEMORY_NOT_FOUND', 'gone'))).toBe('MEMORY_NOT_FOUND');
+    expect(errorCode(invalidArgument('bad'))).toBe('INVALID_ARGUMENT');
+    expect(() => normalizeVectorIndex('btree')).toThrow(ToolError);
+  });
+
+  it('should classify PostgreSQL errors by SQLSTATE', () => {
+    const dataException = Object.assign(new Error('invalid input syntax for type timestamp'), { severity: 'ERROR', code: '22007' });
+    const undefinedTable = Object.assign(new Error('relation does not exist'), { severity: 'ERROR', code: '42P01' });
+    const refused = Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED', syscall: 'connect' });
+    expect(errorCode(dataException)).toBe('INVALID_ARGUMENT');
+    expect(errorCode(undefinedTable)).toBe('DATABASE_ERROR');
+    expect(errorCode(refused)).toBe('DATABASE_ERROR');
+  });
+
+  it('should treat anything else as internal', () => {
+    expect(errorCode(new TypeError('x is undefined'))).toBe('INTERNAL_ERROR');
+    expect(errorCode(new Error('unexpected'))).toBe('INTERNAL_ERROR');
+  });
+});
+
+describe('tool responses', () => {
+  it('should carry the same object as text and structuredContent', () => {
+    const created = new Date('2024-01-01T00:00:00Z');
+    const response = toolResult('delete', { id: 'mem_1', collection: 'notes', created_at: created });
+    expect(response.structuredContent).toEqual({
+      success: true,
+      operation: 'delete',
+      result: { id: 'mem_1', collection: 'notes', created_at: '2024-01-01T00:00:00.000Z' },
+    });
+    expect(JSON.parse(response.content[0].text)).toEqual(response.structuredContent);
+    expect(response.isError).toBeUndefined();
+  });
+
+  it('should report errors with their code', () => {
+    const response = toolError('search', new ToolError('COLLECTION_NOT_FOUND', 'Collection "notes" does not exist'));
+    expect(response.isError).toBe(true);
+    expect(response.structuredContent).toEqual({
+      success: false,
+      operation: 'search',
+      error: 'Collection "notes" does not exist',
+      code: 'COLLECTION_NOT_FOUND',
+    });
+  });
+
+  it('should declare the envelope in every output schema', () => {
+    for (const schema of Object.values(OUTPUT_SCHEMAS)) {
+      expect(schema.type).toBe('object');
+      expect(schema.required).toEqual(['success', 'operation']);
+      expect(schema.properties.code.enum).toEqual(ERROR_CODES);
+      expect(schema.properties.result.type).toBe('object');
+    }
+  });
+});
@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeVectorIndex, getVectorIndex, sameVectorIndex, vectorIndexMethod, getRecallSetting } from '../src/vector-index.js';
+
+describe('normalizeVectorIndex', () => {
+  it('should fill in pgvector defaults', () => {
+    expect(normalizeVectorIndex('hnsw')).toEqual({ type: 'hnsw', m: 16, ef_construction: 64 });
+    expect(normalizeVectorIndex({ type: 'hnsw', m: 48 })).toEqual({ type: 'hnsw', m: 48, ef_construction: 96 });
+    expect(normalizeVectorIndex({ type: 'ivfflat' })).toEqual({ type: 'ivfflat', lists: 100 });
+    expect(normalizeVectorIndex('none')).toEqual({ type: 'none' });
+  });
+
+  it('should reject invalid settings', () => {
+    expect(() => normalizeVectorIndex('btree')).toThrow('Unknown index type: btree');
+    expect(() => normalizeVectorIndex({ type: 'hnsw', m: 1 })).toThrow('Invalid index.m');
+    expect(() => normalizeVectorIndex({ type: 'hnsw', m: 16, ef_construction: 20 })).toThrow('Invalid index.ef_construction');
+    expect(() => normalizeVectorIndex({ type: 'ivfflat', lists: 0 })).toThrow('Invalid index.lists');
+    expect(() => normalizeVectorIndex({ type: 'ivfflat', m: 16 })).toThrow('index.m does not apply to ivfflat indexes');
+    expect(() => normalizeVectorIndex(null)).toThrow('index must be an index type');
+  });
+
+  it('should treat collections without an index setting as default HNSW', () => {
+    expect(getVectorIndex({})).toEqual({ type: 'hnsw', m: 16, ef_construction: 64 });
+    // JSONB returns keys in its own order
+    expect(sameVectorIndex(getVectorIndex({ index: { m: 16, type: 'hnsw', ef_construction: 64 } }), getVectorIndex({}))).toBe(true);
+  });
+});
+
+describe('vectorIndexMethod', () => {
+  it('should build the USING clause of each index type', () => {
+    expect(vectorIndexMethod('embedding', 'cosine', normalizeVectorIndex('hnsw')))
+      .toBe('USING hnsw (embedding vector_cosine_ops) WITH (m = 16, ef_construction = 64)');
+    expect(vectorIndexMethod('embedding_next', 'l2', normalizeVectorIndex({ type: 'ivfflat', lists: 50 })))
+      .toBe('USING ivfflat (embedding_next vector_l2_ops) WITH (lists = 50)');
+    expect(vectorIndexMethod('embedding', 'cosine', normalizeVectorIndex('none'))).toBeNull();
+  });
+});
+
+describe('getRecallSetting', () => {
+  const hnsw = normalizeVectorIndex('hnsw');
+  const ivfflat = normalizeVectorIndex({ type: 'ivfflat', lists: 10 });
+
+  it('should map ef_search and probes to their pgvector settings', () => {
+    expect(getRecallSetting({}, hnsw)).toBeNull();
+    expect(getRecallSetting({ ef_search: 200 }, hnsw)).toEqual({ parameter: 'hnsw.ef_search', name: 'ef_search', value: 200 });
+    expect(getRecallSetting({ probes: 5 }, ivfflat)).toEqual({ parameter: 'ivfflat.probes', name: 'probes', value: 5 });
+  });
+
+  it('should reject settings of another index type or out of range', () => {
+    expect(() => getRecallSetting({ ef_search: 100 }, ivfflat)).toThrow("ef_search applies to hnsw indexes; this collection's index is ivfflat");
+    expect(() => getRecallSetting({ probes: 2 }, normalizeVectorIndex('none'))).toThrow('probes applies to ivfflat indexes');
+    expect(() => getRecallSetting({ ef_search: 0 }, hnsw)).toThrow('Invalid ef_search');
+    expect(() => getRecallSetting({ ef_search: '100; RESET ALL' }, hnsw)).toThrow('Invalid ef_search');
+    expect(() => getRecallSetting({ probes: 11 }, ivfflat)).toThrow('Invalid probes');
+    expect(() => getRecallSetting({ ef_search: 100, probes: 2 }, hnsw)).toThrow('Specify ef_search or probes, not both');
+  });
+});